@@ -45,7 +45,7 @@ function writeDailyResult(array $entries): string
             $entry['timestamp'],
             $entry['target_id'],
             $entry['room_name'],
-            $entry['price_raw'] ?? 'not_found',
+            $entry['price_raw'] ?? (($entry['unavailable'] ?? false) ? 'unavailable' : 'not_found'),
             $entry['price_value'] ?? 'n/a',
             $entry['price_currency'] ?? 'n/a',
             $entry['price_context'] ?? 'n/a',
@@ -94,6 +94,36 @@ function sendAlert(array $emailSettings, array $entry): void
     mail($to, $subject, $message, implode("\r\n", $headers));
 }
 
+function findDynamicRoomPrice(array $payload, array $room): ?array
+{
+    $hint = trim((string)($room['room_hint'] ?? $room['name'] ?? ''));
+    if ($hint === '') {
+        return null;
+    }
+
+    foreach ($payload['offers'] ?? [] as $offer) {
+        if (!isset($offer['name']) || stripos((string)$offer['name'], $hint) === false) {
+            continue;
+        }
+        if (($offer['available'] ?? true) === false) {
+            return ['unavailable' => true];
+        }
+        $value = $offer['total'] ?? $offer['per_night'] ?? null;
+        if ($value === null) {
+            continue;
+        }
+
+        return [
+            'raw' => (string)$value,
+            'value' => (float)$value,
+            'currency' => $offer['currency'] ?? null,
+            'context' => isset($offer['total']) ? 'total' : 'per_night',
+        ];
+    }
+
+    return null;
+}
+
 function main(): void
 {
     $settings = readJson(CONFIG_DIR . '/settings.json');
@@ -115,6 +145,7 @@ function main(): void
         if ($state !== 'ok') {
             $message = match ($state) {
                 'blocked' => 'blocked',
+                'unavailable' => 'unavailable',
                 'http_error' => 'HTTP ' . $status,
                 'empty' => 'Empty response body',
                 default => 'Request failed',
@@ -143,9 +174,14 @@ function main(): void
         foreach ($rooms as $room) {
             $roomName = $room['name'] ?? 'Unnamed room';
             $priceInfo = null;
+            $unavailable = false;
 
             if ($dynamicPayload !== null) {
-                $priceInfo = $dynamicPayload['price'] ?? null;
+                $priceInfo = findDynamicRoomPrice($dynamicPayload, $room) ?? $dynamicPayload['price'] ?? null;
+                if ($priceInfo !== null && !empty($priceInfo['unavailable'])) {
+                    $priceInfo = null;
+                    $unavailable = true;
+                }
             } elseif (isset($room['price_regex'])) {
                 $priceInfo = $parser->extractPrice($html, $room);
             }
@@ -158,6 +194,7 @@ function main(): void
                 'price_value' => $priceInfo['value'] ?? null,
                 'price_currency' => $priceInfo['currency'] ?? null,
                 'price_context' => $priceInfo['context'] ?? null,
+                'unavailable' => $unavailable,
                 'url' => $url,
                 'threshold' => $room['threshold'] ?? null,
             ];
@@ -46,6 +46,8 @@ function runMonitorChecks(array $monitors, PriceParser $parser, MonitorStorage $
 
         if ($state === 'blocked') {
             $errorMessage = 'blocked';
+        } elseif ($state === 'unavailable') {
+            $errorMessage = 'unavailable';
         } elseif ($state === 'http_error') {
             $errorMessage = 'HTTP ' . $status;
         } elseif ($state === 'error') {
@@ -64,6 +66,7 @@ function runMonitorChecks(array $monitors, PriceParser $parser, MonitorStorage $
                 'resolved_url' => $resolvedUrl,
                 'checked_at' => $now->format(DateTimeInterface::ATOM),
                 'error' => $errorMessage,
+                'run_id' => $fetchResult['run_id'] ?? null,
             ]);
 
             $monitor['last_checked_at'] = $now->format(DateTimeInterface::ATOM);
@@ -83,6 +86,7 @@ function runMonitorChecks(array $monitors, PriceParser $parser, MonitorStorage $
                 'resolved_url' => $resolvedUrl,
                 'checked_at' => $now->format(DateTimeInterface::ATOM),
                 'error' => $errorMessage,
+                'run_id' => $fetchResult['run_id'] ?? null,
             ]);
 
             $monitor['last_checked_at'] = $now->format(DateTimeInterface::ATOM);
@@ -97,6 +101,7 @@ function runMonitorChecks(array $monitors, PriceParser $parser, MonitorStorage $
             'checked_at' => $now->format(DateTimeInterface::ATOM),
             'raw' => $priceInfo['raw'] ?? '',
             'value' => $priceInfo['value'] ?? null,
+            'run_id' => $fetchResult['run_id'] ?? null,
         ]);
 
         $monitor['last_checked_at'] = $now->format(DateTimeInterface::ATOM);
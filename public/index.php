@@ -110,6 +110,7 @@ function runMonitorChecks(array $monitors, PriceParser $parser, MonitorStorage $
                 'resolved_url' => $resolvedUrl,
                 'checked_at' => $now->format(DateTimeInterface::ATOM),
                 'error' => $errorMessage,
+                'run_id' => $fetchResult['run_id'] ?? null,
             ]);
 
             $monitor['last_checked_at'] = $now->format(DateTimeInterface::ATOM);
@@ -129,6 +130,7 @@ function runMonitorChecks(array $monitors, PriceParser $parser, MonitorStorage $
                 'resolved_url' => $resolvedUrl,
                 'checked_at' => $now->format(DateTimeInterface::ATOM),
                 'error' => $errorMessage,
+                'run_id' => $fetchResult['run_id'] ?? null,
             ]);
 
             $monitor['last_checked_at'] = $now->format(DateTimeInterface::ATOM);
@@ -143,6 +145,7 @@ function runMonitorChecks(array $monitors, PriceParser $parser, MonitorStorage $
             'checked_at' => $now->format(DateTimeInterface::ATOM),
             'raw' => $priceInfo['raw'] ?? '',
             'value' => $priceInfo['value'] ?? null,
+            'run_id' => $fetchResult['run_id'] ?? null,
         ]);
 
         $monitor['last_checked_at'] = $now->format(DateTimeInterface::ATOM);
@@ -211,6 +214,7 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST' && $parser instanceof PriceParser && $
                         'effective_url' => $fetchResult['url_effective'] ?? $resolvedUrl,
                         'status' => $fetchResult['http_status'] ?? 0,
                         'blocked' => $fetchResult['blocked'] ?? false,
+                        'unavailable' => $fetchResult['unavailable'] ?? false,
                         'runner' => $fetchResult['runner'] ?? 'playwright',
                         'rendered_html_size' => $fetchResult['rendered_html_size'] ?? 0,
                         'xhr_hits' => $fetchResult['xhr_hits'] ?? 0,
@@ -224,6 +228,8 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST' && $parser instanceof PriceParser && $
                         $errors[] = 'URL konnte nicht geladen werden: ' . (string)$fetchResult['error'];
                     } elseif (!empty($fetchResult['blocked'])) {
                         $errors[] = 'URL konnte nicht geladen werden: blocked';
+                    } elseif (!empty($fetchResult['unavailable'])) {
+                        $errors[] = 'Zimmer ist nicht verfügbar (ausgebucht).';
                     } elseif ($httpStatus >= 400) {
                         $errors[] = 'URL konnte nicht geladen werden: HTTP ' . (string)$httpStatus;
                     }
@@ -1,18 +1,52 @@
 const fs = require('fs');
 const path = require('path');
-const { chromium } = require('playwright');
-
-const PRICE_KEY_REGEX = /(price|amount|total|rate)/i;
-const JSON_KEYWORDS_REGEX = /(price|amount|total|currency)/i;
-const BLOCKED_SIGNALS = [
-  'captcha',
-  'access denied',
-  'enable javascript',
-  'verify you are human',
-  'unusual traffic',
-  'bot detection',
-  'attention required',
-];
+const { parseArgs } = require('util');
+const {
+  JSON_KEYWORDS_REGEX,
+  PRICE_KEY_REGEX,
+  parsePriceFromText,
+  parseRegexPrice,
+  extractCandidatesFromJson,
+  extractOffersFromJson,
+  matchOffersToRooms,
+  detectPageAvailability,
+  excludeUnavailableCandidates,
+} = require('../tools/lib/extraction');
+const {
+  isJsonContentType,
+  parseJsonBody,
+  decodePriceResponses,
+} = require('../tools/lib/responses');
+const { loadReplaySnapshot } = require('../tools/lib/replay');
+const { handleConsentOverlays } = require('../tools/lib/consent');
+const { loadSiteProfile, toRegex } = require('../tools/lib/profiles');
+const {
+  RUNNER_ARG_OPTIONS,
+  loadRunnerSettings,
+  loadArtifactSettings,
+  runnerOptionsFromArgs,
+  resolveRunnerConfig,
+} = require('../tools/lib/config');
+const { createFieldMatcher, redactBodyText, redactUrl, redactHarFile, requestBodyFor } = require('../tools/lib/redact');
+const { writeManifest, pruneArtifacts } = require('../tools/lib/retention');
+const { sessionOptionsFromArgs, loadSession, saveSession } = require('../tools/lib/session');
+const { resolveTraceMode, startTrace, stopTrace } = require('../tools/lib/trace');
+const { visualOptionsFromArgs, priceElementHints, runVisualCheck } = require('../tools/lib/visual');
+const { installResourceBlocking, summarizeResourceStats } = require('../tools/lib/resources');
+const { occupancyFromArgs, offerBreakdown, winnerBreakdown } = require('../tools/lib/breakdown');
+const { extractStructuredCandidates, readPageAppState } = require('../tools/lib/structured');
+const {
+  engineChain,
+  contextUserAgent,
+  shouldFallback,
+  createBrowserSet,
+} = require('../tools/lib/browsers');
+const { runSteps, validateSteps } = require('../tools/lib/steps');
+const { rankPriceCandidates, summarizeCandidates } = require('../tools/lib/ranking');
+const { harContextOptions, routeFromHar, harPageUrl } = require('../tools/lib/har');
+const { classifyBlock, backoffDelay, sleep, DEFAULT_BACKOFF_MS } = require('../tools/lib/blocking');
+
+const NET_DIR = path.join('artifacts', 'debug', 'net');
 
 function ensureDir(dirPath) {
   if (!fs.existsSync(dirPath)) {
@@ -20,173 +54,147 @@ function ensureDir(dirPath) {
   }
 }
 
-function normalizeCurrency(value) {
-  if (!value) {
-    return null;
-  }
-  const currencyMap = {
-    '€': 'EUR',
-    EUR: 'EUR',
-    CHF: 'CHF',
-    '$': 'USD',
-    USD: 'USD',
-    '£': 'GBP',
-    GBP: 'GBP',
-  };
-  const trimmed = value.toString().trim().toUpperCase();
-  return currencyMap[trimmed] || trimmed;
-}
-
-function normalizeAmount(amount) {
-  if (!amount) {
-    return null;
-  }
-  let clean = amount.replace(/\u00A0/g, '').replace(/\s+/g, '');
-  if (clean.includes(',') && clean.includes('.')) {
-    clean = clean.replace(/\./g, '').replace(',', '.');
-  } else if (clean.includes(',')) {
-    clean = clean.replace(',', '.');
-  }
-  const value = Number.parseFloat(clean);
-  return Number.isFinite(value) ? value : null;
-}
-
-function detectContext(text) {
-  const lower = text.toLowerCase();
-  if (lower.includes('pro person') || lower.includes('p.p') || lower.includes('per person')) {
-    return 'per_person';
-  }
-  if (lower.includes('pro nacht') || lower.includes('per night')) {
-    return 'per_night';
-  }
-  if (lower.includes('gesamt') || lower.includes('total')) {
-    return 'total';
-  }
-  return null;
-}
+function collectPriceCandidates(capture, locale, keyRegex) {
+  const candidates = [];
+  capture.priceResponses.forEach((entry) => {
+    const jsonCandidates = excludeUnavailableCandidates(
+      extractCandidatesFromJson(entry.body, [], locale),
+      extractOffersFromJson(entry.body, [], locale),
+    );
+    jsonCandidates.forEach((candidate) => {
+      candidates.push({ ...candidate, source: 'json', value: Number(candidate.value), raw: candidate.value, text: String(candidate.value) });
+    });
+  });
 
-function parsePriceFromText(text) {
-  const pattern = /((€|\$|£|CHF|EUR|USD|GBP)\s*([0-9][0-9.\s\u00A0]*[0-9](?:,[0-9]{2})?))|(([0-9][0-9.\s\u00A0]*[0-9](?:,[0-9]{2})?)\s*(€|EUR|CHF|USD|GBP|\$|£))/i;
-  const match = text.match(pattern);
-  if (!match) {
-    return null;
-  }
-  const currency = match[2] || match[6];
-  const amount = match[3] || match[5];
-  const value = normalizeAmount(amount);
-  if (value === null) {
-    return null;
-  }
-  return {
-    raw: match[0],
-    value,
-    currency: normalizeCurrency(currency),
-    context: detectContext(text),
-  };
-}
+  extractStructuredCandidates(capture.html, { locale, appState: capture.appState, keyRegex }).forEach((candidate) => {
+    candidates.push({ ...candidate, raw: candidate.text });
+  });
 
-function extractCandidatesFromJson(value, pathStack = []) {
-  const results = [];
-  if (value === null || value === undefined) {
-    return results;
-  }
-  if (Array.isArray(value)) {
-    value.forEach((item, index) => {
-      results.push(...extractCandidatesFromJson(item, [...pathStack, String(index)]));
-    });
-    return results;
-  }
-  if (typeof value !== 'object') {
-    return results;
-  }
-  for (const [key, entry] of Object.entries(value)) {
-    const nextPath = [...pathStack, key];
-    if (typeof entry === 'number') {
-      results.push({
-        value: entry,
-        currency: value.currency || value.curr || null,
-        path: nextPath.join('.'),
-        key,
+  capture.candidates.forEach((candidate) => {
+    const parsed = parsePriceFromText(candidate.text, locale);
+    if (parsed) {
+      candidates.push({
+        source: candidate.selector ? 'selector' : 'dom',
+        value: parsed.value,
+        currency: parsed.currency,
+        raw: parsed.raw,
+        text: candidate.text,
+        html: candidate.html,
+        selector: candidate.selector || null,
+        context: parsed.context,
+        visible: candidate.visible,
+        font_size: candidate.font_size,
       });
-    } else if (typeof entry === 'string' && /\d/.test(entry)) {
-      const parsed = parsePriceFromText(entry);
-      if (parsed) {
-        results.push({
-          value: parsed.value,
-          currency: parsed.currency,
-          path: nextPath.join('.'),
-          key,
-        });
-      }
     }
-    results.push(...extractCandidatesFromJson(entry, nextPath));
-  }
-  return results;
-}
+  });
 
-function pickPreferredJsonPrice(candidates) {
-  if (candidates.length === 0) {
-    return null;
-  }
-  const totalCandidate = candidates.find((candidate) => /total/i.test(candidate.key || ''));
-  if (totalCandidate) {
-    return totalCandidate;
+  const regexPrice = parseRegexPrice(capture.innerTextPreview);
+  if (regexPrice) {
+    candidates.push({
+      source: 'regex',
+      value: regexPrice.value,
+      currency: regexPrice.currency,
+      raw: regexPrice.raw,
+      text: capture.innerTextPreview.split('\n').find((line) => line.includes(regexPrice.raw)) || regexPrice.raw,
+    });
   }
-  return candidates[0];
+  return candidates;
 }
 
-function containsPriceKeys(payload) {
-  if (payload === null || payload === undefined) {
-    return false;
-  }
-  if (Array.isArray(payload)) {
-    return payload.some(containsPriceKeys);
-  }
-  if (typeof payload !== 'object') {
-    return false;
-  }
-  for (const [key, value] of Object.entries(payload)) {
-    if (PRICE_KEY_REGEX.test(key)) {
-      return true;
-    }
-    if (containsPriceKeys(value)) {
-      return true;
+function analyzeCapture(capture) {
+  const profile = capture.profile;
+  const priceKeyRegex = toRegex(profile.json.price_keys, PRICE_KEY_REGEX);
+  const ranking = rankPriceCandidates(collectPriceCandidates(capture, profile.locale, priceKeyRegex), {
+    keyRegex: priceKeyRegex,
+    preferKeys: profile.json.prefer_keys,
+    preferPaths: profile.json.prefer_paths,
+  });
+  const winner = ranking.winner;
+  const foundPrice = winner
+    ? {
+      raw: winner.raw,
+      value: winner.value,
+      currency: winner.currency,
+      context: winner.context,
+      path: winner.path || null,
     }
-  }
-  return false;
-}
-
-function findBlockedSignal(content) {
-  const lower = content.toLowerCase();
-  return BLOCKED_SIGNALS.find((signal) => lower.includes(signal));
-}
+    : null;
+
+  const offers = capture.priceResponses.flatMap((entry) => extractOffersFromJson(entry.body, [], profile.locale));
+  const rooms = matchOffersToRooms(offers, capture.rooms || [], capture.innerTextPreview);
+  const availability = detectPageAvailability(offers, capture.innerTextPreview, Boolean(foundPrice));
+  const preferredPrice = availability.unavailable ? null : foundPrice;
+  const occupancy = capture.occupancy || {};
+
+  const block = classifyBlock({
+    httpStatus: capture.httpStatus,
+    retryAfter: capture.retryAfter,
+    urlRequested: capture.urlRequested,
+    urlEffective: capture.urlEffective,
+    html: capture.html,
+    bodyText: capture.innerTextPreview,
+    signals: profile.block_signals,
+    hasPrice: Boolean(preferredPrice),
+    hasPriceResponses: capture.priceResponses.length > 0,
+    unavailable: availability.unavailable,
+  });
 
-async function handleConsentOverlays(page) {
-  const consentTexts = ['Akzeptieren', 'Alle akzeptieren', 'Zustimmen'];
-  const candidates = page.locator('button, [role="button"], input[type="button"], input[type="submit"]');
-  const count = await candidates.count();
-  for (let i = 0; i < count; i += 1) {
-    const candidate = candidates.nth(i);
-    const text = (await candidate.innerText().catch(() => '')) || '';
-    if (consentTexts.some((phrase) => text.toLowerCase().includes(phrase.toLowerCase()))) {
-      await candidate.click({ timeout: 2000 }).catch(() => {});
-      return true;
-    }
+  let error = capture.navigationError || (!preferredPrice && capture.stepError ? capture.stepError : null);
+  if (!error && !preferredPrice && !block.blocked && !availability.unavailable) {
+    error = 'did_not_render';
   }
-  return false;
-}
 
-async function main() {
-  const [url, outputDir] = process.argv.slice(2);
-  if (!url || !outputDir) {
-    throw new Error('Usage: node robinson-playwright-worker.js <url> <outputDir>');
+  let state = 'ok';
+  if (block.blocked) {
+    state = 'blocked';
+  } else if (availability.unavailable) {
+    state = 'unavailable';
+  } else if (error) {
+    state = 'error';
   }
 
+  return {
+    state,
+    browser: capture.browser || null,
+    profile: profile.name,
+    runner_config: capture.runnerConfig || null,
+    http_status: capture.httpStatus,
+    consent_clicked: capture.consent ? capture.consent.clicked : false,
+    consent_platform: capture.consent ? capture.consent.platform : null,
+    blocked: block.blocked,
+    blocked_reason: block.reason,
+    blocked_signal: block.signal,
+    retry_after_ms: block.retryAfterMs,
+    unavailable_reason: availability.reason,
+    error,
+    price: preferredPrice,
+    price_text: preferredPrice ? winner.text : null,
+    dom_snippet: preferredPrice ? winner.html || null : null,
+    context: preferredPrice ? preferredPrice.context : null,
+    price_breakdown: preferredPrice ? winnerBreakdown(winner, offers, occupancy) : null,
+    price_source: preferredPrice ? winner.source : null,
+    price_confidence: preferredPrice ? ranking.confidence : null,
+    price_reasons: preferredPrice ? ranking.reasons : [],
+    price_candidates: summarizeCandidates(ranking.ranked),
+    offers: offers.map((offer) => ({ ...offer, breakdown: offerBreakdown(offer, occupancy) })),
+    rooms,
+    steps: capture.steps || [],
+    timings: capture.timings || null,
+    resources: capture.resources || null,
+    artifacts: capture.artifacts,
+    session: null,
+    visual: null,
+  };
+}
+
+async function captureAttempt(browser, url, outputDir, profile, options) {
+  const config = resolveRunnerConfig(profile, options.runnerLayers);
+  const priceKeyRegex = toRegex(profile.json.price_keys, PRICE_KEY_REGEX);
+  const isSecret = createFieldMatcher(options.artifactSettings.redact_fields);
   ensureDir(outputDir);
   const responseDir = path.join(outputDir, 'price-responses');
   ensureDir(responseDir);
-  const baseDir = process.cwd();
-  const netDir = path.join(baseDir, 'artifacts', 'debug', 'net');
+  const netDir = path.resolve(NET_DIR);
   ensureDir(netDir);
   const parsedUrl = new URL(url);
   const safeHost = parsedUrl.hostname.replace(/[^a-z0-9.-]+/gi, '-') || 'unknown-host';
@@ -198,25 +206,30 @@ async function main() {
   const priceResponses = [];
   const jsonArtifacts = [];
 
-  const browser = await chromium.launch({
-    headless: true,
-    args: ['--no-sandbox', '--disable-setuid-sandbox'],
-  });
+  const session = options.session ? loadSession(options.session.key) : null;
   const context = await browser.newContext({
-    locale: 'de-DE',
-    timezoneId: 'Europe/Berlin',
-    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36',
+    ...harContextOptions(options),
+    ...(session && session.storageState ? { storageState: session.storageState } : {}),
+    locale: config.locale,
+    timezoneId: config.timezone,
+    viewport: config.viewport,
+    userAgent: contextUserAgent(browser, config),
     extraHTTPHeaders: {
-      'Accept-Language': 'de-DE,de;q=0.9,en;q=0.8',
+      'Accept-Language': config.accept_language,
     },
   });
+  await startTrace(context, options.trace);
+  if (options.fromHar) {
+    await routeFromHar(context, options.fromHar);
+  }
+  const resources = await installResourceBlocking(context, profile.resources, config.block_resources);
   const page = await context.newPage();
 
   page.on('response', async (response) => {
     const request = response.request();
     const resourceType = request.resourceType();
     const entry = {
-      url: response.url(),
+      url: redactUrl(response.url(), isSecret),
       method: request.method(),
       resourceType,
       status: response.status(),
@@ -227,7 +240,7 @@ async function main() {
       return;
     }
     const contentType = response.headers()['content-type'] || '';
-    if (!contentType.includes('application/json')) {
+    if (!isJsonContentType(contentType)) {
       return;
     }
     let bodyText = null;
@@ -242,44 +255,67 @@ async function main() {
     if (!JSON_KEYWORDS_REGEX.test(bodyText)) {
       return;
     }
+    // Text and script types are only kept when they really hold JSON.
+    if (!/json/i.test(contentType) && !parseJsonBody(bodyText)) {
+      return;
+    }
     const fileName = `response_${jsonArtifacts.length + 1}.json`;
     const filePath = path.join(netSessionDir, fileName);
-    fs.writeFileSync(filePath, bodyText);
+    const redactedBody = redactBodyText(bodyText, isSecret);
+    fs.writeFileSync(filePath, redactedBody);
     jsonArtifacts.push({
-      url: response.url(),
+      url: entry.url,
       status: response.status(),
       path: filePath,
     });
-    let decoded = null;
-    try {
-      decoded = JSON.parse(bodyText);
-    } catch (error) {
+    const postData = request.postData();
+    const decoded = decodePriceResponses(bodyText, { keyRegex: priceKeyRegex, postData, url: response.url() });
+    if (decoded.length === 0) {
       return;
     }
-    if (!containsPriceKeys(decoded)) {
-      return;
+    // The whole body is kept once; a replay splits GraphQL batches again.
+    const responsePath = path.join(responseDir, `response_${priceResponses.length + 1}.json`);
+    fs.writeFileSync(responsePath, redactedBody);
+    for (const result of decoded) {
+      priceResponses.push({
+        url: entry.url,
+        status: response.status(),
+        body: result.body,
+        path: filePath,
+        format: result.format,
+        operation: result.operation,
+        requestBody: requestBodyFor(postData, isSecret),
+      });
     }
-    priceResponses.push({
-      url: response.url(),
-      status: response.status(),
-      body: decoded,
-      path: filePath,
-    });
   });
 
   let navigationError = null;
+  let navigationResponse = null;
+  let consent = { clicked: false, platform: null };
+  const checkStart = Date.now();
+  const timings = { goto_ms: null, networkidle_ms: null, price_wait_ms: null, total_ms: null };
   try {
-    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
-    await handleConsentOverlays(page);
-    await page.waitForLoadState('networkidle', { timeout: 60000 });
+    navigationResponse = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: config.navigation_timeout_ms });
+    timings.goto_ms = Date.now() - checkStart;
+    consent = await handleConsentOverlays(page, profile.consent);
+    const idleStart = Date.now();
+    await page.waitForLoadState('networkidle', { timeout: config.network_idle_timeout_ms });
+    timings.networkidle_ms = Date.now() - idleStart;
   } catch (error) {
     navigationError = error instanceof Error ? error.message : String(error);
   }
 
-  await handleConsentOverlays(page);
+  // Late banners (loaded after networkidle) get a second chance.
+  if (!consent.clicked) {
+    consent = await handleConsentOverlays(page, profile.consent);
+  }
+
+  const steps = await runSteps(page, options.steps || [], { vars: options.vars });
 
+  const priceWaitStart = Date.now();
   try {
-    await page.waitForFunction(() => {
+    await page.waitForFunction(({ selectors, textPattern }) => {
+      const pricePattern = new RegExp(textPattern);
       const isVisible = (element) => {
         if (!element || !(element instanceof HTMLElement)) {
           return false;
@@ -290,25 +326,25 @@ async function main() {
         }
         return element.offsetParent !== null;
       };
-      const selectors = ['.price', '.total', '.total-price', '[data-testid="total-price"]'];
       for (const selector of selectors) {
         const element = document.querySelector(selector);
-        if (element && isVisible(element) && /€/.test(element.innerText || '')) {
+        if (element && isVisible(element) && pricePattern.test(element.innerText || '')) {
           return true;
         }
       }
       const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_ELEMENT);
       while (walker.nextNode()) {
         const el = walker.currentNode;
-        if (isVisible(el) && /€/.test(el.innerText || '')) {
+        if (isVisible(el) && pricePattern.test(el.innerText || '')) {
           return true;
         }
       }
       return false;
-    }, { timeout: 30000 });
+    }, { selectors: profile.wait.selectors, textPattern: profile.wait.text_pattern }, { timeout: config.price_wait_timeout_ms });
   } catch (error) {
     // Best effort; continue even if timeout.
   }
+  timings.price_wait_ms = Date.now() - priceWaitStart;
 
   const html = await page.content();
   const htmlPath = path.join(outputDir, 'page.html');
@@ -322,7 +358,7 @@ async function main() {
   const screenshotPath = path.join(outputDir, 'screenshot.png');
   await page.screenshot({ path: screenshotPath, fullPage: true });
 
-  const candidates = await page.evaluate(() => {
+  const candidates = await page.evaluate((priceSelectors) => {
     const results = [];
     const isVisible = (element) => {
       if (!element || !(element instanceof HTMLElement)) {
@@ -334,6 +370,20 @@ async function main() {
       }
       return element.offsetParent !== null;
     };
+    const fontSize = (element) => Number.parseFloat(window.getComputedStyle(element).fontSize) || null;
+    for (const selector of priceSelectors) {
+      const element = document.querySelector(selector);
+      const text = element && element.textContent ? element.textContent.trim() : '';
+      if (text && text.length <= 200) {
+        results.push({
+          text: isVisible(element) && element.innerText ? element.innerText.trim() : text,
+          html: element.outerHTML,
+          selector,
+          visible: isVisible(element),
+          font_size: fontSize(element),
+        });
+      }
+    }
     const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_ELEMENT);
     while (walker.nextNode()) {
       const el = walker.currentNode;
@@ -350,95 +400,274 @@ async function main() {
       if (text.length > 200) {
         continue;
       }
-      results.push({ text, html: el.outerHTML });
+      results.push({ text, html: el.outerHTML, visible: true, font_size: fontSize(el) });
       if (results.length >= 50) {
         break;
       }
     }
     return results;
+  }, profile.price_selectors);
+
+  const networkLogPath = path.join(outputDir, 'network-log.json');
+  fs.writeFileSync(networkLogPath, JSON.stringify(networkLog, null, 2));
+
+  const output = analyzeCapture({
+    runnerConfig: config,
+    browser: browser.browserType().name(),
+    consent,
+    urlRequested: url,
+    urlEffective: page.url(),
+    httpStatus: navigationResponse ? navigationResponse.status() : null,
+    retryAfter: navigationResponse ? navigationResponse.headers()['retry-after'] || null : null,
+    html,
+    appState: await readPageAppState(page),
+    innerTextPreview,
+    candidates,
+    priceResponses,
+    jsonArtifacts,
+    networkLog,
+    navigationError,
+    steps: steps.results,
+    stepError: steps.error,
+    timings: { ...timings, total_ms: Date.now() - checkStart },
+    resources: summarizeResourceStats(resources),
+    profile,
+    rooms: options.rooms,
+    occupancy: options.occupancy || null,
+    artifacts: {
+      html: htmlPath,
+      inner_text: innerTextPath,
+      screenshot: screenshotPath,
+      network_log: networkLogPath,
+      price_responses: priceResponses.map((entry, index) => ({
+        url: entry.url,
+        status: entry.status,
+        path: entry.path || path.join(responseDir, `response_${index + 1}.json`),
+        format: entry.format,
+        operation: entry.operation,
+        request_body: entry.requestBody,
+      })),
+      xhr_json: jsonArtifacts,
+      net_session_dir: netSessionDir,
+      har: options.recordHar || options.fromHar || null,
+      trace: null,
+      manifest: null,
+    },
   });
 
-  let chosen = null;
-  for (const candidate of candidates) {
-    if (/gesamt|total/i.test(candidate.text) && parsePriceFromText(candidate.text)) {
-      chosen = candidate;
-      break;
+  if (options.visual) {
+    output.visual = await runVisualCheck(page, options.visual, priceElementHints(output.price ? output.price.raw : null, output.price_candidates), {
+      hasPrice: output.state === 'ok',
+    });
+  }
+
+  const tracePath = path.join(outputDir, `trace-${options.attempt || 1}.zip`);
+  output.artifacts.trace = await stopTrace(context, options.trace, !['ok', 'unavailable'].includes(output.state), tracePath);
+  if (session) {
+    output.session = { key: session.key, status: session.status, expires_at: session.expires_at };
+    if (options.session.save && ['ok', 'unavailable'].includes(output.state)) {
+      output.session = await saveSession(session.key, context, { url, ttlHours: options.session.ttlHours });
     }
   }
-  if (!chosen) {
-    chosen = candidates.find((candidate) => parsePriceFromText(candidate.text)) || null;
+  await context.close();
+  if (options.recordHar) {
+    redactHarFile(options.recordHar, isSecret);
   }
+  output.artifacts.manifest = writeManifest(netSessionDir, {
+    host: parsedUrl.hostname,
+    url: redactUrl(url, isSecret),
+    state: output.state,
+    blockedReason: output.blocked_reason,
+    files: jsonArtifacts,
+  });
 
-  let price = null;
-  let priceText = null;
-  let domSnippet = null;
-  if (chosen) {
-    price = parsePriceFromText(chosen.text);
-    priceText = chosen.text;
-    domSnippet = chosen.html;
-  }
+  return output;
+}
 
-  let regexPrice = null;
-  const regexMatch = innerTextPreview.match(/(\d{1,3}(?:\.\d{3})*,\d{2})\s?€/);
-  if (regexMatch) {
-    regexPrice = {
-      raw: regexMatch[0],
-      value: normalizeAmount(regexMatch[1]),
-      currency: 'EUR',
-    };
+// Each attempt runs in a fresh context; blocked results are retried after an
+// exponential backoff that honours Retry-After. A result that is still
+// blocked or did not render is tried again on the next installed engine.
+async function runLive(url, outputDir, options = {}) {
+  const profile = loadSiteProfile(options.profileRef || url);
+  const retries = Math.max(0, Number(options.retries) || 0);
+  const engines = engineChain(resolveRunnerConfig(profile, options.runnerLayers));
+  const browsers = createBrowserSet();
+  const attempts = [];
+  let output = null;
+  try {
+    for (const engine of engines) {
+      const browser = output ? await browsers.getBrowser(engine).catch(() => null) : await browsers.getBrowser(engine);
+      if (!browser) {
+        break;
+      }
+      for (let retry = 0; retry <= retries; retry += 1) {
+        const attempt = attempts.length + 1;
+        const started = Date.now();
+        output = await captureAttempt(browser, url, outputDir, profile, { ...options, attempt });
+        const entry = {
+          attempt,
+          browser: engine,
+          state: output.state,
+          blocked_reason: output.blocked_reason,
+          http_status: output.http_status,
+          ms: Date.now() - started,
+          wait_ms: 0,
+        };
+        attempts.push(entry);
+        if (!output.blocked || retry === retries) {
+          break;
+        }
+        entry.wait_ms = backoffDelay(retry + 1, options.backoffMs ?? DEFAULT_BACKOFF_MS, output.retry_after_ms);
+        await sleep(entry.wait_ms);
+      }
+      if (!shouldFallback(output)) {
+        break;
+      }
+    }
+  } finally {
+    await browsers.close();
   }
 
-  let jsonPrice = null;
-  if (priceResponses.length > 0) {
-    const candidatesFromJson = priceResponses.flatMap((entry) => extractCandidatesFromJson(entry.body));
-    const preferred = pickPreferredJsonPrice(candidatesFromJson);
-    if (preferred) {
-      jsonPrice = {
-        raw: preferred.value,
-        value: Number(preferred.value),
-        currency: normalizeCurrency(preferred.currency),
-        path: preferred.path,
-      };
-    }
+  if (options.artifactSettings.prune_after_run) {
+    const pruned = pruneArtifacts(path.resolve(NET_DIR), options.artifactSettings.retention);
+    output.artifacts.pruned = { removed: pruned.removed.length, freed_bytes: pruned.freed_bytes };
   }
 
-  const preferredPrice = jsonPrice || price || regexPrice || null;
+  return { ...output, attempts };
+}
 
-  const blockedSignal = findBlockedSignal(html);
-  const hasEuro = /€/.test(innerTextPreview);
-  const hasSuccessfulXhr = networkLog.some(
-    (entry) => ['xhr', 'fetch'].includes(entry.resourceType) && entry.status >= 200 && entry.status < 400,
-  );
-  const blockedDueToMissingPrice = !hasEuro && jsonArtifacts.length === 0 && !hasSuccessfulXhr;
+function runReplay(source, jsonSources, options = {}) {
+  const replay = loadReplaySnapshot(source, jsonSources);
+  const profile = loadSiteProfile(options.profileRef || replay.urlEffective);
+  const priceKeyRegex = toRegex(profile.json.price_keys, PRICE_KEY_REGEX);
+  const innerTextPreview = replay.bodyText.slice(0, 20000);
+  const candidates = innerTextPreview
+    .split('\n')
+    .map((line) => line.trim())
+    .filter((line) => line && line.length <= 200 && /[€$£]|\b(?:EUR|CHF|USD|GBP)\b/i.test(line))
+    .slice(0, 50)
+    .map((text) => ({ text, html: null }));
 
-  const networkLogPath = path.join(outputDir, 'network-log.json');
-  fs.writeFileSync(networkLogPath, JSON.stringify(networkLog, null, 2));
+  const jsonArtifacts = [];
+  const priceResponses = [];
+  replay.jsonResponses.forEach((entry) => {
+    if (!entry.bodyText || !JSON_KEYWORDS_REGEX.test(entry.bodyText)) {
+      return;
+    }
+    jsonArtifacts.push({ url: entry.url, status: entry.status, path: entry.path });
+    decodePriceResponses(entry.bodyText, { keyRegex: priceKeyRegex }).forEach((result) => {
+      priceResponses.push({
+        url: entry.url,
+        status: entry.status,
+        body: result.body,
+        path: entry.path,
+        format: result.format,
+        operation: result.operation,
+        requestBody: null,
+      });
+    });
+  });
 
-  const output = {
-    state: blockedSignal || blockedDueToMissingPrice ? 'blocked' : navigationError ? 'error' : 'ok',
-    blocked: Boolean(blockedSignal || blockedDueToMissingPrice),
-    error: navigationError,
-    price: preferredPrice,
-    price_text: priceText,
-    dom_snippet: domSnippet,
-    context: preferredPrice ? preferredPrice.context : null,
+  const output = analyzeCapture({
+    urlRequested: replay.urlEffective,
+    urlEffective: replay.urlEffective,
+    httpStatus: replay.httpStatus,
+    retryAfter: null,
+    html: replay.html,
+    innerTextPreview,
+    candidates,
+    priceResponses,
+    jsonArtifacts,
+    networkLog: replay.networkLog,
+    navigationError: null,
+    profile,
+    rooms: options.rooms,
+    occupancy: options.occupancy || null,
     artifacts: {
-      html: htmlPath,
-      inner_text: innerTextPath,
-      screenshot: screenshotPath,
-      network_log: networkLogPath,
-      price_responses: priceResponses.map((entry, index) => ({
+      html: replay.htmlPath,
+      inner_text: replay.bodyTextPath,
+      screenshot: null,
+      network_log: replay.networkLogPath,
+      price_responses: priceResponses.map((entry) => ({
         url: entry.url,
         status: entry.status,
-        path: entry.path || path.join(responseDir, `response_${index + 1}.json`),
+        path: entry.path,
+        format: entry.format,
+        operation: entry.operation,
+        request_body: entry.requestBody,
       })),
       xhr_json: jsonArtifacts,
-      net_session_dir: netSessionDir,
+      net_session_dir: null,
+      har: null,
+      trace: null,
+      manifest: null,
     },
+  });
+
+  return { ...output, replay: source };
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      replay: { type: 'string' },
+      json: { type: 'string', multiple: true },
+      rooms: { type: 'string' },
+      profile: { type: 'string' },
+      steps: { type: 'string' },
+      date: { type: 'string' },
+      nights: { type: 'string' },
+      guests: { type: 'string' },
+      'record-har': { type: 'string' },
+      'from-har': { type: 'string' },
+      retries: { type: 'string', default: '0' },
+      'backoff-ms': { type: 'string' },
+      settings: { type: 'string' },
+      trace: { type: 'string' },
+      session: { type: 'string' },
+      'save-session': { type: 'boolean', default: false },
+      'session-ttl-hours': { type: 'string' },
+      visual: { type: 'string' },
+      'visual-full-page': { type: 'boolean', default: false },
+      'visual-threshold': { type: 'string' },
+      ...RUNNER_ARG_OPTIONS,
+    },
+  });
+  const artifactSettings = loadArtifactSettings(values.settings);
+  const options = {
+    rooms: values.rooms ? JSON.parse(values.rooms) : [],
+    profileRef: values.profile || null,
+    steps: values.steps ? validateSteps(JSON.parse(values.steps)) : [],
+    vars: { date: values.date || '' },
+    occupancy: occupancyFromArgs(values),
+    recordHar: values['record-har'] || null,
+    fromHar: values['from-har'] || null,
+    retries: Number(values.retries),
+    backoffMs: values['backoff-ms'] ? Number(values['backoff-ms']) : undefined,
+    runnerLayers: [loadRunnerSettings(values.settings), runnerOptionsFromArgs(values)],
+    trace: resolveTraceMode(values.trace),
+    artifactSettings,
+    session: sessionOptionsFromArgs(values),
+    visual: visualOptionsFromArgs(values, artifactSettings.visual),
   };
 
-  await browser.close();
+  if (values.replay) {
+    const output = runReplay(values.replay, values.json || [], options);
+    process.stdout.write(`${JSON.stringify(output)}\n`);
+    return;
+  }
+
+  let [url, outputDir] = positionals;
+  if (options.fromHar && positionals.length === 1) {
+    outputDir = url;
+    url = harPageUrl(options.fromHar);
+  }
+  if (!url || !outputDir) {
+    throw new Error('Usage: node robinson-playwright-worker.js <url> <outputDir> [--rooms <json>] [--profile <host|file.json>] [--steps <json>] [--date <YYYY-MM-DD>] [--nights <n>] [--guests <n>] [--record-har <file.har> | --from-har <file.har>] [--retries <n>] [--backoff-ms <ms>] [--settings <settings.json>] [--navigation-timeout <ms>] [--network-idle-timeout <ms>] [--price-wait-timeout <ms>] [--viewport <WxH>] [--locale <tag>] [--timezone <tz>] [--user-agent <ua>] [--accept-language <value>] [--block-resources on|off] [--browser chromium|firefox|webkit] [--browser-fallback <list>|none] [--trace on-failure|always|off] [--session <key> [--save-session] [--session-ttl-hours <h>]] [--visual <key> [--visual-full-page] [--visual-threshold <0..1>]] | --replay <dir|page.html> [--json <file|dir>]');
+  }
 
+  const output = await runLive(url, outputDir, options);
   process.stdout.write(`${JSON.stringify(output)}\n`);
 }
 
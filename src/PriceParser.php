@@ -252,19 +252,27 @@ class PriceParser
                 'body_text_preview' => null,
                 'url_effective' => null,
                 'http_status' => null,
+                'run_id' => $runnerResult['run_id'] ?? null,
             ];
         }
 
         $decoded = $runnerResult['decoded'];
         $blocked = (bool)($decoded['blocked'] ?? false);
+        $unavailable = (bool)($decoded['unavailable'] ?? false);
         $priceValue = $decoded['price_value'] ?? null;
         $state = ($blocked || $priceValue === null) ? 'dynamic_no_price' : 'ok';
+        if ($unavailable && !$blocked) {
+            $state = 'unavailable';
+        }
         $price = null;
         if ($priceValue !== null) {
             $price = [
                 'raw' => $decoded['price_text'] ?? null,
                 'value' => (float)$priceValue,
                 'currency' => $decoded['currency'] ?? null,
+                'source' => $decoded['price_source'] ?? null,
+                'confidence' => $decoded['price_confidence'] ?? null,
+                'breakdown' => $decoded['price_breakdown'] ?? null,
             ];
         }
 
@@ -274,6 +282,9 @@ class PriceParser
             'status' => $runnerResult['status'],
             'price' => $price,
             'blocked' => $blocked,
+            'blocked_reason' => $decoded['blocked_reason'] ?? null,
+            'unavailable' => $unavailable,
+            'unavailable_reason' => $decoded['unavailable_reason'] ?? null,
             'runner' => $decoded['runner'] ?? 'playwright',
             'rendered_html_size' => $decoded['rendered_html_size'] ?? 0,
             'xhr_hits' => $decoded['xhr_hits'] ?? 0,
@@ -281,6 +292,7 @@ class PriceParser
             'body_text_preview' => $decoded['body_text_preview'] ?? null,
             'url_effective' => $decoded['url_effective'] ?? null,
             'http_status' => $decoded['http_status'] ?? null,
+            'run_id' => $decoded['run_id'] ?? $runnerResult['run_id'] ?? null,
         ];
     }
 
@@ -294,13 +306,18 @@ class PriceParser
                 'status' => 0,
                 'body' => null,
                 'blocked' => false,
+                'run_id' => $runnerResult['run_id'] ?? null,
             ];
         }
 
         $decoded = $runnerResult['decoded'];
         $blocked = (bool)($decoded['blocked'] ?? false);
+        $unavailable = (bool)($decoded['unavailable'] ?? false);
         $priceValue = $decoded['price_value'] ?? null;
         $state = ($blocked || $priceValue === null) ? 'dynamic_no_price' : 'ok';
+        if ($unavailable && !$blocked) {
+            $state = 'unavailable';
+        }
         $error = $decoded['error'] ?? ($runnerResult['status'] !== 0 ? 'Playwright runner failed.' : null);
         $price = null;
         if ($priceValue !== null) {
@@ -308,6 +325,9 @@ class PriceParser
                 'raw' => $decoded['price_text'] ?? null,
                 'value' => (float)$priceValue,
                 'currency' => $decoded['currency'] ?? null,
+                'source' => $decoded['price_source'] ?? null,
+                'confidence' => $decoded['price_confidence'] ?? null,
+                'breakdown' => $decoded['price_breakdown'] ?? null,
             ];
         }
 
@@ -318,6 +338,9 @@ class PriceParser
             'body' => [
                 'price' => $price,
                 'blocked' => $blocked,
+                'blockedReason' => $decoded['blocked_reason'] ?? null,
+                'unavailable' => $unavailable,
+                'unavailableReason' => $decoded['unavailable_reason'] ?? null,
                 'xhrHitsCount' => $decoded['xhr_hits'] ?? 0,
                 'urlRequested' => $decoded['url_requested'] ?? null,
                 'urlEffective' => $decoded['url_effective'] ?? null,
@@ -326,12 +349,85 @@ class PriceParser
                 'renderedHtmlSize' => $decoded['rendered_html_size'] ?? 0,
                 'consentClicked' => $decoded['consent_clicked'] ?? false,
                 'bodyTextPreview' => $decoded['body_text_preview'] ?? null,
+                'offers' => $decoded['offers'] ?? [],
+                'artifacts' => $decoded['artifacts'] ?? null,
             ],
             'blocked' => $blocked,
+            'run_id' => $decoded['run_id'] ?? $runnerResult['run_id'] ?? null,
         ];
     }
 
+    // The run id ties the runner's event log and artifacts to the history entry.
     private function executePlaywrightRunner(string $url): array
+    {
+        $runId = gmdate('Ymd\THis\Z') . '-' . bin2hex(random_bytes(3));
+        $serviceUrl = trim((string)($this->settings['playwright_runner']['url'] ?? ''));
+        if ($serviceUrl !== '') {
+            $serviceResult = $this->requestPlaywrightService($serviceUrl, $url, $runId);
+            if ($serviceResult !== null) {
+                return $serviceResult + ['run_id' => $runId];
+            }
+        }
+
+        return $this->spawnPlaywrightRunner($url, $runId) + ['run_id' => $runId];
+    }
+
+    private function requestPlaywrightService(string $serviceUrl, string $url, string $runId): ?array
+    {
+        $timeout = (int)($this->settings['playwright_runner']['timeout_seconds'] ?? 180);
+        $endpoint = rtrim($serviceUrl, '/') . '/check';
+
+        $ch = curl_init($endpoint);
+        if ($ch === false) {
+            return null;
+        }
+
+        curl_setopt_array($ch, [
+            CURLOPT_RETURNTRANSFER => true,
+            CURLOPT_POST => true,
+            CURLOPT_POSTFIELDS => json_encode(['url' => $url, 'run_id' => $runId]),
+            CURLOPT_HTTPHEADER => ['Content-Type: application/json'],
+            CURLOPT_TIMEOUT => $timeout,
+            CURLOPT_CONNECTTIMEOUT => 2,
+        ]);
+
+        $response = curl_exec($ch);
+        $status = (int)curl_getinfo($ch, CURLINFO_HTTP_CODE);
+        $errno = curl_errno($ch);
+        $error = curl_error($ch);
+        curl_close($ch);
+
+        // Service not reachable: fall back to spawning the runner directly.
+        // A timeout means the service is still working on the job, so a
+        // second browser must not be started next to it.
+        if (in_array($errno, [CURLE_COULDNT_CONNECT, CURLE_COULDNT_RESOLVE_HOST], true)) {
+            return null;
+        }
+        if ($response === false || $status === 0) {
+            return [
+                'decoded' => null,
+                'error' => 'Playwright service request failed: ' . ($error !== '' ? $error : 'no response') . '.',
+                'status' => 1,
+            ];
+        }
+
+        $decoded = json_decode(trim((string)$response), true);
+        if (!is_array($decoded)) {
+            return [
+                'decoded' => null,
+                'error' => 'Invalid Playwright service output (HTTP ' . $status . ').',
+                'status' => 1,
+            ];
+        }
+
+        return [
+            'decoded' => $decoded,
+            'error' => $decoded['error'] ?? null,
+            'status' => $status === 200 ? 0 : 1,
+        ];
+    }
+
+    private function spawnPlaywrightRunner(string $url, string $runId): array
     {
         $baseDir = dirname(__DIR__);
         $scriptPath = $baseDir . '/tools/robinson_playwright.js';
@@ -343,10 +439,13 @@ class PriceParser
             ];
         }
 
+        $logFile = $baseDir . '/artifacts/runs/' . $runId . '/events.ndjson';
         $command = sprintf(
-            'node %s %s',
+            'node %s %s --run-id %s --log-file %s',
             escapeshellarg($scriptPath),
             escapeshellarg($url),
+            escapeshellarg($runId),
+            escapeshellarg($logFile),
         );
 
         $descriptorSpec = [
@@ -374,7 +473,7 @@ class PriceParser
         if (!is_array($decoded)) {
             return [
                 'decoded' => null,
-                'error' => $stderr !== '' ? trim($stderr) : 'Invalid Playwright runner output.',
+                'error' => $this->readRunnerError($logFile, (string)$stderr),
                 'status' => $exitCode,
             ];
         }
@@ -386,6 +485,24 @@ class PriceParser
         ];
     }
 
+    // Message of the last "error" event in the runner log; the last stderr line
+    // only covers crashes before the log was opened.
+    private function readRunnerError(string $logFile, string $stderr): string
+    {
+        $lines = is_file($logFile) ? file($logFile, FILE_IGNORE_NEW_LINES | FILE_SKIP_EMPTY_LINES) : [];
+        foreach (array_reverse($lines ?: []) as $line) {
+            $event = json_decode($line, true);
+            if (is_array($event) && ($event['step'] ?? null) === 'error' && !empty($event['message'])) {
+                return (string)$event['message'];
+            }
+        }
+
+        $stderrLines = preg_split('/\R/', trim($stderr)) ?: [];
+        $lastLine = trim((string)end($stderrLines));
+
+        return $lastLine !== '' ? $lastLine : 'Invalid Playwright runner output.';
+    }
+
     public function isBlockedHtml(string $html): bool
     {
         $signals = [
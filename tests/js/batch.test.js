@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { runBatch } = require('../../tools/playwright_batch');
+
+const targets = [
+  { id: 'a', date: '2025-07-01', url: 'https://a.example/?d={date}', resolved_url: 'https://a.example/?d=2025-07-01', rooms: [] },
+  {
+    id: 'b',
+    date: '2025-07-01',
+    url: 'https://b.example/',
+    resolved_url: 'https://b.example/',
+    rooms: [{ name: 'Double', threshold: 500 }, { name: 'Suite', threshold: 900 }],
+  },
+  { id: 'c', date: '2025-07-01', url: 'https://c.example/', resolved_url: 'https://c.example/', rooms: [] },
+];
+
+// Answers like runCheckJob: a price for a, room results for b and a crash
+// for c.
+async function fakeRunJob(browser, url) {
+  if (url.startsWith('https://c.')) {
+    throw new Error('browser crashed');
+  }
+  const output = { url, error: null, price_text: '840', price_value: 840, currency: 'EUR' };
+  if (url.startsWith('https://b.')) {
+    output.rooms = [
+      { state: 'ok', offer: { name: 'Double' }, price_value: 450, currency: 'EUR' },
+      { state: 'unavailable', unavailable_reason: 'sold_out', offer: null, price_value: null, currency: null },
+    ];
+    output.offers = [];
+  }
+  return output;
+}
+
+async function batchLines(options = {}) {
+  const lines = [];
+  await runBatch(targets, {
+    concurrency: 2,
+    jobTimeoutMs: 1000,
+    runJob: fakeRunJob,
+    onResult: (line) => lines.push(JSON.parse(JSON.stringify(line))),
+    ...options,
+  });
+  return lines;
+}
+
+test('runBatch writes one line per target and room', async () => {
+  const lines = await batchLines();
+  assert.deepEqual(
+    lines.map((line) => [line.target_id, line.room_name]).sort(),
+    [['a', null], ['b', 'Double'], ['b', 'Suite'], ['c', null]],
+  );
+  const a = lines.find((line) => line.target_id === 'a');
+  assert.equal(a.url, 'https://a.example/?d=2025-07-01');
+  assert.equal(a.date, '2025-07-01');
+  assert.equal(a.price_value, 840);
+});
+
+test('runBatch reports room prices and sold-out rooms separately', async () => {
+  const lines = await batchLines();
+  const double = lines.find((line) => line.room_name === 'Double');
+  const suite = lines.find((line) => line.room_name === 'Suite');
+  assert.equal(double.price_value, 450);
+  assert.equal(double.threshold, 500);
+  assert.equal(double.room_state, 'ok');
+  assert.equal(suite.unavailable, true);
+  assert.equal(suite.unavailable_reason, 'sold_out');
+  assert.equal(suite.price_value, null);
+  assert.equal('rooms' in suite, false);
+});
+
+test('a failing target becomes an error line and the others still run', async () => {
+  const lines = await batchLines({ concurrency: 1 });
+  const c = lines.find((line) => line.target_id === 'c');
+  assert.equal(c.error, 'browser crashed');
+  assert.equal(c.price_value, null);
+  assert.equal(c.url, 'https://c.example/');
+  assert.equal(lines.filter((line) => line.error === null).length, 3);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRetryAfter, classifyBlock, backoffDelay } = require('../../tools/lib/blocking');
+
+const PRICE_PAGE_TEXT = 'Doppelzimmer\nGesamtpreis: 840,00 €\nInklusive Frühstück und Steuern';
+
+const blockCases = [
+  {
+    name: 'regular price page',
+    page: { httpStatus: 200, html: '<html><body>Gesamtpreis: 840,00 €</body></html>', bodyText: PRICE_PAGE_TEXT, hasPrice: true },
+    expected: { blocked: false, reason: null },
+  },
+  {
+    name: 'small legitimate page',
+    page: { httpStatus: 200, html: '<p>Ab € 95,00 pro Nacht</p>', bodyText: 'Ab € 95,00 pro Nacht', hasPrice: true },
+    expected: { blocked: false, reason: null },
+  },
+  {
+    name: 'rate limited',
+    page: { httpStatus: 429, retryAfter: '30', html: '<html></html>', bodyText: 'Too many requests' },
+    expected: { blocked: true, reason: 'rate_limited', signal: 'http 429', retryAfterMs: 30000 },
+  },
+  {
+    name: 'forbidden',
+    page: { httpStatus: 403, html: '<html></html>', bodyText: 'Forbidden' },
+    expected: { blocked: true, reason: 'forbidden', signal: 'http 403' },
+  },
+  {
+    name: 'cloudflare challenge behind 503',
+    page: { httpStatus: 503, html: '<html><head><title>Just a moment...</title></head><script src="/cdn-cgi/challenge-platform/h/b/orchestrate"></script></html>', bodyText: 'Checking your browser' },
+    expected: { blocked: true, reason: 'challenge', signal: 'cloudflare (http 503)' },
+  },
+  {
+    name: 'datadome interstitial redirect',
+    page: { httpStatus: 200, urlRequested: 'https://hotel.test/room', urlEffective: 'https://geo.captcha-delivery.com/captcha/?initialCid=x', html: '', bodyText: '' },
+    expected: { blocked: true, reason: 'interstitial', signal: 'https://geo.captcha-delivery.com/captcha/?initialCid=x' },
+  },
+  {
+    name: 'recaptcha page without price',
+    page: { httpStatus: 200, html: '<div class="g-recaptcha"></div>', bodyText: 'Please verify you are human' },
+    expected: { blocked: true, reason: 'captcha', signal: 'recaptcha' },
+  },
+  {
+    name: 'recaptcha widget on a page with a price',
+    page: { httpStatus: 200, html: '<div class="g-recaptcha"></div>', bodyText: PRICE_PAGE_TEXT, hasPrice: true },
+    expected: { blocked: false, reason: null },
+  },
+  {
+    name: 'text signal',
+    page: { httpStatus: 200, html: '<p>Please enable JavaScript to continue.</p>', bodyText: 'Please enable JavaScript to continue.' },
+    expected: { blocked: true, reason: 'js_required', signal: 'enable javascript' },
+  },
+  {
+    name: 'blank page',
+    page: { httpStatus: 200, html: '<html><body></body></html>', bodyText: '' },
+    expected: { blocked: true, reason: 'empty', signal: 'body_text 0 chars' },
+  },
+  {
+    name: 'blank page with price responses',
+    page: { httpStatus: 200, html: '<html><body></body></html>', bodyText: '', hasPriceResponses: true },
+    expected: { blocked: false, reason: null },
+  },
+  {
+    name: 'sold-out page',
+    page: { httpStatus: 200, html: '<p>Ausgebucht</p>', bodyText: 'Ausgebucht', unavailable: true },
+    expected: { blocked: false, reason: null },
+  },
+];
+
+for (const entry of blockCases) {
+  test(`classifyBlock: ${entry.name}`, () => {
+    const result = classifyBlock(entry.page);
+    for (const [key, value] of Object.entries(entry.expected)) {
+      assert.equal(result[key], value, key);
+    }
+  });
+}
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+  const now = Date.parse('2025-07-01T10:00:00Z');
+  assert.equal(parseRetryAfter('120', now), 120000);
+  assert.equal(parseRetryAfter('Tue, 01 Jul 2025 10:00:30 GMT', now), 30000);
+  assert.equal(parseRetryAfter('Tue, 01 Jul 2025 09:00:00 GMT', now), 0);
+  assert.equal(parseRetryAfter(null, now), null);
+  assert.equal(parseRetryAfter('soon', now), null);
+});
+
+test('backoffDelay doubles per attempt, honours Retry-After and is capped', () => {
+  assert.deepEqual([1, 2, 3].map((attempt) => backoffDelay(attempt, 1000, null)), [1000, 2000, 4000]);
+  assert.equal(backoffDelay(1, 1000, 15000), 15000);
+  assert.equal(backoffDelay(10, 1000, null), 60000);
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  occupancyFromArgs,
+  targetOccupancy,
+  normalizeBreakdown,
+  priceBreakdown,
+  contextFromPath,
+  winnerBreakdown,
+} = require('../../tools/lib/breakdown');
+
+const normalizeCases = [
+  {
+    name: 'total from base, taxes and fees',
+    parts: { base: 500, taxes: 47.5, fees: 55 },
+    occupancy: { nights: 5, guests: 2 },
+    expected: { base: 500, taxes: 47.5, fees: 55, total: 602.5, per_night: 120.5, per_person: 301.25, derived: ['total', 'per_night', 'per_person'] },
+  },
+  {
+    name: 'base from the total minus taxes',
+    parts: { total: 1190, taxes: 190 },
+    occupancy: {},
+    expected: { base: 1000, taxes: 190, fees: null, total: 1190, per_night: null, per_person: null, derived: ['base'] },
+  },
+  {
+    name: 'nightly rate plus a cleaning fee',
+    parts: { per_night: 95, fees: 40 },
+    occupancy: { nights: 3 },
+    expected: { base: 285, taxes: null, fees: 40, total: 325, per_night: 95, per_person: null, derived: ['total', 'base'] },
+  },
+  {
+    name: 'per person without a guest count stays partial',
+    parts: { per_person: 99 },
+    occupancy: { nights: 7 },
+    expected: { base: null, taxes: null, fees: null, total: null, per_night: null, per_person: 99, derived: [] },
+  },
+  {
+    name: 'a total that is already there is kept',
+    parts: { total: 840, per_night: 100 },
+    occupancy: { nights: 7, guests: 3 },
+    expected: { base: null, taxes: null, fees: null, total: 840, per_night: 100, per_person: 280, derived: ['per_person'] },
+  },
+];
+
+for (const entry of normalizeCases) {
+  test(`normalizeBreakdown: ${entry.name}`, () => {
+    const { nights, guests, ...breakdown } = normalizeBreakdown(entry.parts, entry.occupancy);
+    assert.deepEqual(breakdown, entry.expected);
+    assert.deepEqual([nights, guests], [entry.occupancy.nights || null, entry.occupancy.guests || null]);
+  });
+}
+
+const contextCases = [
+  [null, 840, { total: 840, per_night: 120, per_person: 420 }],
+  ['total', 840, { total: 840, per_night: 120, per_person: 420 }],
+  ['per_night', 120, { total: 840, per_night: 120, per_person: 420 }],
+  ['per_person', 420, { total: 840, per_night: 120, per_person: 420 }],
+  ['per_person_night', 60, { total: 840, per_night: 120, per_person: 420 }],
+];
+
+for (const [context, value, expected] of contextCases) {
+  test(`priceBreakdown: ${context} price for 7 nights and 2 guests`, () => {
+    const breakdown = priceBreakdown(value, context, { nights: 7, guests: 2 });
+    assert.deepEqual(
+      { total: breakdown.total, per_night: breakdown.per_night, per_person: breakdown.per_person },
+      expected,
+    );
+  });
+}
+
+test('priceBreakdown without occupancy only reports what the page showed', () => {
+  assert.deepEqual(priceBreakdown(60, 'per_person_night'), {
+    base: null,
+    taxes: null,
+    fees: null,
+    total: null,
+    per_night: null,
+    per_person: null,
+    nights: null,
+    guests: null,
+    derived: [],
+  });
+  assert.equal(priceBreakdown(null, 'total'), null);
+});
+
+test('winnerBreakdown uses the offer around a JSON winner', () => {
+  const offers = [
+    { total: null, per_night: 95, base: null, taxes: 12, fees: 40, per_person: null, path: 'rooms.0' },
+    { total: 900, per_night: null, base: null, taxes: null, fees: null, per_person: null, path: 'rooms.1' },
+  ];
+  const winner = { source: 'json', value: 95, path: 'rooms.0.pricing.night.amount', context: null };
+  assert.deepEqual(winnerBreakdown(winner, offers, { nights: 3 }), {
+    base: 285,
+    taxes: 12,
+    fees: 40,
+    total: 337,
+    per_night: 95,
+    per_person: null,
+    nights: 3,
+    guests: null,
+    derived: ['total', 'base'],
+  });
+  // "rooms.10" must not be taken for "rooms.1".
+  const other = { source: 'json', value: 110, path: 'rooms.10.perNight', context: null };
+  assert.equal(winnerBreakdown(other, offers, { nights: 3 }).total, 330);
+  assert.equal(winnerBreakdown(null, offers), null);
+});
+
+test('contextFromPath reads nightly and per-person JSON keys', () => {
+  assert.equal(contextFromPath('offer.pricePerNight'), 'per_night');
+  assert.equal(contextFromPath('prices.per_person.amount'), 'per_person');
+  assert.equal(contextFromPath('rate.perPersonPerNight'), 'per_person_night');
+  assert.equal(contextFromPath('pricing.total.amount'), null);
+});
+
+test('occupancy comes from CLI flags and target entries', () => {
+  assert.deepEqual(occupancyFromArgs({ nights: '3', guests: '2' }), { nights: 3, guests: 2 });
+  assert.deepEqual(occupancyFromArgs({}), { nights: null, guests: null });
+  assert.throws(() => occupancyFromArgs({ nights: '0' }), /--nights must be a positive integer/);
+  assert.deepEqual(targetOccupancy({ id: 'hotel', nights: 7, adults: 2 }), { nights: 7, guests: 2 });
+  assert.deepEqual(targetOccupancy({ id: 'hotel', guests: 3, adults: 2 }), { nights: null, guests: 3 });
+  assert.throws(() => targetOccupancy({ guests: 'two' }), /guests must be a positive integer/);
+});
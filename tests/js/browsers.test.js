@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_RUNNER_CONFIG, runnerOptionsFromArgs } = require('../../tools/lib/config');
+const {
+  engineChain,
+  contextUserAgent,
+  shouldFallback,
+  createBrowserSet,
+} = require('../../tools/lib/browsers');
+
+const onlyFirefox = (engine) => engine === 'firefox';
+
+const chainCases = [
+  { name: 'default chain skips engines that are not installed', config: DEFAULT_RUNNER_CONFIG, expected: ['chromium', 'firefox'] },
+  { name: 'configured engine runs even when it is missing', config: { browser: 'webkit', browser_fallback: ['firefox'] }, expected: ['webkit', 'firefox'] },
+  { name: 'primary engine is not repeated', config: { browser: 'firefox', browser_fallback: ['firefox', 'chromium'] }, expected: ['firefox'] },
+  { name: 'fallback switched off', config: { ...DEFAULT_RUNNER_CONFIG, ...runnerOptionsFromArgs({ 'browser-fallback': 'none' }) }, expected: ['chromium'] },
+];
+
+for (const entry of chainCases) {
+  test(`engineChain: ${entry.name}`, () => {
+    assert.deepEqual(engineChain(entry.config, onlyFirefox), entry.expected);
+  });
+}
+
+const fallbackCases = [
+  { output: { blocked: true, error: null }, expected: true },
+  { output: { blocked: false, error: 'did_not_render' }, expected: true },
+  { output: { blocked: false, error: 'net::ERR_NAME_NOT_RESOLVED' }, expected: false },
+  { output: { blocked: false, unavailable: true, error: null }, expected: false },
+  { output: { blocked: false, error: null, price_value: 840 }, expected: false },
+];
+
+for (const entry of fallbackCases) {
+  test(`shouldFallback: ${JSON.stringify(entry.output)}`, () => {
+    assert.equal(shouldFallback(entry.output), entry.expected);
+  });
+}
+
+function fakeBrowser(engine) {
+  const browser = { closed: false, browserType: () => ({ name: () => engine }) };
+  browser.close = async () => {
+    browser.closed = true;
+  };
+  return browser;
+}
+
+test('createBrowserSet reuses the seed browser and leaves it open', async () => {
+  const seed = fakeBrowser('chromium');
+  const browsers = createBrowserSet(seed);
+  assert.equal(await browsers.getBrowser('chromium'), seed);
+  await browsers.close();
+  assert.equal(seed.closed, false);
+  await assert.rejects(() => browsers.getBrowser('netscape'), /Unknown browser engine/);
+});
+
+test('contextUserAgent keeps the native user agent of other engines', () => {
+  assert.equal(contextUserAgent(fakeBrowser('chromium'), DEFAULT_RUNNER_CONFIG), DEFAULT_RUNNER_CONFIG.user_agent);
+  assert.equal(contextUserAgent(fakeBrowser('firefox'), DEFAULT_RUNNER_CONFIG), undefined);
+  assert.equal(contextUserAgent(fakeBrowser('webkit'), { ...DEFAULT_RUNNER_CONFIG, user_agent: 'custom' }), 'custom');
+});
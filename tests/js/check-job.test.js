@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runCheckJob } = require('../../tools/robinson_playwright');
+const { JobTimeoutError } = require('../../tools/lib/queue');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// A browser whose contexts take contextMs to come up and whose tracing
+// takes traceMs to start; nothing gets as far as loading a page.
+function slowBrowser({ contextMs = 0, traceMs = 0 } = {}) {
+  const contexts = [];
+  return {
+    contexts,
+    browserType: () => ({ name: () => 'chromium' }),
+    newContext: async () => {
+      await sleep(contextMs);
+      const context = {
+        closed: false,
+        tracing: { start: () => sleep(traceMs), stop: async () => {} },
+        close: async () => {
+          context.closed = true;
+        },
+      };
+      contexts.push(context);
+      return context;
+    },
+  };
+}
+
+const jobOptions = {
+  runnerLayers: [{ browser_fallback: [] }],
+  trace: 'on-failure',
+  eventSink: { write: () => {} },
+};
+
+const slowCases = [
+  { name: 'context creation', browser: { contextMs: 150 } },
+  { name: 'trace start', browser: { traceMs: 150 } },
+];
+
+for (const entry of slowCases) {
+  test(`the job timeout covers ${entry.name} and the context is closed`, async () => {
+    const artifactsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'preismonitor-job-'));
+    try {
+      const browser = slowBrowser(entry.browser);
+      const started = Date.now();
+      await assert.rejects(runCheckJob(browser, 'https://hotel.example/', { ...jobOptions, artifactsDir }, 40), JobTimeoutError);
+      assert.ok(Date.now() - started < 140);
+      await sleep(200);
+      assert.equal(browser.contexts.length, 1);
+      assert.equal(browser.contexts[0].closed, true);
+    } finally {
+      fs.rmSync(artifactsDir, { recursive: true, force: true });
+    }
+  });
+}
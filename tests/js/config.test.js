@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_PROFILE } = require('../../tools/lib/profiles');
+const {
+  DEFAULT_RUNNER_CONFIG,
+  loadRunnerSettings,
+  runnerOptionsFromArgs,
+  resolveRunnerConfig,
+} = require('../../tools/lib/config');
+
+const PROFILE = {
+  ...DEFAULT_PROFILE,
+  locale: 'de-CH',
+  timezone: 'Europe/Zurich',
+  accept_language: 'de-CH,de;q=0.9',
+  wait: { ...DEFAULT_PROFILE.wait, timeout_ms: 15000 },
+};
+
+const resolveCases = [
+  {
+    name: 'defaults and profile only',
+    layers: [],
+    expected: {
+      navigation_timeout_ms: DEFAULT_RUNNER_CONFIG.navigation_timeout_ms,
+      price_wait_timeout_ms: 15000,
+      locale: 'de-CH',
+      timezone: 'Europe/Zurich',
+      viewport: { width: 1280, height: 720 },
+    },
+  },
+  {
+    name: 'settings override the profile',
+    layers: [{ locale: 'en-GB', price_wait_timeout_ms: 20000 }],
+    expected: { locale: 'en-GB', price_wait_timeout_ms: 20000, timezone: 'Europe/Zurich' },
+  },
+  {
+    name: 'target beats settings, CLI beats target',
+    layers: [
+      { navigation_timeout_ms: 90000, user_agent: 'settings-ua' },
+      { navigation_timeout_ms: 45000, viewport: { width: 1366, height: 768 } },
+      runnerOptionsFromArgs({ 'navigation-timeout': '30000', viewport: '390x844' }),
+    ],
+    expected: { navigation_timeout_ms: 30000, user_agent: 'settings-ua', viewport: { width: 390, height: 844 } },
+  },
+  {
+    name: 'resource blocking is off by default',
+    layers: [],
+    expected: { block_resources: false },
+  },
+  {
+    name: 'profile opts in to resource blocking',
+    profile: { ...PROFILE, block_resources: true },
+    layers: [],
+    expected: { block_resources: true },
+  },
+  {
+    name: 'resource blocking can be switched off',
+    profile: { ...PROFILE, block_resources: true },
+    layers: [{ block_resources: 'off' }],
+    expected: { block_resources: false },
+  },
+  {
+    name: 'profile picks the engine, target overrides it',
+    profile: { ...PROFILE, browser: 'webkit', browser_fallback: [] },
+    layers: [{ browser: 'firefox' }],
+    expected: { browser: 'firefox', browser_fallback: [] },
+  },
+  {
+    name: 'empty values leave lower layers alone',
+    layers: [{ locale: '', timezone: null }],
+    expected: { locale: 'de-CH', timezone: 'Europe/Zurich' },
+  },
+];
+
+for (const entry of resolveCases) {
+  test(`resolveRunnerConfig: ${entry.name}`, () => {
+    const config = resolveRunnerConfig(entry.profile || PROFILE, entry.layers);
+    for (const [key, value] of Object.entries(entry.expected)) {
+      assert.deepEqual(config[key], value, key);
+    }
+  });
+}
+
+test('runnerOptionsFromArgs rejects invalid values', () => {
+  assert.throws(() => runnerOptionsFromArgs({ viewport: '1280' }), /Invalid viewport/);
+  assert.throws(() => runnerOptionsFromArgs({ 'price-wait-timeout': 'soon' }), /Invalid price_wait_timeout_ms/);
+  assert.throws(() => runnerOptionsFromArgs({ 'block-resources': 'maybe' }), /Invalid block_resources/);
+  assert.throws(() => runnerOptionsFromArgs({ browser: 'opera' }), /Invalid browser/);
+  assert.deepEqual(runnerOptionsFromArgs({ browser: 'Firefox', 'browser-fallback': 'webkit, chromium' }), {
+    browser: 'firefox',
+    browser_fallback: ['webkit', 'chromium'],
+  });
+  assert.deepEqual(runnerOptionsFromArgs({ locale: 'fr-FR', concurrency: '3' }), { locale: 'fr-FR' });
+});
+
+test('loadRunnerSettings falls back to the top-level user_agent and timeout_seconds', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'preismonitor-config-'));
+  try {
+    const settingsPath = path.join(dir, 'settings.json');
+    fs.writeFileSync(settingsPath, JSON.stringify({
+      user_agent: 'PreisMonitor/1.0',
+      timeout_seconds: 20,
+      playwright_runner: { url: '', timeout_seconds: 180, viewport: '1366x768' },
+    }));
+    assert.deepEqual(loadRunnerSettings(settingsPath), {
+      user_agent: 'PreisMonitor/1.0',
+      navigation_timeout_ms: 20000,
+      viewport: { width: 1366, height: 768 },
+    });
+    fs.writeFileSync(settingsPath, JSON.stringify({
+      user_agent: 'PreisMonitor/1.0',
+      timeout_seconds: 20,
+      playwright_runner: { user_agent: 'runner-ua', navigation_timeout_ms: 90000 },
+    }));
+    assert.deepEqual(loadRunnerSettings(settingsPath), { user_agent: 'runner-ua', navigation_timeout_ms: 90000 });
+    assert.deepEqual(loadRunnerSettings(path.join(dir, 'missing.json')), {});
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('config/settings.json sets the runner timeouts in playwright_runner', () => {
+  assert.deepEqual(loadRunnerSettings(), {
+    user_agent: 'PreisMonitor/1.0',
+    navigation_timeout_ms: 60000,
+    network_idle_timeout_ms: 60000,
+  });
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createServer } = require('../../tools/playwright_daemon');
+const { JobTimeoutError } = require('../../tools/lib/queue');
+
+// Stands in for createRunnerService: records the calls and answers like the
+// runner, or throws what the test asks for.
+function createFakeService(fail = null) {
+  const calls = [];
+  return {
+    calls,
+    check: async (url, options) => {
+      calls.push({ url, options });
+      if (fail) {
+        throw fail;
+      }
+      return { url, price_value: 840, currency: 'EUR', run_id: options.runId || 'run-1' };
+    },
+    health: () => ({ status: 'ok', running: 0, queued: 0, concurrency: 1, completed: calls.length, failed: 0 }),
+  };
+}
+
+async function withServer(service, fn) {
+  const server = createServer(service);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+async function post(baseUrl, body) {
+  const response = await fetch(`${baseUrl}/check`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('POST /check passes the job to the service and returns its JSON', async () => {
+  const service = createFakeService();
+  await withServer(service, async (baseUrl) => {
+    const response = await post(baseUrl, {
+      url: 'https://hotel.example/rooms',
+      date: '2025-07-01',
+      retries: 2,
+      run_id: 'run-42',
+      session: 'hotel.example',
+      runner: { locale: 'fr-FR' },
+    });
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body, { url: 'https://hotel.example/rooms', price_value: 840, currency: 'EUR', run_id: 'run-42' });
+  });
+  const [{ url, options }] = service.calls;
+  assert.equal(url, 'https://hotel.example/rooms');
+  assert.deepEqual(options.vars, { date: '2025-07-01' });
+  assert.equal(options.retries, 2);
+  assert.deepEqual(options.runnerLayers, [{ locale: 'fr-FR' }]);
+  assert.deepEqual(options.session, { key: 'hotel.example', save: false });
+});
+
+test('GET /health reports the service state', async () => {
+  await withServer(createFakeService(), async (baseUrl) => {
+    const response = await fetch(`${baseUrl}/health`);
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).status, 'ok');
+  });
+});
+
+const errorCases = [
+  { name: 'a missing url is a bad request', body: { date: '2025-07-01' }, status: 400, error: /Missing or invalid url/ },
+  { name: 'invalid JSON is a bad request', body: '{"url":', status: 400, error: /Invalid JSON body/ },
+  { name: 'invalid steps are a bad request', body: { url: 'https://hotel.example/', steps: [{ action: 'dance' }] }, status: 400, error: /Unknown step action at index 0: dance/ },
+  { name: 'a job timeout is a 504', body: { url: 'https://hotel.example/' }, fail: new JobTimeoutError(1000), status: 504, error: /job_timeout after 1000ms/ },
+  { name: 'a runner failure is a 500', body: { url: 'https://hotel.example/' }, fail: new Error('browser crashed'), status: 500, error: /browser crashed/ },
+];
+
+for (const entry of errorCases) {
+  test(`POST /check: ${entry.name}`, async () => {
+    const service = createFakeService(entry.fail);
+    await withServer(service, async (baseUrl) => {
+      const response = await post(baseUrl, entry.body);
+      assert.equal(response.status, entry.status);
+      assert.match(response.body.error, entry.error);
+    });
+    assert.equal(service.calls.length, entry.fail ? 1 : 0);
+  });
+}
+
+test('unknown routes are 404', async () => {
+  await withServer(createFakeService(), async (baseUrl) => {
+    const response = await fetch(`${baseUrl}/nope`);
+    assert.equal(response.status, 404);
+    await response.json();
+  });
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRunId, createEventLog, writeRunArtifacts } = require('../../tools/lib/events');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+function withTempDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'preismonitor-events-'));
+  try {
+    return fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('createRunId is a sortable UTC stamp with a random suffix', () => {
+  const runId = createRunId(new Date('2025-07-01T10:02:03.456Z'));
+  assert.match(runId, /^20250701T100203Z-[0-9a-f]{6}$/);
+  assert.notEqual(createRunId(), createRunId());
+});
+
+test('createEventLog writes one JSON line per event and child fields stick', () => {
+  const lines = [];
+  const log = createEventLog({ runId: 'run-1', sink: { write: (line) => lines.push(line) } });
+  log.emit('goto', { url: 'https://example.com/', ok: true, ms: 12 });
+  log.child({ attempt: 2 }).emit('retry', { wait_ms: 1000, skipped: undefined });
+
+  const events = lines.map((line) => JSON.parse(line));
+  assert.deepEqual(events.map(({ ts, ...event }) => event), [
+    { run_id: 'run-1', step: 'goto', url: 'https://example.com/', ok: true, ms: 12 },
+    { run_id: 'run-1', step: 'retry', attempt: 2, wait_ms: 1000 },
+  ]);
+  assert.ok(events.every((event) => !Number.isNaN(Date.parse(event.ts))));
+});
+
+test('writeRunArtifacts writes files under the run id and skips missing content', () => {
+  withTempDir((dir) => {
+    const written = writeRunArtifacts(dir, 'run-1', {
+      html: { file: 'page.html', content: '<html></html>' },
+      screenshot: { file: 'screenshot.png', content: null },
+    });
+    assert.equal(written.dir, path.join(dir, 'run-1'));
+    assert.equal(fs.readFileSync(written.html, 'utf8'), '<html></html>');
+    assert.equal(written.screenshot, undefined);
+  });
+});
+
+test('replay run logs its events to --log-file under the given run id', () => {
+  withTempDir((dir) => {
+    const logFile = path.join(dir, 'logs', 'events.ndjson');
+    const stdout = execFileSync(process.execPath, [
+      path.join(ROOT_DIR, 'tools', 'robinson_playwright.js'),
+      '--replay', path.join(ROOT_DIR, 'artifacts', 'debug', 'host_total.html'),
+      '--run-id', 'replay-1',
+      '--log-file', logFile,
+    ], { cwd: dir, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+
+    const output = JSON.parse(stdout.trim());
+    const events = fs.readFileSync(logFile, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+    assert.equal(output.run_id, 'replay-1');
+    assert.deepEqual(events.map((event) => event.step), ['start', 'dom', 'xhr', 'extract', 'done']);
+    assert.ok(events.every((event) => event.run_id === 'replay-1'));
+    assert.equal(events.at(-1).price_value, 1234.56);
+  });
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+  normalizeAmount,
+  parsePriceFromText,
+  extractCandidatesFromJson,
+  extractOffersFromJson,
+} = require('../../tools/lib/extraction');
+
+const fixturesDir = path.join(__dirname, '..', '..', 'artifacts', 'debug');
+
+const amountCases = [
+  ['1.234,56', 'de-DE', 1234.56],
+  ['1.234', 'de-DE', 1234],
+  ['1,234', 'de-DE', 1.234],
+  ['123,45', 'de-DE', 123.45],
+  ['1.234.567', 'de-DE', 1234567],
+  ['99,-', 'de-DE', 99],
+  ['99,–', 'de-DE', 99],
+  ['1,234.56', 'en-US', 1234.56],
+  ['1,234', 'en-US', 1234],
+  ['1.234', 'en-GB', 1.234],
+  ['499.99', 'de-DE', 499.99],
+  ["1'250.50", 'de-CH', 1250.5],
+  ["1'250.–", 'de-CH', 1250],
+  ['1\u2019250', 'de-CH', 1250],
+  ['1 234,56', 'fr-FR', 1234.56],
+  ['1\u202F234,56', 'fr-FR', 1234.56],
+  ['1\u00A0234', 'fr-FR', 1234],
+  ['', 'de-DE', null],
+  ['abc', 'de-DE', null],
+];
+
+for (const [input, locale, expected] of amountCases) {
+  test(`normalizeAmount(${JSON.stringify(input)}, ${locale})`, () => {
+    assert.equal(normalizeAmount(input, locale), expected);
+  });
+}
+
+const textCases = [
+  ['Gesamtpreis: 1.234,56 €', 'de-DE', { raw: '1.234,56 €', value: 1234.56, currency: 'EUR', context: 'total' }],
+  ['Ab nur € 189,00 pro Nacht', 'de-DE', { raw: '€ 189,00', value: 189, currency: 'EUR', context: 'per_night' }],
+  ['Total $1,234.56', 'en-US', { raw: '$1,234.56', value: 1234.56, currency: 'USD', context: 'total' }],
+  ['£89.50 per night', 'en-GB', { raw: '£89.50', value: 89.5, currency: 'GBP', context: 'per_night' }],
+  ["CHF 1'250.–", 'de-CH', { raw: "CHF 1'250.–", value: 1250, currency: 'CHF', context: null }],
+  ["1'250.– CHF", 'de-CH', { raw: "1'250.– CHF", value: 1250, currency: 'CHF', context: null }],
+  ['1 234,50 € au total', 'fr-FR', { raw: '1 234,50 €', value: 1234.5, currency: 'EUR', context: 'total' }],
+  ['EUR 99,- pro Person', 'de-DE', { raw: 'EUR 99,-', value: 99, currency: 'EUR', context: 'per_person' }],
+  ['45,00 € pro Person und Nacht', 'de-DE', { raw: '45,00 €', value: 45, currency: 'EUR', context: 'per_person_night' }],
+  ['$120 per person per night', 'en-US', { raw: '$120', value: 120, currency: 'USD', context: 'per_person_night' }],
+  ['89 € par nuit', 'fr-FR', { raw: '89 €', value: 89, currency: 'EUR', context: 'per_night' }],
+  ['1.234 EUR', 'de-DE', { raw: '1.234 EUR', value: 1234, currency: 'EUR', context: null }],
+  ['$499.99', 'de-DE', { raw: '$499.99', value: 499.99, currency: 'USD', context: null }],
+  ['Zimmer 12 frei', 'de-DE', null],
+  ['NEUR 5', 'de-DE', null],
+];
+
+for (const [input, locale, expected] of textCases) {
+  test(`parsePriceFromText(${JSON.stringify(input)}, ${locale})`, () => {
+    assert.deepEqual(parsePriceFromText(input, locale), expected);
+  });
+}
+
+test('host_total.html total parses as German grouping', () => {
+  const html = fs.readFileSync(path.join(fixturesDir, 'host_total.html'), 'utf8');
+  const parsed = parsePriceFromText(html, 'de-DE');
+  assert.equal(parsed.value, 1234.56);
+  assert.equal(parsed.currency, 'EUR');
+});
+
+test('host_room.html room price parses with leading symbol', () => {
+  const html = fs.readFileSync(path.join(fixturesDir, 'host_room.html'), 'utf8');
+  const parsed = parsePriceFromText(html, 'de-DE');
+  assert.equal(parsed.value, 189);
+  assert.equal(parsed.currency, 'EUR');
+});
+
+test('api_response_available.json offer amounts use the locale', () => {
+  const payload = JSON.parse(fs.readFileSync(path.join(fixturesDir, 'api_response_available.json'), 'utf8'));
+  const [offer] = extractOffersFromJson(payload, [], 'de-DE');
+  assert.equal(offer.total, 1234.56);
+  assert.equal(offer.per_night, 123.45);
+  assert.equal(offer.currency, 'EUR');
+  const candidates = extractCandidatesFromJson(payload, [], 'de-DE');
+  assert.deepEqual(
+    candidates.map((candidate) => [candidate.path, candidate.value, candidate.currency]),
+    [
+      ['rooms.0.pricing.total.amount', 1234.56, 'eur'],
+      ['rooms.0.pricing.night.amount', 123.45, 'EUR'],
+    ],
+  );
+});
+
+test('offer pricing objects report base, summed taxes and fees, and per person', () => {
+  const payload = {
+    rooms: [{
+      name: 'Suite',
+      pricing: {
+        base: '500,00 €',
+        taxes: [{ name: 'VAT', amount: 35 }, { name: 'City tax', amount: '12,50' }],
+        fees: { cleaning: 40, service: '15,00 €' },
+        total: { amount: '602,50', currency: 'EUR' },
+        perPerson: 301.25,
+      },
+    }],
+  };
+  const [offer] = extractOffersFromJson(payload, [], 'de-DE');
+  assert.deepEqual(
+    [offer.base, offer.taxes, offer.fees, offer.total, offer.per_night, offer.per_person],
+    [500, 47.5, 55, 602.5, null, 301.25],
+  );
+});
+
+test('api_response_blocked.json keeps English decimals', () => {
+  const payload = JSON.parse(fs.readFileSync(path.join(fixturesDir, 'api_response_blocked.json'), 'utf8'));
+  const [offer] = extractOffersFromJson(payload, [], 'de-DE');
+  assert.equal(offer.total, 499.99);
+  assert.equal(offer.currency, 'USD');
+  assert.equal(offer.available, false);
+});
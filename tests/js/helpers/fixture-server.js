@@ -0,0 +1,71 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const SITE_DIR = path.join(__dirname, '..', '..', 'fixtures', 'site');
+const DEBUG_DIR = path.join(__dirname, '..', '..', '..', 'artifacts', 'debug');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+};
+
+function sendFile(response, filePath) {
+  if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+    response.writeHead(404, { 'Content-Type': 'text/plain' });
+    response.end('Not found');
+    return;
+  }
+  response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+  response.end(fs.readFileSync(filePath));
+}
+
+// Serves tests/fixtures/site at /, artifacts/debug at /debug/, the debug JSON
+// responses at /api/rooms?fixture=<file>&delay=<ms> for late XHR prices, a
+// batched GraphQL answer sent as text/plain at /graphql, a 429 page with
+// Retry-After at /rate-limited and a session cookie plus redirect to
+// /total.html at /login.
+function startFixtureServer() {
+  const server = http.createServer((request, response) => {
+    const { pathname, searchParams } = new URL(request.url, 'http://localhost');
+    if (pathname === '/api/rooms') {
+      const fixture = path.basename(searchParams.get('fixture') || '');
+      const delay = Number(searchParams.get('delay') || 0);
+      setTimeout(() => sendFile(response, path.join(DEBUG_DIR, fixture)), delay);
+      return;
+    }
+    if (pathname === '/graphql') {
+      response.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+      response.end(fs.readFileSync(path.join(SITE_DIR, 'graphql-batch.json')));
+      return;
+    }
+    if (pathname === '/rate-limited') {
+      response.writeHead(429, { 'Content-Type': 'text/html; charset=utf-8', 'Retry-After': '1' });
+      response.end('<!DOCTYPE html><html><body><h1>Too Many Requests</h1></body></html>');
+      return;
+    }
+    if (pathname === '/login') {
+      response.writeHead(302, { Location: '/total.html', 'Set-Cookie': 'sid=fixture-session; Path=/' });
+      response.end();
+      return;
+    }
+    if (pathname.startsWith('/debug/')) {
+      sendFile(response, path.join(DEBUG_DIR, path.basename(pathname)));
+      return;
+    }
+    sendFile(response, path.join(SITE_DIR, path.basename(pathname)));
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+module.exports = {
+  SITE_DIR,
+  startFixtureServer,
+};
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JobTimeoutError, withTimeout, createJobQueue } = require('../../tools/lib/queue');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('createJobQueue starts jobs in order and never runs more than concurrency', async () => {
+  const queue = createJobQueue({ concurrency: 2 });
+  const started = [];
+  let running = 0;
+  let peak = 0;
+  const job = (name, ms) => async () => {
+    started.push(name);
+    running += 1;
+    peak = Math.max(peak, running);
+    await sleep(ms);
+    running -= 1;
+    return name;
+  };
+
+  const results = Promise.all([job('a', 30), job('b', 10), job('c', 10), job('d', 10)].map((task) => queue.push(task)));
+  assert.deepEqual(queue.stats(), { running: 2, queued: 2, concurrency: 2 });
+  assert.deepEqual(await results, ['a', 'b', 'c', 'd']);
+  assert.deepEqual(started, ['a', 'b', 'c', 'd']);
+  assert.equal(peak, 2);
+  assert.deepEqual(queue.stats(), { running: 0, queued: 0, concurrency: 2 });
+});
+
+test('createJobQueue keeps going after a failed job', async () => {
+  const queue = createJobQueue();
+  const failed = queue.push(async () => {
+    throw new Error('boom');
+  });
+  const next = queue.push(async () => 'next');
+  await assert.rejects(failed, /boom/);
+  assert.equal(await next, 'next');
+});
+
+test('withTimeout rejects a slow job with JobTimeoutError and calls onTimeout', async () => {
+  let cleanedUp = false;
+  const slow = sleep(200).then(() => 'late');
+  await assert.rejects(withTimeout(slow, 20, () => {
+    cleanedUp = true;
+  }), (error) => {
+    assert.ok(error instanceof JobTimeoutError);
+    assert.equal(error.name, 'JobTimeoutError');
+    assert.equal(error.timeoutMs, 20);
+    return true;
+  });
+  assert.equal(cleanedUp, true);
+  await slow;
+});
+
+test('withTimeout passes results through and 0 means no timeout', async () => {
+  assert.equal(await withTimeout(sleep(5).then(() => 'done'), 1000), 'done');
+  assert.equal(await withTimeout(sleep(5).then(() => 'done'), 0), 'done');
+  await assert.rejects(withTimeout(Promise.reject(new Error('boom')), 1000), /boom/);
+});
+
+test('a queued job that times out is reported as an error and frees its slot', async () => {
+  const queue = createJobQueue({ concurrency: 1 });
+  const slow = sleep(100);
+  const timedOut = queue.push(() => withTimeout(slow, 10));
+  const next = queue.push(async () => 'next');
+  await assert.rejects(timedOut, JobTimeoutError);
+  assert.equal(await next, 'next');
+  await slow;
+});
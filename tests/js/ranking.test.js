@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { rankPriceCandidates, summarizeCandidates } = require('../../tools/lib/ranking');
+
+const rankingCases = [
+  {
+    name: 'total beats an earlier deposit element',
+    candidates: [
+      { source: 'dom', value: 100, currency: 'EUR', text: 'Anzahlung heute: 100,00 €' },
+      { source: 'dom', value: 640, currency: 'EUR', text: 'Gesamtpreis: 640,00 €' },
+    ],
+    winner: 640,
+    reasons: ['source:dom', 'label:total', 'context:total', 'currency'],
+  },
+  {
+    name: 'total beats a per-person price',
+    candidates: [
+      { source: 'selector', value: 320, currency: 'EUR', text: '320 € pro Person', selector: '.price' },
+      { source: 'dom', value: 640, currency: 'EUR', text: 'Gesamt 640 €' },
+    ],
+    winner: 640,
+  },
+  {
+    name: 'a price per person and night is penalised once',
+    candidates: [
+      { source: 'dom', value: 45, currency: 'EUR', text: '45 € pro Person und Nacht' },
+    ],
+    winner: 45,
+    reasons: ['source:dom', 'context:per_person_night', 'currency'],
+  },
+  {
+    name: 'hidden element loses against a visible one',
+    candidates: [
+      { source: 'selector', value: 999, currency: 'EUR', text: '999 €', selector: '.price', visible: false },
+      { source: 'selector', value: 640, currency: 'EUR', text: '640 €', selector: '.total-price', visible: true, font_size: 24 },
+    ],
+    winner: 640,
+  },
+  {
+    name: 'sources agreeing on a value win over a lone JSON total',
+    candidates: [
+      { source: 'json', value: 700, currency: 'EUR', path: 'offer.total', key: 'total' },
+      { source: 'json', value: 640, currency: 'EUR', path: 'offer.amount', key: 'amount' },
+      { source: 'dom', value: 640, currency: 'EUR', text: 'Gesamt 640 €' },
+      { source: 'regex', value: 640, currency: 'EUR', text: 'Gesamt 640,00 €' },
+    ],
+    winner: 640,
+  },
+  {
+    name: 'an id next to a price is not a price',
+    candidates: [
+      { source: 'json', value: 4711, currency: null, path: 'hotelId', key: 'hotelId' },
+      { source: 'json', value: 3, currency: null, path: 'offer.nights', key: 'nights' },
+      { source: 'json', value: 199, currency: null, path: 'offer.amount', key: 'amount' },
+    ],
+    winner: 199,
+    reasons: ['source:json', 'price_key'],
+  },
+  {
+    name: 'a price key beats another number in the same response',
+    candidates: [
+      { source: 'json', value: 12, currency: 'EUR', path: 'offer.floor', key: 'floor' },
+      { source: 'json', value: 240, currency: 'EUR', path: 'offer.price.value', key: 'value' },
+    ],
+    winner: 240,
+  },
+  {
+    name: 'preferred JSON path wins',
+    candidates: [
+      { source: 'json', value: 700, currency: 'EUR', path: 'offer.total', key: 'total' },
+      { source: 'json', value: 650, currency: 'EUR', path: 'offer.gross.value', key: 'value' },
+    ],
+    preferences: { preferKeys: 'total', preferPaths: ['gross'] },
+    winner: 650,
+  },
+];
+
+for (const entry of rankingCases) {
+  test(`rankPriceCandidates: ${entry.name}`, () => {
+    const ranking = rankPriceCandidates(entry.candidates, entry.preferences);
+    assert.equal(ranking.winner.value, entry.winner);
+    assert.ok(ranking.confidence > 0 && ranking.confidence <= 1);
+    if (entry.reasons) {
+      assert.deepEqual(ranking.reasons, entry.reasons);
+    }
+  });
+}
+
+test('rankPriceCandidates returns no winner without candidates', () => {
+  const ranking = rankPriceCandidates([{ source: 'json', value: 0, path: 'total' }]);
+  assert.equal(ranking.winner, null);
+  assert.equal(ranking.confidence, null);
+  assert.deepEqual(ranking.reasons, []);
+});
+
+test('a single uncontested price keeps a higher confidence than a contested one', () => {
+  const single = rankPriceCandidates([{ source: 'dom', value: 640, currency: 'EUR', text: 'Gesamt 640 €' }]);
+  const contested = rankPriceCandidates([
+    { source: 'dom', value: 640, currency: 'EUR', text: 'Gesamt 640 €' },
+    { source: 'dom', value: 600, currency: 'EUR', text: 'Gesamt 600 €' },
+  ]);
+  assert.ok(single.confidence > contested.confidence);
+});
+
+test('summarizeCandidates keeps the top entries only', () => {
+  const candidates = [1, 2, 3, 4, 5, 6, 7].map((value) => ({ source: 'dom', value, currency: 'EUR', text: `${value} €` }));
+  const summary = summarizeCandidates(rankPriceCandidates(candidates).ranked, 3);
+  assert.equal(summary.length, 3);
+  assert.deepEqual(Object.keys(summary[0]), ['source', 'value', 'currency', 'text', 'path', 'selector', 'context', 'score', 'reasons']);
+});
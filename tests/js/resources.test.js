@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  createResourcePolicy,
+  createResourceStats,
+  countBlocked,
+  summarizeResourceStats,
+  installResourceBlocking,
+} = require('../../tools/lib/resources');
+const { DEFAULT_PROFILE } = require('../../tools/lib/profiles');
+
+const policyCases = [
+  { url: 'https://hotel.example/', type: 'document', expected: null },
+  { url: 'https://hotel.example/logo.png', type: 'image', expected: { reason: 'type', match: 'image' } },
+  { url: 'https://hotel.example/fonts/a.woff2', type: 'font', expected: { reason: 'type', match: 'font' } },
+  { url: 'https://hotel.example/app.css', type: 'stylesheet', expected: null },
+  { url: 'https://www.googletagmanager.com/gtm.js', type: 'script', expected: { reason: 'domain', match: 'googletagmanager.com' } },
+  { url: 'https://www.facebook.com/tr?id=1', type: 'image', expected: { reason: 'domain', match: 'facebook.com/tr' } },
+  { url: 'https://www.facebook.com/hotel', type: 'document', expected: null },
+  { url: 'https://ads.partner.example/x.js', type: 'script', expected: { reason: 'domain', match: 'partner.example' } },
+  { url: 'https://api.booking-engine.example/rates', type: 'fetch', expected: null },
+  { url: 'https://img.booking-engine.example/room.jpg', type: 'image', expected: null },
+];
+
+const resources = {
+  ...DEFAULT_PROFILE.resources,
+  block_domains: ['partner.example'],
+  allow_hosts: ['booking-engine.example'],
+};
+
+for (const entry of policyCases) {
+  test(`createResourcePolicy: ${entry.type} ${entry.url}`, () => {
+    assert.deepEqual(createResourcePolicy(resources)(entry.url, entry.type), entry.expected);
+  });
+}
+
+test('block_trackers false keeps tracker scripts', () => {
+  const decide = createResourcePolicy({ block_trackers: false });
+  assert.equal(decide('https://www.google-analytics.com/analytics.js', 'script'), null);
+});
+
+test('summarizeResourceStats keeps the hosts with the most blocked requests', () => {
+  const stats = createResourceStats(true);
+  for (let index = 0; index < 12; index += 1) {
+    countBlocked(stats, `https://cdn${index}.example/a.png`, 'image');
+  }
+  countBlocked(stats, 'https://cdn5.example/b.png', 'image');
+  const summary = summarizeResourceStats(stats);
+  assert.equal(summary.blocked, 13);
+  assert.deepEqual(summary.by_type, { image: 13 });
+  assert.equal(Object.keys(summary.by_host).length, 10);
+  assert.equal(Object.keys(summary.by_host)[0], 'cdn5.example');
+});
+
+function fakeRoute(url, resourceType) {
+  const calls = [];
+  return {
+    calls,
+    request: () => ({ url: () => url, resourceType: () => resourceType }),
+    abort: async (code) => calls.push(['abort', code]),
+    fallback: async () => calls.push(['fallback']),
+  };
+}
+
+test('installResourceBlocking aborts blocked requests and falls back for the rest', async () => {
+  let handler = null;
+  const context = { route: async (pattern, callback) => { handler = callback; } };
+  const stats = await installResourceBlocking(context, DEFAULT_PROFILE.resources);
+  const image = fakeRoute('https://hotel.example/room.jpg', 'image');
+  const api = fakeRoute('https://hotel.example/api/prices', 'fetch');
+  await handler(image);
+  await handler(api);
+  assert.deepEqual(image.calls, [['abort', 'blockedbyclient']]);
+  assert.deepEqual(api.calls, [['fallback']]);
+  assert.deepEqual(stats, { enabled: true, blocked: 1, by_type: { image: 1 }, by_host: { 'hotel.example': 1 } });
+
+  const untouched = { route: async () => assert.fail('route must not be installed') };
+  assert.equal((await installResourceBlocking(untouched, DEFAULT_PROFILE.resources, false)).enabled, false);
+});
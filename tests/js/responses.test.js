@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isJsonContentType,
+  parseJsonBody,
+  formatJsonBody,
+  graphqlOperations,
+  decodePriceResponses,
+} = require('../../tools/lib/responses');
+const { PRICE_KEY_REGEX } = require('../../tools/lib/extraction');
+const { createFieldMatcher, requestBodyFor } = require('../../tools/lib/redact');
+
+const contentTypeCases = [
+  ['application/json; charset=utf-8', true],
+  ['application/vnd.api+json', true],
+  ['application/graphql-response+json', true],
+  ['application/x-ndjson', true],
+  ['text/plain;charset=UTF-8', true],
+  ['text/javascript', true],
+  ['text/html', false],
+  ['image/png', false],
+  ['', false],
+];
+
+for (const [contentType, expected] of contentTypeCases) {
+  test(`isJsonContentType(${JSON.stringify(contentType)})`, () => {
+    assert.equal(isJsonContentType(contentType), expected);
+  });
+}
+
+const bodyCases = [
+  ['plain JSON', '{"price":120}', { format: 'json', value: { price: 120 }, prefix: '', suffix: '' }],
+  [
+    'JSONP callback',
+    '/**/ jQuery123_456({"price":120});',
+    { format: 'jsonp', value: { price: 120 }, prefix: '/**/ jQuery123_456(', suffix: ');' },
+  ],
+  [
+    'guarded JSONP',
+    'typeof cb === "function" && cb([1, 2])',
+    { format: 'jsonp', value: [1, 2], prefix: 'typeof cb === "function" && cb(', suffix: ')' },
+  ],
+  ['XSSI prefix', ")]}'\n{\"price\":120}", { format: 'json', value: { price: 120 }, prefix: ")]}'\n", suffix: '' }],
+  [
+    'NDJSON stream',
+    '{"id":1}\n\n{"price":120}\n',
+    { format: 'ndjson', value: [{ id: 1 }, { price: 120 }], prefix: '', suffix: '' },
+  ],
+  ['plain text', 'price: 120 EUR', null],
+  ['empty body', '   ', null],
+];
+
+for (const [name, body, expected] of bodyCases) {
+  test(`parseJsonBody: ${name}`, () => {
+    assert.deepEqual(parseJsonBody(body), expected);
+  });
+}
+
+test('formatJsonBody writes a body back with its wrapper', () => {
+  for (const body of [")]}'\n{\"price\":1}", 'cb({"price":1});', '{"a":1}\n{"price":1}']) {
+    const parsed = parseJsonBody(body);
+    assert.equal(formatJsonBody(parsed, parsed.value), body);
+  }
+});
+
+test('graphqlOperations reads names from batches, single queries and GET parameters', () => {
+  const batch = JSON.stringify([
+    { operationName: 'Reviews', query: 'query Reviews { reviews { text } }' },
+    { query: 'query HotelOffer($id: ID!) { hotel(id: $id) { price } }' },
+    { query: '{ anonymous { price } }' },
+  ]);
+  assert.deepEqual(graphqlOperations(batch), ['Reviews', 'HotelOffer', null]);
+  assert.deepEqual(graphqlOperations('{"operationName":"Search"}'), ['Search']);
+  assert.deepEqual(graphqlOperations(null, 'https://example.com/graphql?operationName=Offer&extensions=%7B%7D'), ['Offer']);
+  assert.deepEqual(graphqlOperations('checkin=2025-07-01', 'not a url'), []);
+});
+
+test('requestBodyFor redacts JSON and form bodies and shortens long text bodies', () => {
+  const isSecret = createFieldMatcher();
+  assert.deepEqual(
+    requestBodyFor('{"variables":{"email":"a@example.com","nights":3}}', isSecret),
+    { variables: { email: '[redacted]', nights: 3 } },
+  );
+  assert.equal(requestBodyFor('checkin=2025-07-01', isSecret), 'checkin=2025-07-01');
+  assert.equal(
+    requestBodyFor('token=abc&email=a%40example.com&nights=3', isSecret),
+    'token=%5Bredacted%5D&email=%5Bredacted%5D&nights=3',
+  );
+  assert.equal(requestBodyFor('query Offer { price }', isSecret), 'query Offer { price }');
+  assert.equal(requestBodyFor('x'.repeat(2500), isSecret).length, 2001);
+  assert.equal(requestBodyFor(null, isSecret), null);
+});
+
+test('decodePriceResponses splits GraphQL batches and drops results without prices', () => {
+  const body = JSON.stringify([
+    { data: null, errors: [{ message: 'failed' }] },
+    { data: { hotel: { rating: 4.5 } } },
+    { data: { hotel: { offer: { totalPrice: 515 } } } },
+  ]);
+  const postData = JSON.stringify([{ operationName: 'A' }, { operationName: 'B' }, { operationName: 'C' }]);
+  assert.deepEqual(decodePriceResponses(body, { postData }), [
+    { body: { data: { hotel: { offer: { totalPrice: 515 } } } }, format: 'graphql_batch', operation: 'C' },
+  ]);
+});
+
+test('decodePriceResponses keeps single GraphQL results, JSONP and NDJSON whole', () => {
+  assert.deepEqual(
+    decodePriceResponses('{"data":{"price":99}}', { postData: '{"query":"query Offer { price }"}' }),
+    [{ body: { data: { price: 99 } }, format: 'graphql', operation: 'Offer' }],
+  );
+  assert.deepEqual(decodePriceResponses('cb({"roomRate":80})'), [{ body: { roomRate: 80 }, format: 'jsonp', operation: null }]);
+  assert.equal(decodePriceResponses('{"meta":1}\n{"total":300}')[0].format, 'ndjson');
+  assert.deepEqual(decodePriceResponses('{"rating":4.5,"generatedAt":"2025-01-01"}'), []);
+  assert.deepEqual(decodePriceResponses('not json at all: price'), []);
+});
+
+const keyCases = [
+  ['price', true],
+  ['grandTotal', true],
+  ['AMOUNT', true],
+  ['rate', true],
+  ['roomRate', true],
+  ['daily_rate', true],
+  ['ratePlans', true],
+  ['rating', false],
+  ['generatedAt', false],
+  ['moderate', false],
+];
+
+for (const [key, expected] of keyCases) {
+  test(`PRICE_KEY_REGEX: ${key}`, () => {
+    assert.equal(PRICE_KEY_REGEX.test(key), expected);
+  });
+}
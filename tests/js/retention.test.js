@@ -0,0 +1,195 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  planPrune,
+  pruneArtifacts,
+  resultState,
+  writeManifest,
+  writeRunManifest,
+  listRuns,
+} = require('../../tools/lib/retention');
+const {
+  REDACTED,
+  createFieldMatcher,
+  redactBodyText,
+  redactUrl,
+  redactHarFile,
+} = require('../../tools/lib/redact');
+
+const NOW = Date.parse('2025-07-15T12:00:00Z');
+const DAY = 24 * 60 * 60 * 1000;
+const MB = 1024 * 1024;
+
+function run(name, host, ageDays, state = 'ok', bytes = MB) {
+  return { dir: name, host, state, created: NOW - ageDays * DAY, bytes };
+}
+
+const pruneCases = [
+  {
+    name: 'drops runs older than max_age_days',
+    runs: [run('a', 'x.com', 1), run('b', 'x.com', 20)],
+    policy: { max_age_days: 14 },
+    expected: { a: null, b: 'max_age' },
+  },
+  {
+    name: 'keeps the last N runs per host',
+    runs: [run('a', 'x.com', 1), run('b', 'y.com', 2), run('c', 'x.com', 3), run('d', 'x.com', 4)],
+    policy: { keep_per_host: 2 },
+    expected: { a: null, b: null, c: null, d: 'keep_per_host' },
+  },
+  {
+    name: 'stops at max_total_mb, newest first',
+    runs: [run('a', 'x.com', 1, 'ok', 3 * MB), run('b', 'y.com', 2, 'ok', 3 * MB), run('c', 'z.com', 3, 'ok', 1 * MB)],
+    policy: { max_total_mb: 5 },
+    expected: { a: null, b: 'max_total_size', c: null },
+  },
+  {
+    name: 'always keeps the newest failure per host',
+    runs: [run('a', 'x.com', 1), run('b', 'x.com', 30, 'blocked'), run('c', 'x.com', 40, 'error')],
+    policy: { max_age_days: 14 },
+    expected: { a: null, b: null, c: 'max_age' },
+  },
+  {
+    name: 'keep_last_failure can be switched off',
+    runs: [run('a', 'x.com', 30, 'blocked')],
+    policy: { max_age_days: 14, keep_last_failure: false },
+    expected: { a: 'max_age' },
+  },
+];
+
+for (const entry of pruneCases) {
+  test(`planPrune: ${entry.name}`, () => {
+    const policy = { max_age_days: 0, max_total_mb: 0, keep_per_host: 0, keep_last_failure: true, ...entry.policy };
+    const plan = planPrune(entry.runs, policy, NOW);
+    const reasons = Object.fromEntries(plan.map((item) => [item.dir, item.keep ? null : item.reason]));
+    assert.deepEqual(reasons, entry.expected);
+  });
+}
+
+test('pruneArtifacts removes directories and reads manifests', () => {
+  const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'preismonitor-net-'));
+  try {
+    for (const [name, state, created] of [['x.com_new', 'ok', NOW - DAY], ['x.com_old', 'ok', NOW - 30 * DAY], ['x.com_fail', 'blocked', NOW - 40 * DAY]]) {
+      const dir = path.join(baseDir, name);
+      fs.mkdirSync(dir);
+      fs.writeFileSync(path.join(dir, 'response_1.json'), '{}');
+      writeManifest(dir, { host: 'x.com', url: 'https://x.com/', state, files: [{ path: path.join(dir, 'response_1.json'), url: 'https://x.com/api' }] });
+      const manifestPath = path.join(dir, 'manifest.json');
+      const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+      fs.writeFileSync(manifestPath, JSON.stringify({ ...manifest, created_at: new Date(created).toISOString() }));
+    }
+    assert.equal(listRuns(baseDir)[0].dir, path.join(baseDir, 'x.com_new'));
+
+    const dryRun = pruneArtifacts(baseDir, { max_age_days: 14 }, { dryRun: true, now: NOW });
+    assert.equal(dryRun.removed.length, 1);
+    assert.ok(fs.existsSync(path.join(baseDir, 'x.com_old')));
+
+    const result = pruneArtifacts(baseDir, { max_age_days: 14 }, { now: NOW });
+    assert.deepEqual(result.removed.map((entry) => path.basename(entry.dir)), ['x.com_old']);
+    assert.deepEqual(fs.readdirSync(baseDir).sort(), ['x.com_fail', 'x.com_new']);
+  } finally {
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  }
+});
+
+test('resultState maps runner output to manifest states', () => {
+  assert.equal(resultState({ blocked: true, unavailable: false, error: null }), 'blocked');
+  assert.equal(resultState({ blocked: false, unavailable: true, error: null }), 'unavailable');
+  assert.equal(resultState({ blocked: false, unavailable: false, error: 'did_not_render' }), 'error');
+  assert.equal(resultState({ blocked: false, unavailable: false, error: null }), 'ok');
+});
+
+test('run directories get a manifest and are pruned per host', () => {
+  const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'preismonitor-runs-'));
+  try {
+    const runs = [['20250715T100000Z-aaaaaa', 'ok'], ['20250714T100000Z-bbbbbb', 'ok'], ['20250713T100000Z-cccccc', 'blocked']];
+    runs.forEach(([runId, state], index) => {
+      const dir = path.join(baseDir, runId);
+      fs.mkdirSync(dir);
+      fs.writeFileSync(path.join(dir, 'events.ndjson'), '{}\n');
+      const output = { blocked: state === 'blocked', blocked_reason: state === 'blocked' ? 'captcha' : null, unavailable: false, error: null };
+      const manifestPath = writeRunManifest(dir, { runId, url: 'https://x.com/offer', output });
+      const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+      assert.equal(manifest.host, 'x.com');
+      assert.equal(manifest.state, state);
+      assert.deepEqual(manifest.files.map((file) => file.file), ['events.ndjson']);
+      fs.writeFileSync(manifestPath, JSON.stringify({ ...manifest, created_at: new Date(NOW - index * DAY).toISOString() }));
+    });
+
+    const result = pruneArtifacts(baseDir, { max_age_days: 0, max_total_mb: 0, keep_per_host: 1 }, { now: NOW });
+    assert.deepEqual(result.removed.map((entry) => path.basename(entry.dir)), ['20250714T100000Z-bbbbbb']);
+  } finally {
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  }
+});
+
+const isSecret = createFieldMatcher(['token', 'session_id', 'email', 'guestName']);
+
+test('createFieldMatcher catches secret words inside longer field names', () => {
+  const matches = createFieldMatcher();
+  for (const name of ['authToken', 'csrf_token', 'apiKey', 'sessionToken', 'x-api-key', 'client_secret', 'Authorization']) {
+    assert.equal(matches(name), true, name);
+  }
+  for (const name of ['total', 'price', 'currency', 'hotelId', 'nights']) {
+    assert.equal(matches(name), false, name);
+  }
+});
+
+test('redactBodyText replaces secret fields at any depth', () => {
+  const body = JSON.stringify({ token: 'abc', booking: { sessionId: 's1', guests: [{ email: 'a@b.c', guest_name: 'Anna' }], total: 840 } });
+  assert.deepEqual(JSON.parse(redactBodyText(body, isSecret)), {
+    token: REDACTED,
+    booking: { sessionId: REDACTED, guests: [{ email: REDACTED, guest_name: REDACTED }], total: 840 },
+  });
+  assert.equal(redactBodyText('not json', isSecret), 'not json');
+});
+
+test('redactBodyText keeps JSONP, NDJSON and XSSI wrappers', () => {
+  assert.equal(redactBodyText('cb({"token":"abc","total":840});', isSecret), 'cb({"token":"[redacted]","total":840});');
+  assert.equal(
+    redactBodyText('{"token":"abc"}\n{"email":"a@b.c","total":840}\n', isSecret),
+    '{"token":"[redacted]"}\n{"email":"[redacted]","total":840}',
+  );
+  assert.equal(redactBodyText(")]}'\n{\"session_id\":\"s1\"}", isSecret), ")]}'\n{\"session_id\":\"[redacted]\"}");
+});
+
+test('redactUrl masks secret query parameters and credentials', () => {
+  assert.equal(redactUrl('https://x.com/api?token=abc&date=2025-07-01', isSecret), 'https://x.com/api?token=%5Bredacted%5D&date=2025-07-01');
+  assert.equal(redactUrl('https://user:pw@x.com/', isSecret), 'https://x.com/');
+  assert.equal(redactUrl('https://x.com/api?date=2025-07-01', isSecret), 'https://x.com/api?date=2025-07-01');
+});
+
+test('redactHarFile scrubs cookies and auth headers but keeps URLs and bodies', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'preismonitor-har-'));
+  try {
+    const harPath = path.join(dir, 'check.har');
+    fs.writeFileSync(harPath, JSON.stringify({
+      log: {
+        entries: [{
+          request: {
+            url: 'https://x.com/api?token=abc',
+            headers: [{ name: 'Authorization', value: 'Bearer abc' }, { name: 'Accept', value: '*/*' }],
+            cookies: [{ name: 'sid', value: 's1' }],
+          },
+          response: {
+            headers: [{ name: 'Set-Cookie', value: 'sid=s1' }],
+            cookies: [{ name: 'sid', value: 's1' }],
+            content: { text: '{"total":840}' },
+          },
+        }],
+      },
+    }));
+    redactHarFile(harPath, isSecret);
+    const [entry] = JSON.parse(fs.readFileSync(harPath, 'utf8')).log.entries;
+    assert.equal(entry.request.url, 'https://x.com/api?token=abc');
+    assert.deepEqual(entry.request.headers.map((header) => header.value), [REDACTED, '*/*']);
+    assert.equal(entry.request.cookies[0].value, REDACTED);
+    assert.equal(entry.response.headers[0].value, REDACTED);
+    assert.equal(entry.response.content.text, '{"total":840}');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
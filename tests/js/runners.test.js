@@ -0,0 +1,445 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { chromium } = require('playwright');
+const { SITE_DIR, startFixtureServer } = require('./helpers/fixture-server');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+const PROFILE_PATH = path.join(SITE_DIR, 'profile.json');
+const RUN_TIMEOUT_MS = 90000;
+
+const RUNNERS = {
+  tools: (url, workDir) => [
+    path.join(ROOT_DIR, 'tools', 'robinson_playwright.js'),
+    url,
+    '--profile',
+    PROFILE_PATH,
+    '--artifacts-dir',
+    path.join(workDir, 'runs'),
+  ],
+  worker: (url, workDir) => [
+    path.join(ROOT_DIR, 'scripts', 'robinson-playwright-worker.js'),
+    url,
+    path.join(workDir, 'out'),
+    '--profile',
+    PROFILE_PATH,
+  ],
+};
+
+// Neither the cookie value nor the Set-Cookie header may survive in the HAR.
+function assertHarRedacted(harPath) {
+  const text = fs.readFileSync(harPath, 'utf8');
+  assert.ok(!text.includes('fixture-session'));
+  const entries = JSON.parse(text).log.entries;
+  const page = entries.find((entry) => entry.request.url.endsWith('/total.html'));
+  assert.ok(page.request.headers.some((header) => /^cookie$/i.test(header.name) && header.value === '[redacted]'));
+}
+
+const cases = [
+  {
+    name: 'total layout picks the total over the nightly price',
+    page: '/total.html',
+    tools: (output) => {
+      assert.equal(output.blocked, false);
+      assert.equal(output.price_value, 840);
+      assert.equal(output.currency, 'EUR');
+      assert.equal(output.price_source, 'selector');
+      assert.equal(output.trace, null);
+      assert.equal(output.resources.enabled, true);
+      assert.ok(output.timings.total_ms >= output.timings.goto_ms);
+      assert.equal(output.browser, 'chromium');
+    },
+    worker: (output) => {
+      assert.equal(output.state, 'ok');
+      assert.equal(output.price.value, 840);
+      assert.equal(output.context, 'total');
+      assert.equal(output.artifacts.trace, null);
+      assert.equal(output.resources.enabled, true);
+    },
+  },
+  {
+    name: 'per-night layout reports the nightly price',
+    page: '/per-night.html',
+    tools: (output) => {
+      assert.equal(output.price_value, 95);
+      assert.ok(output.price_reasons.includes('context:per_night'));
+    },
+    worker: (output) => {
+      assert.equal(output.state, 'ok');
+      assert.equal(output.price.value, 95);
+      assert.equal(output.context, 'per_night');
+    },
+  },
+  {
+    name: 'consent overlay is accepted before the price renders',
+    page: '/consent.html',
+    tools: (output) => {
+      assert.equal(output.consent_clicked, true);
+      assert.equal(output.price_value, 640);
+    },
+    worker: (output) => {
+      assert.equal(output.state, 'ok');
+      assert.equal(output.price.value, 640);
+    },
+  },
+  {
+    name: 'English consent banner inside an iframe is accepted',
+    page: '/consent-frame.html',
+    tools: (output) => {
+      assert.equal(output.consent_platform, 'text');
+      assert.equal(output.consent_verified, true);
+      assert.equal(output.price_value, 720);
+    },
+    worker: (output) => {
+      assert.equal(output.consent_clicked, true);
+      assert.equal(output.price.value, 720);
+    },
+  },
+  {
+    name: 'Usercentrics banner in a shadow root is recognised',
+    page: '/consent-shadow.html',
+    tools: (output) => {
+      assert.equal(output.consent_platform, 'usercentrics');
+      assert.equal(output.price_value, 560);
+    },
+    worker: (output) => {
+      assert.equal(output.consent_platform, 'usercentrics');
+      assert.equal(output.price.value, 560);
+    },
+  },
+  {
+    name: 'an "Accept offer" button outside a consent banner is not clicked',
+    page: '/offer-button.html',
+    tools: (output) => {
+      assert.equal(output.consent_clicked, false);
+      assert.equal(output.price_value, 480);
+    },
+    worker: (output) => {
+      assert.equal(output.consent_clicked, false);
+      assert.equal(output.price.value, 480);
+    },
+  },
+  {
+    name: 'late XHR prices are taken from the JSON response',
+    page: '/late-xhr.html',
+    tools: (output) => {
+      assert.ok(output.xhr_hits >= 1);
+      assert.equal(output.price_value, 1234.56);
+      assert.equal(output.price_source, 'json');
+      assert.equal(output.offers.length, 1);
+    },
+    worker: (output) => {
+      assert.equal(output.state, 'ok');
+      assert.equal(output.price.value, 1234.56);
+      assert.equal(output.price.path, 'rooms.0.pricing.total.amount');
+    },
+  },
+  {
+    name: 'structured data prices a page without visible price',
+    page: '/structured.html',
+    tools: (output) => {
+      assert.equal(output.blocked, false);
+      assert.equal(output.price_value, 412);
+      assert.equal(output.price_source, 'app_state');
+    },
+    worker: (output) => {
+      assert.equal(output.state, 'ok');
+      assert.equal(output.price.value, 412);
+    },
+  },
+  {
+    name: 'batched GraphQL answer sent as text/plain is captured with its operation',
+    page: '/graphql.html',
+    tools: (output) => {
+      assert.equal(output.price_value, 515);
+      assert.equal(output.price_source, 'json');
+      assert.deepEqual(
+        output.price_responses.map((entry) => [entry.format, entry.operation]),
+        [['graphql_batch', 'HotelOffer']],
+      );
+      assert.equal(output.price_responses[0].request_body[1].variables.token, '[redacted]');
+    },
+    worker: (output) => {
+      assert.equal(output.state, 'ok');
+      assert.equal(output.price.value, 515);
+      assert.equal(output.artifacts.price_responses[0].operation, 'HotelOffer');
+    },
+  },
+  {
+    name: 'sold-out XHR offers mark the page unavailable',
+    page: '/late-xhr.html?api=blocked',
+    tools: (output) => {
+      assert.equal(output.blocked, false);
+      assert.equal(output.unavailable, true);
+      assert.equal(output.unavailable_reason, 'status:blocked');
+      assert.equal(output.price_value, null);
+    },
+    worker: (output) => {
+      assert.equal(output.state, 'unavailable');
+      assert.equal(output.price, null);
+    },
+  },
+  {
+    name: 'captcha page is reported as blocked',
+    page: '/captcha.html',
+    tools: (output) => {
+      assert.equal(output.blocked, true);
+      assert.equal(output.blocked_reason, 'captcha');
+      assert.equal(output.price_value, null);
+      assert.ok(fs.existsSync(output.trace));
+      assert.ok(fs.existsSync(output.artifacts.screenshot));
+    },
+    worker: (output) => {
+      assert.equal(output.state, 'blocked');
+      assert.equal(output.blocked_reason, 'captcha');
+      assert.ok(fs.existsSync(output.artifacts.trace));
+    },
+  },
+  {
+    name: 'empty page is reported as blocked',
+    page: '/empty.html',
+    tools: (output) => {
+      assert.equal(output.blocked, true);
+      assert.equal(output.blocked_reason, 'empty');
+      assert.equal(output.body_text_size, 0);
+    },
+    worker: (output) => {
+      assert.equal(output.state, 'blocked');
+      assert.equal(output.blocked_reason, 'empty');
+    },
+  },
+  {
+    name: 'rate-limited page is retried with backoff',
+    page: '/rate-limited',
+    args: ['--retries', '1', '--backoff-ms', '100'],
+    tools: (output) => {
+      assert.equal(output.blocked_reason, 'rate_limited');
+      assert.equal(output.retry_after_ms, 1000);
+      assert.deepEqual(output.attempts.map((attempt) => [attempt.attempt, attempt.http_status, attempt.wait_ms]), [[1, 429, 1000], [2, 429, 0]]);
+    },
+    worker: (output) => {
+      assert.equal(output.state, 'blocked');
+      assert.equal(output.blocked_reason, 'rate_limited');
+      assert.equal(output.attempts.length, 2);
+    },
+  },
+  {
+    name: 'recorded HAR has the session cookie masked',
+    page: '/login',
+    args: ['--record-har', 'check.har'],
+    tools: (output, workDir) => {
+      assert.equal(output.price_value, 840);
+      assert.deepEqual(output.har, { mode: 'record', path: 'check.har' });
+      assertHarRedacted(path.join(workDir, 'check.har'));
+    },
+    worker: (output, workDir) => {
+      assert.equal(output.price.value, 840);
+      assertHarRedacted(path.join(workDir, 'check.har'));
+    },
+  },
+  {
+    name: 'artifacts/debug host_total.html',
+    page: '/debug/host_total.html',
+    tools: (output) => {
+      assert.equal(output.price_value, 1234.56);
+      assert.equal(output.price_source, 'regex');
+    },
+    worker: (output) => {
+      assert.equal(output.price.value, 1234.56);
+      assert.equal(output.context, 'total');
+    },
+  },
+  {
+    name: 'artifacts/debug host_room.html',
+    page: '/debug/host_room.html',
+    tools: (output) => {
+      assert.equal(output.price_value, 189);
+      assert.equal(output.price_source, 'selector');
+    },
+    worker: (output) => {
+      assert.equal(output.price.value, 189);
+      assert.equal(output.context, 'per_night');
+    },
+  },
+];
+
+const replayCases = [
+  {
+    name: 'host_total.html with the available XHR',
+    args: ['--replay', path.join(ROOT_DIR, 'artifacts', 'debug', 'host_total.html'), '--json', path.join(ROOT_DIR, 'artifacts', 'debug', 'api_response_available.json')],
+    tools: (output) => {
+      assert.equal(output.price_value, 1234.56);
+      assert.equal(output.price_source, 'json');
+    },
+    worker: (output) => {
+      assert.equal(output.state, 'ok');
+      assert.equal(output.price.value, 1234.56);
+    },
+  },
+  {
+    name: 'host_total.html with the available XHR for 10 nights and 2 guests',
+    args: ['--replay', path.join(ROOT_DIR, 'artifacts', 'debug', 'host_total.html'), '--json', path.join(ROOT_DIR, 'artifacts', 'debug', 'api_response_available.json'), '--nights', '10', '--guests', '2'],
+    tools: (output) => {
+      assert.deepEqual(output.price_breakdown, {
+        base: null,
+        taxes: null,
+        fees: null,
+        total: 1234.56,
+        per_night: 123.45,
+        per_person: 617.28,
+        nights: 10,
+        guests: 2,
+        derived: ['per_person'],
+      });
+      assert.equal(output.offers[0].breakdown.per_person, 617.28);
+    },
+    worker: (output) => {
+      assert.equal(output.price_breakdown.total, 1234.56);
+      assert.equal(output.price_breakdown.per_person, 617.28);
+    },
+  },
+  {
+    name: 'structured.html with JSON-LD, microdata, meta tags and __NEXT_DATA__',
+    args: ['--replay', path.join(SITE_DIR, 'structured.html')],
+    tools: (output) => {
+      assert.equal(output.blocked, false);
+      assert.equal(output.price_value, 412);
+      assert.equal(output.currency, 'EUR');
+      assert.deepEqual(
+        output.price_candidates.map((candidate) => candidate.source).sort(),
+        ['app_state', 'jsonld', 'meta', 'microdata'],
+      );
+      assert.ok(output.price_candidates.some((candidate) => candidate.path === 'jsonld.0.makesOffer.price'));
+    },
+    worker: (output) => {
+      assert.equal(output.state, 'ok');
+      assert.equal(output.price.value, 412);
+      assert.equal(output.price.path, '__NEXT_DATA__.props.pageProps.offer.totalPrice.amount');
+    },
+  },
+  {
+    name: 'graphql.html with a GraphQL batch whose first result failed',
+    args: ['--replay', path.join(SITE_DIR, 'graphql.html'), '--json', path.join(SITE_DIR, 'graphql-batch.json')],
+    tools: (output) => {
+      assert.equal(output.price_value, 515);
+      assert.equal(output.currency, 'EUR');
+      assert.deepEqual(output.price_responses.map((entry) => entry.format), ['graphql_batch']);
+    },
+    worker: (output) => {
+      assert.equal(output.state, 'ok');
+      assert.equal(output.price.path, 'data.hotel.offer.totalPrice.amount');
+      assert.equal(output.artifacts.price_responses[0].format, 'graphql_batch');
+    },
+  },
+  {
+    name: 'host_total.html with the sold-out XHR',
+    args: ['--replay', path.join(ROOT_DIR, 'artifacts', 'debug', 'host_total.html'), '--json', path.join(ROOT_DIR, 'artifacts', 'debug', 'api_response_blocked.json')],
+    tools: (output) => {
+      assert.equal(output.unavailable, true);
+      assert.equal(output.price_value, null);
+    },
+    worker: (output) => {
+      assert.equal(output.state, 'unavailable');
+    },
+  },
+];
+
+const REPLAY_SCRIPTS = {
+  tools: path.join(ROOT_DIR, 'tools', 'robinson_playwright.js'),
+  worker: path.join(ROOT_DIR, 'scripts', 'robinson-playwright-worker.js'),
+};
+
+function runScript(args, cwd) {
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, args, { cwd, timeout: RUN_TIMEOUT_MS, maxBuffer: 64 * 1024 * 1024 }, (error, stdout, stderr) => {
+      const line = stdout.trim().split('\n').pop();
+      try {
+        resolve(JSON.parse(line));
+      } catch (parseError) {
+        reject(new Error(`No JSON output (${error ? error.message : 'exit 0'}): ${stderr.slice(-2000)}`));
+      }
+    });
+  });
+}
+
+let server = null;
+let browserError = null;
+
+before(async () => {
+  server = await startFixtureServer();
+  browserError = await chromium.launch({ headless: true, args: ['--no-sandbox'] }).then(
+    (browser) => browser.close().then(() => null),
+    (error) => error.message.split('\n')[0],
+  );
+});
+
+after(async () => {
+  if (server) {
+    await server.close();
+  }
+});
+
+for (const entry of cases) {
+  for (const runner of Object.keys(RUNNERS)) {
+    if (!entry[runner]) {
+      continue;
+    }
+    test(`${runner}: ${entry.name}`, { timeout: RUN_TIMEOUT_MS + 10000 }, async (t) => {
+      if (browserError) {
+        t.skip(`Chromium not available: ${browserError}`);
+        return;
+      }
+      const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'preismonitor-runner-'));
+      try {
+        const args = [...RUNNERS[runner](`${server.baseUrl}${entry.page}`, workDir), ...(entry.args || [])];
+        const output = await runScript(args, workDir);
+        entry[runner](output, workDir);
+      } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+      }
+    });
+  }
+}
+
+// The layout dumpDiagnostics writes into artifacts/runs/<run_id>/ on a
+// failed check.
+function writeRunDump(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const html = fs.readFileSync(path.join(ROOT_DIR, 'artifacts', 'debug', 'host_total.html'), 'utf8');
+  fs.writeFileSync(path.join(dir, 'page.html'), html);
+  fs.writeFileSync(path.join(dir, 'body.txt'), html.replace(/<[^>]+>/g, ' '));
+  fs.copyFileSync(path.join(ROOT_DIR, 'artifacts', 'debug', 'api_response_blocked.json'), path.join(dir, 'xhr-1.json'));
+  fs.writeFileSync(path.join(dir, 'events.ndjson'), '{"step":"start"}\n');
+  fs.writeFileSync(path.join(dir, 'manifest.json'), '{"state":"error","files":[]}');
+}
+
+for (const runner of Object.keys(REPLAY_SCRIPTS)) {
+  test(`${runner} replay: run directory dump with the sold-out XHR`, async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'preismonitor-run-'));
+    try {
+      writeRunDump(dir);
+      const output = await runScript([REPLAY_SCRIPTS[runner], '--replay', dir], ROOT_DIR);
+      if (runner === 'tools') {
+        assert.equal(output.unavailable, true);
+        assert.equal(output.price_value, null);
+        assert.equal(output.price_responses.length, 1);
+      } else {
+        assert.equal(output.state, 'unavailable');
+      }
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+}
+
+for (const entry of replayCases) {
+  for (const runner of Object.keys(REPLAY_SCRIPTS)) {
+    test(`${runner} replay: ${entry.name}`, async () => {
+      const output = await runScript([REPLAY_SCRIPTS[runner], ...entry.args], ROOT_DIR);
+      entry[runner](output);
+    });
+  }
+}
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  sessionPath,
+  targetSessionKey,
+  loadSession,
+  saveSession,
+  invalidateSession,
+  listSessions,
+} = require('../../tools/lib/session');
+
+const NOW = Date.parse('2025-07-01T10:00:00Z');
+const HOUR = 60 * 60 * 1000;
+const STORAGE_STATE = {
+  cookies: [{ name: 'consent', value: 'yes', domain: 'hotel.example', path: '/' }],
+  origins: [{ origin: 'https://hotel.example', localStorage: [{ name: 'cmp', value: '1' }] }],
+};
+
+function withSessionDir(fn) {
+  const sessionDir = fs.mkdtempSync(path.join(os.tmpdir(), 'preismonitor-sessions-'));
+  return Promise.resolve(fn(sessionDir)).finally(() => fs.rmSync(sessionDir, { recursive: true, force: true }));
+}
+
+test('sessionPath maps keys to one file and rejects empty keys', () => {
+  assert.equal(sessionPath('www.hotel.example', '/data'), path.join('/data', 'www.hotel.example.json'));
+  assert.equal(sessionPath('../etc/passwd', '/data'), path.join('/data', '..-etc-passwd.json'));
+  assert.throws(() => sessionPath('..', '/data'), /Invalid session key/);
+});
+
+const targetCases = [
+  { target: { id: 'hotel', session: true }, expected: 'hotel' },
+  { target: { id: 'hotel', session: 'member-login' }, expected: 'member-login' },
+  { target: { id: 'hotel' }, expected: null },
+  { target: { id: 'hotel', session: false }, expected: null },
+];
+
+for (const entry of targetCases) {
+  test(`targetSessionKey: ${JSON.stringify(entry.target.session)}`, () => {
+    assert.equal(targetSessionKey(entry.target), entry.expected);
+  });
+}
+
+test('saved sessions load until they expire', () => withSessionDir(async (sessionDir) => {
+  const context = { storageState: async () => STORAGE_STATE };
+  const saved = await saveSession('hotel', context, { sessionDir, url: 'https://hotel.example/', ttlHours: 2, now: NOW });
+  assert.deepEqual([saved.cookies, saved.origins, saved.expires_at], [1, 1, '2025-07-01T12:00:00.000Z']);
+
+  const cases = [
+    { now: NOW + HOUR, status: 'valid', storageState: STORAGE_STATE },
+    { now: NOW + 3 * HOUR, status: 'expired', storageState: null },
+  ];
+  for (const entry of cases) {
+    const loaded = loadSession('hotel', { sessionDir, now: entry.now });
+    assert.equal(loaded.status, entry.status);
+    assert.deepEqual(loaded.storageState, entry.storageState);
+  }
+  assert.deepEqual(listSessions({ sessionDir, now: NOW }).map((session) => [session.key, session.status]), [['hotel', 'valid']]);
+}));
+
+test('missing, broken and invalidated sessions are not loaded', () => withSessionDir(async (sessionDir) => {
+  assert.equal(loadSession('hotel', { sessionDir }).status, 'missing');
+
+  fs.writeFileSync(sessionPath('broken', sessionDir), '{');
+  assert.equal(loadSession('broken', { sessionDir }).status, 'invalid');
+
+  await saveSession('hotel', { storageState: async () => STORAGE_STATE }, { sessionDir });
+  assert.equal(invalidateSession('hotel', { sessionDir }).removed, true);
+  assert.equal(loadSession('hotel', { sessionDir }).status, 'missing');
+  assert.equal(invalidateSession('hotel', { sessionDir }).removed, false);
+}));
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { validateSteps, runSteps } = require('../../tools/lib/steps');
+
+// Records what runSteps asks of the page. Selectors listed in failing throw
+// like a Playwright timeout; emitResponse plays a response the page received.
+function createFakePage({ failing = [] } = {}) {
+  const page = new EventEmitter();
+  page.calls = [];
+  const act = (name, selector, ...args) => {
+    page.calls.push([name, selector, ...args]);
+    if (failing.includes(selector)) {
+      return Promise.reject(new Error(`Timeout 10000ms exceeded.\nwaiting for ${selector}`));
+    }
+    return Promise.resolve();
+  };
+  page.off = page.removeListener;
+  page.locator = (selector) => ({
+    first: () => ({
+      click: () => act('click', selector),
+      fill: (value) => act('fill', selector, value),
+      selectOption: (value) => act('select', selector, value),
+      waitFor: ({ state }) => act('wait_for_selector', selector, state),
+      scrollIntoViewIfNeeded: () => act('scroll', selector),
+    }),
+  });
+  page.mouse = { wheel: (x, y) => act('wheel', null, y) };
+  page.waitForTimeout = (ms) => act('wait', null, ms);
+  page.waitForResponse = () => Promise.reject(new Error('no response'));
+  page.emitResponse = (url, status = 200) => page.emit('response', { url: () => url, status: () => status });
+  return page;
+}
+
+const invalidSteps = [
+  ['not an array', { action: 'click' }, /steps must be an array/],
+  ['an unknown action', [{ action: 'click', selector: '#a' }, { action: 'hover', selector: '#b' }], /Unknown step action at index 1: hover/],
+  ['a null step', [null], /Unknown step action at index 0/],
+  ['a click without selector', [{ action: 'click' }], /Step 0 \(click\) needs a selector/],
+  ['a fill without selector', [{ action: 'fill', value: 'x' }], /Step 0 \(fill\) needs a selector/],
+  ['a response wait without url', [{ action: 'wait_for_response' }], /Step 0 \(wait_for_response\) needs a url pattern/],
+];
+
+for (const [name, steps, expected] of invalidSteps) {
+  test(`validateSteps rejects ${name}`, () => {
+    assert.throws(() => validateSteps(steps), expected);
+  });
+}
+
+test('validateSteps returns valid steps unchanged', () => {
+  const steps = [
+    { action: 'fill', selector: '#checkin', value: '{date}' },
+    { action: 'scroll' },
+    { action: 'wait', ms: 500 },
+    { action: 'wait_for_response', url: '/api/rooms' },
+  ];
+  assert.equal(validateSteps(steps), steps);
+});
+
+test('runSteps fills in variables and leaves unknown ones as they are', async () => {
+  const page = createFakePage();
+  const { results, error } = await runSteps(page, [
+    { action: 'fill', selector: '#checkin', value: '{date}' },
+    { action: 'select', selector: 'select[name="nights"]', value: '{nights}' },
+    { action: 'click', selector: '[data-day="{date}"]' },
+    { action: 'fill', selector: '#promo', value: '{promo}' },
+  ], { vars: { date: '2025-07-01', nights: 7 } });
+  assert.equal(error, null);
+  assert.deepEqual(page.calls, [
+    ['fill', '#checkin', '2025-07-01'],
+    ['select', 'select[name="nights"]', '7'],
+    ['click', '[data-day="2025-07-01"]'],
+    ['fill', '#promo', '{promo}'],
+  ]);
+  assert.ok(results.every((result) => result.ok && !result.skipped));
+});
+
+test('runSteps stops at a failing step and skips the rest', async () => {
+  const page = createFakePage({ failing: ['#missing'] });
+  const logged = [];
+  const { results, error } = await runSteps(page, [
+    { action: 'click', selector: '#missing' },
+    { action: 'click', selector: '#next' },
+  ], { log: (result) => logged.push(result.index) });
+  assert.equal(error, 'step 0 (click) failed: Timeout 10000ms exceeded.');
+  assert.deepEqual(results.map((result) => [result.ok, result.skipped]), [[false, false], [false, true]]);
+  assert.deepEqual(logged, [0]);
+  assert.deepEqual(page.calls, [['click', '#missing']]);
+});
+
+test('runSteps carries on after an optional step fails', async () => {
+  const page = createFakePage({ failing: ['#banner'] });
+  const { results, error } = await runSteps(page, [
+    { action: 'click', selector: '#banner', optional: true },
+    { action: 'scroll' },
+    { action: 'wait', ms: 250 },
+  ]);
+  assert.equal(error, null);
+  assert.deepEqual(results.map((result) => result.ok), [false, true, true]);
+  assert.deepEqual(page.calls.slice(1), [['wheel', null, 1000], ['wait', null, 250]]);
+});
+
+test('runSteps takes a response that arrived before the wait step', async () => {
+  const page = createFakePage();
+  page.emitResponse('https://hotel.example/other');
+  const steps = [{ action: 'click', selector: '#search' }, { action: 'wait_for_response', url: '/api/rooms\\?date={date}' }];
+  page.locator = ((locator) => (selector) => {
+    page.emitResponse('https://hotel.example/api/rooms?date=2025-07-01', 200);
+    return locator(selector);
+  })(page.locator);
+  const { results, error } = await runSteps(page, steps, { vars: { date: '2025-07-01' } });
+  assert.equal(error, null);
+  assert.deepEqual(results[1].response, { url: 'https://hotel.example/api/rooms?date=2025-07-01', status: 200 });
+  assert.equal(page.listenerCount('response'), 0);
+});
+
+test('runSteps reports an unknown action at run time', async () => {
+  const { error } = await runSteps(createFakePage(), [{ action: 'hover', selector: '#a' }]);
+  assert.equal(error, 'step 0 (hover) failed: Unknown step action: hover');
+});
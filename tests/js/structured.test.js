@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  extractJsonLdCandidates,
+  extractMetaCandidates,
+  extractMicrodataCandidates,
+  readInlineAppState,
+  extractAppStateCandidates,
+  extractStructuredCandidates,
+  countStructuredCandidates,
+} = require('../../tools/lib/structured');
+
+const pick = (candidates) => candidates.map((candidate) => [candidate.path, candidate.value, candidate.currency]);
+
+const jsonLdCases = [
+  {
+    name: 'hotel offer with a price specification',
+    html: `<script type="application/ld+json">{"@type":"Hotel","makesOffer":{"@type":"Offer","priceCurrency":"EUR",
+      "priceSpecification":{"@type":"UnitPriceSpecification","price":"129.00","unitCode":"DAY"}}}</script>`,
+    expected: [['jsonld.0.makesOffer.priceSpecification.price', 129, 'EUR']],
+  },
+  {
+    name: 'aggregate offer in a @graph',
+    html: `<script type="application/ld+json">{"@graph":[{"@type":"WebPage"},{"@type":"Product","offers":
+      {"@type":"AggregateOffer","lowPrice":89,"highPrice":"240","priceCurrency":"CHF"}}]}</script>`,
+    expected: [['jsonld.0.@graph.1.offers.lowPrice', 89, 'CHF'], ['jsonld.0.@graph.1.offers.highPrice', 240, 'CHF']],
+  },
+  {
+    name: 'broken blocks are skipped, the next block keeps its index',
+    html: `<script type="application/ld+json">{"@type":</script>
+      <script type='application/ld+json'>[{"@type":"Offer","price":"€ 75,50"}]</script>`,
+    expected: [['jsonld.1.0.price', 75.5, 'EUR']],
+  },
+  {
+    name: 'string prices use a dot decimal whatever the page locale',
+    html: '<script type="application/ld+json">{"@type":"Offer","price":"1.250","priceCurrency":"EUR"}</script>',
+    expected: [['jsonld.0.price', 1.25, 'EUR']],
+  },
+];
+
+for (const entry of jsonLdCases) {
+  test(`extractJsonLdCandidates: ${entry.name}`, () => {
+    assert.deepEqual(pick(extractJsonLdCandidates(entry.html)), entry.expected);
+  });
+}
+
+test('extractMicrodataCandidates follows the itemscope chain and its currency', () => {
+  const html = `
+    <div itemscope itemtype="https://schema.org/Hotel">
+      <span itemprop="name">Seeblick</span>
+      <div itemprop="makesOffer" itemscope itemtype="https://schema.org/Offer">
+        <span itemprop="price">1.049,00</span>
+        <span itemprop="priceCurrency" content="EUR">€</span>
+      </div>
+      <img src="room.jpg">
+      <div itemscope itemtype="https://schema.org/Offer">
+        <meta itemprop="lowPrice" content="1.250" />
+        <meta itemprop="priceCurrency" content="CHF">
+      </div>
+    </div>
+    <script>var x = '<span itemprop="price">1</span>';</script>`;
+  assert.deepEqual(pick(extractMicrodataCandidates(html, 'de-DE')), [
+    ['microdata.Hotel.makesOffer.price', 1049, 'EUR'],
+    ['microdata.Hotel.Offer.lowPrice', 1.25, 'CHF'],
+  ]);
+});
+
+test('extractMetaCandidates reads product and Open Graph prices with a dot decimal', () => {
+  const html = `<meta content="59.90" property="og:price:amount"><meta property="og:price:currency" content="USD">
+    <meta name="description" content="Zimmer ab 59 €"><meta property="product:price:amount" content="1.250">`;
+  assert.deepEqual(pick(extractMetaCandidates(html)), [['meta.og:price:amount', 59.9, 'USD'], ['meta.product:price:amount', 1.25, 'USD']]);
+});
+
+test('readInlineAppState reads __NEXT_DATA__ and JSON assigned to window globals', () => {
+  const html = `
+    <script id="__NEXT_DATA__" type="application/json">{"props":{"price":1}}</script>
+    <script>window.__INITIAL_STATE__ = {"cart":{"label":"a } in a string","total":{"amount":300}}};window.other = 1;</script>
+    <script>window.__NUXT__=(function(a){return {price:a}}(5));</script>`;
+  assert.deepEqual(readInlineAppState(html), {
+    __NEXT_DATA__: { props: { price: 1 } },
+    __INITIAL_STATE__: { cart: { label: 'a } in a string', total: { amount: 300 } } },
+  });
+});
+
+test('extractAppStateCandidates keeps price keys and drops counters and ids', () => {
+  const state = {
+    __INITIAL_STATE__: {
+      search: { totalCount: 48, page: 2 },
+      hotel: { id: 7, priceId: 991, stars: 4 },
+      offer: { prices: { total: 640, night: 160, currency: 'EUR' }, price: '640,00 €' },
+    },
+  };
+  assert.deepEqual(pick(extractAppStateCandidates(state, 'de-DE')), [
+    ['__INITIAL_STATE__.offer.prices.total', 640, 'EUR'],
+    ['__INITIAL_STATE__.offer.prices.night', 160, 'EUR'],
+    ['__INITIAL_STATE__.offer.price', 640, 'EUR'],
+  ]);
+});
+
+test('extractStructuredCandidates prefers live app state over the inline copy', () => {
+  const html = '<script>window.__INITIAL_STATE__ = {"offer":{"price":100}};</script><meta property="product:price:amount" content="100">';
+  const candidates = extractStructuredCandidates(html, { appState: { __INITIAL_STATE__: { offer: { price: 120 } } } });
+  assert.deepEqual(pick(candidates), [['__INITIAL_STATE__.offer.price', 120, null], ['meta.product:price:amount', 100, null]]);
+  assert.deepEqual(countStructuredCandidates(candidates), { jsonld: 0, app_state: 1, microdata: 0, meta: 1 });
+  assert.deepEqual(extractStructuredCandidates(''), []);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { dateRange, parseIsoDate } = require('../../tools/lib/targets');
+const { buildStays, parseNights } = require('../../tools/playwright_calendar');
+
+test('dateRange lists every day including both ends', () => {
+  assert.deepEqual(dateRange('2026-02-27', '2026-03-01'), ['2026-02-27', '2026-02-28', '2026-03-01']);
+  assert.deepEqual(dateRange('2026-07-01', '2026-07-01'), ['2026-07-01']);
+});
+
+const invalidRanges = [
+  ['2026-07-01', 'foo', /Invalid --to: foo/],
+  ['2026-02-01', '2026-02-30', /Invalid --to: 2026-02-30/],
+  ['2026-7-1', '2026-07-10', /Invalid --from: 2026-7-1/],
+  ['2026-07-10', '2026-07-01', /before --from/],
+  ['2026-07-01', '9999-12-31', /exceeds the limit of 366/],
+];
+
+for (const [from, to, expected] of invalidRanges) {
+  test(`dateRange rejects ${from} .. ${to}`, () => {
+    assert.throws(() => dateRange(from, to), expected);
+  });
+}
+
+test('parseIsoDate keeps valid dates as they are', () => {
+  assert.equal(parseIsoDate('2028-02-29', '--from'), '2028-02-29');
+});
+
+test('buildStays caps the number of stays', () => {
+  assert.equal(buildStays('2026-07-01', '2026-07-02', [3, 7]).length, 4);
+  assert.throws(() => buildStays('2026-01-01', '2026-12-31', [1, 2, 3]), /1095 stays exceed the limit of 1000/);
+});
+
+test('parseNights takes whole numbers of at least one night', () => {
+  assert.equal(parseNights('7'), 7);
+  assert.equal(parseNights(' 14 '), 14);
+  for (const value of ['2abc', '0', '-1', '1.5', '', 'seven']) {
+    assert.throws(() => parseNights(value), /Invalid --nights/, value);
+  }
+});
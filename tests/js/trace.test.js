@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveTraceMode, startTrace, stopTrace } = require('../../tools/lib/trace');
+
+function fakeContext() {
+  const calls = [];
+  return {
+    calls,
+    tracing: {
+      start: async (options) => calls.push(['start', options]),
+      stop: async (options) => calls.push(['stop', options ? options.path : null]),
+    },
+  };
+}
+
+const TRACE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'preismonitor-trace-'));
+const TRACE_PATH = path.join(TRACE_DIR, 'run-1', 'trace-1.zip');
+
+test.after(() => fs.rmSync(TRACE_DIR, { recursive: true, force: true }));
+
+const cases = [
+  { mode: 'on-failure', failed: true, expected: { started: true, trace: TRACE_PATH } },
+  { mode: 'on-failure', failed: false, expected: { started: true, trace: null } },
+  { mode: 'always', failed: false, expected: { started: true, trace: TRACE_PATH } },
+  { mode: 'off', failed: true, expected: { started: false, trace: null } },
+  { mode: undefined, failed: true, expected: { started: true, trace: TRACE_PATH } },
+];
+
+for (const entry of cases) {
+  test(`trace mode ${entry.mode || 'default'} with ${entry.failed ? 'a failed' : 'an ok'} check`, async () => {
+    const context = fakeContext();
+    await startTrace(context, entry.mode);
+    const trace = await stopTrace(context, entry.mode, entry.failed, TRACE_PATH);
+    assert.equal(trace, entry.expected.trace);
+    assert.equal(context.calls.some(([call]) => call === 'start'), entry.expected.started);
+    if (entry.expected.started) {
+      assert.deepEqual(context.calls.at(-1), ['stop', entry.expected.trace]);
+    }
+  });
+}
+
+test('resolveTraceMode rejects unknown modes', () => {
+  assert.equal(resolveTraceMode(undefined), 'on-failure');
+  assert.throws(() => resolveTraceMode('sometimes'), /Invalid trace mode/);
+});
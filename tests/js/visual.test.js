@@ -0,0 +1,174 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const {
+  decodePng,
+  encodePng,
+  compareImages,
+  targetVisualKey,
+  visualOptionsFromArgs,
+  priceElementHints,
+  compareWithBaseline,
+} = require('../../tools/lib/visual');
+
+function solidImage(width, height, rgba) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let index = 0; index < width * height; index += 1) {
+    data.set(rgba, index * 4);
+  }
+  return { width, height, data };
+}
+
+function paint(image, x, y, rgba) {
+  const data = Buffer.from(image.data);
+  data.set(rgba, (y * image.width + x) * 4);
+  return { ...image, data };
+}
+
+test('encodePng output decodes to the same pixels', () => {
+  const image = paint(solidImage(3, 2, [10, 20, 30, 255]), 2, 1, [200, 100, 50, 128]);
+  const decoded = decodePng(encodePng(image));
+  assert.deepEqual([decoded.width, decoded.height], [3, 2]);
+  assert.deepEqual(decoded.data, image.data);
+});
+
+// A hand-built PNG: the IHDR fields as given, raw (filtered) rows as IDAT.
+function buildPng({ width, height, bitDepth = 8, colorType = 2, interlace = 0 }, raw) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = bitDepth;
+  header[9] = colorType;
+  header[12] = interlace;
+  const chunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    return Buffer.concat([length, Buffer.from(type, 'ascii'), data, Buffer.alloc(4)]);
+  };
+  return Buffer.concat([
+    encodePng(solidImage(1, 1, [0, 0, 0, 0])).subarray(0, 8),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+test('decodePng reads RGB images with Sub and Up filters', () => {
+  // 2x2 RGB: row 0 uses Sub (deltas to the left pixel), row 1 uses Up.
+  const raw = Buffer.from([
+    1, 10, 20, 30, 5, 5, 5,
+    2, 1, 1, 1, 2, 2, 2,
+  ]);
+  const png = buildPng({ width: 2, height: 2 }, raw);
+  assert.deepEqual([...decodePng(png).data], [
+    10, 20, 30, 255, 15, 25, 35, 255,
+    11, 21, 31, 255, 17, 27, 37, 255,
+  ]);
+  assert.throws(() => decodePng(Buffer.from('GIF89a')), /Not a PNG/);
+});
+
+const unsupportedPngs = [
+  { name: 'interlaced', header: { interlace: 1 }, error: /interlaced images/ },
+  { name: 'palette', header: { colorType: 3 }, error: /palette images/ },
+  { name: '16-bit RGBA', header: { bitDepth: 16, colorType: 6 }, error: /16-bit images/ },
+  { name: '1-bit grayscale', header: { bitDepth: 1, colorType: 0 }, error: /1-bit images/ },
+  { name: '8-bit grayscale', header: { colorType: 0 }, error: /color type 0/ },
+  { name: 'grayscale with alpha', header: { colorType: 4 }, error: /color type 4/ },
+];
+
+for (const entry of unsupportedPngs) {
+  test(`decodePng rejects ${entry.name} PNGs`, () => {
+    const png = buildPng({ width: 1, height: 1, ...entry.header }, Buffer.alloc(16));
+    assert.throws(() => decodePng(png), entry.error);
+  });
+}
+
+test('decodePng rejects truncated image data', () => {
+  assert.throws(() => decodePng(buildPng({ width: 4, height: 4 }, Buffer.alloc(13))), /Truncated PNG/);
+});
+
+const compareCases = [
+  {
+    name: 'identical images score 0',
+    previous: solidImage(4, 4, [255, 255, 255, 255]),
+    current: solidImage(4, 4, [255, 255, 255, 255]),
+    expected: { score: 0, changed_pixels: 0, size_changed: false },
+  },
+  {
+    name: 'small colour noise stays under the tolerance',
+    previous: solidImage(4, 4, [200, 200, 200, 255]),
+    current: solidImage(4, 4, [210, 190, 200, 255]),
+    expected: { score: 0, changed_pixels: 0, size_changed: false },
+  },
+  {
+    name: 'one changed pixel out of 16',
+    previous: solidImage(4, 4, [255, 255, 255, 255]),
+    current: paint(solidImage(4, 4, [255, 255, 255, 255]), 1, 1, [0, 0, 0, 255]),
+    expected: { score: 0.0625, changed_pixels: 1, size_changed: false },
+  },
+  {
+    name: 'area covered by only one image counts as changed',
+    previous: solidImage(4, 4, [255, 255, 255, 255]),
+    current: solidImage(4, 2, [255, 255, 255, 255]),
+    expected: { score: 0.5, changed_pixels: 8, size_changed: true },
+  },
+];
+
+for (const entry of compareCases) {
+  test(`compareImages: ${entry.name}`, () => {
+    const { diff, ...result } = compareImages(entry.previous, entry.current);
+    assert.deepEqual(result, entry.expected);
+    assert.deepEqual([diff.width, diff.height], [4, 4]);
+  });
+}
+
+test('compareWithBaseline compares with the previous run and rotates the baseline', () => {
+  const visualDir = fs.mkdtempSync(path.join(os.tmpdir(), 'preismonitor-visual-'));
+  try {
+    const white = encodePng(solidImage(4, 4, [255, 255, 255, 255]));
+    const changed = encodePng(paint(solidImage(4, 4, [255, 255, 255, 255]), 0, 0, [0, 0, 0, 255]));
+    const black = encodePng(solidImage(4, 4, [0, 0, 0, 255]));
+
+    const first = compareWithBaseline('hotel', 'price', white, { visualDir, threshold: 0.1 });
+    assert.deepEqual([first.score, first.changed, first.baseline], [null, false, null]);
+
+    const second = compareWithBaseline('hotel', 'price', changed, { visualDir, threshold: 0.1 });
+    assert.deepEqual([second.score, second.changed], [0.0625, false]);
+    assert.ok(fs.existsSync(second.diff));
+    assert.deepEqual(fs.readFileSync(second.baseline), white);
+
+    const failed = compareWithBaseline('hotel', 'price', black, { visualDir, threshold: 0.1, update: false });
+    assert.deepEqual([failed.score, failed.changed], [0.9375, true]);
+    assert.deepEqual(fs.readFileSync(path.join(visualDir, 'hotel', 'price.png')), changed);
+    assert.equal(path.basename(failed.file), 'price.failed.png');
+  } finally {
+    fs.rmSync(visualDir, { recursive: true, force: true });
+  }
+});
+
+test('visual keys and options come from targets and CLI flags', () => {
+  assert.equal(targetVisualKey({ id: 'hotel', visual: true }), 'hotel');
+  assert.equal(targetVisualKey({ id: 'hotel', visual: 'shared' }), 'shared');
+  assert.equal(targetVisualKey({ id: 'hotel' }), null);
+  assert.equal(visualOptionsFromArgs({}), null);
+  assert.deepEqual(
+    visualOptionsFromArgs({ visual: 'hotel', 'visual-threshold': '0.2' }, { threshold: 0.05, full_page: true }),
+    { key: 'hotel', threshold: 0.2, fullPage: true },
+  );
+});
+
+test('priceElementHints puts the winner first and adds candidates with the same value', () => {
+  const candidates = [
+    { source: 'json', value: 840, text: '840', selector: null },
+    { source: 'regex', value: 95, text: '95,00 € pro Nacht', selector: null },
+    { source: 'selector', value: 840, text: 'Gesamtpreis: 840,00 €', selector: '.total-price' },
+  ];
+  assert.deepEqual(priceElementHints('840', candidates), [
+    { selector: null, text: '840' },
+    { selector: '.total-price', text: 'Gesamtpreis: 840,00 €' },
+  ]);
+  assert.deepEqual(priceElementHints(null, []), []);
+});
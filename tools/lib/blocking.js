@@ -0,0 +1,97 @@
+const { BLOCKED_SIGNALS, findBlockedSignal, mapBlockedReason } = require('./extraction');
+
+const BLOCK_STATUS_REASONS = {
+  403: 'forbidden',
+  429: 'rate_limited',
+  503: 'service_unavailable',
+};
+const CHALLENGE_MARKERS = [
+  ['cloudflare', 'challenge', /(cf-chl-|cf_chl_opt|challenge-platform|<title>just a moment\.\.\.<\/title>)/i],
+  ['datadome', 'challenge', /(captcha-delivery\.com|datadome)/i],
+  ['perimeterx', 'challenge', /(px-captcha|_pxhd|perimeterx)/i],
+  ['incapsula', 'challenge', /(_incapsula_resource|incapsula incident)/i],
+  ['akamai', 'challenge', /(errors\.edgesuite\.net|reference&#32;&#35;|reference #\d+\.[0-9a-f]+)/i],
+  ['recaptcha', 'captcha', /(g-recaptcha|recaptcha\/api\.js)/i],
+  ['hcaptcha', 'captcha', /(h-captcha|hcaptcha\.com)/i],
+];
+const INTERSTITIAL_URL_REGEX = /(\/cdn-cgi\/challenge|\/captcha|\/challenge|\/sorry\/|\/blocked|perfdrive\.com|captcha-delivery\.com)/i;
+const EMPTY_TEXT_LIMIT = 50;
+const DEFAULT_BACKOFF_MS = 2000;
+const MAX_BACKOFF_MS = 60000;
+
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    return Number(text) * 1000;
+  }
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function findChallengeMarker(html) {
+  const marker = CHALLENGE_MARKERS.find(([, , regex]) => regex.test(html || ''));
+  return marker ? { name: marker[0], reason: marker[1] } : null;
+}
+
+function isInterstitialRedirect(urlRequested, urlEffective) {
+  if (!urlEffective || urlEffective === urlRequested) {
+    return false;
+  }
+  try {
+    const effective = new URL(urlEffective);
+    return INTERSTITIAL_URL_REGEX.test(`${effective.hostname}${effective.pathname}`);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Status codes and interstitial redirects block regardless of content; page
+// markers and text signals only count when no price was found, and a page is
+// "empty" only when it has almost no text, no digits and no price responses.
+function classifyBlock(page) {
+  const retryAfterMs = parseRetryAfter(page.retryAfter);
+  const result = (reason, signal) => ({ blocked: true, reason, signal, retryAfterMs });
+
+  if (isInterstitialRedirect(page.urlRequested, page.urlEffective)) {
+    return result('interstitial', page.urlEffective);
+  }
+  const statusReason = BLOCK_STATUS_REASONS[page.httpStatus];
+  const challenge = findChallengeMarker(page.html);
+  if (statusReason) {
+    return challenge
+      ? result(challenge.reason, `${challenge.name} (http ${page.httpStatus})`)
+      : result(statusReason, `http ${page.httpStatus}`);
+  }
+  if (!page.hasPrice && challenge) {
+    return result(challenge.reason, challenge.name);
+  }
+  const signal = page.hasPrice ? null : findBlockedSignal(page.html || page.bodyText || '', page.signals || BLOCKED_SIGNALS);
+  if (signal) {
+    return result(mapBlockedReason(signal), signal);
+  }
+  const text = (page.bodyText || '').trim();
+  if (!page.hasPrice && !page.unavailable && !page.hasPriceResponses && text.length < EMPTY_TEXT_LIMIT && !/\d/.test(text)) {
+    return result('empty', `body_text ${text.length} chars`);
+  }
+  return { blocked: false, reason: null, signal: null, retryAfterMs };
+}
+
+function backoffDelay(attempt, baseMs, retryAfterMs) {
+  const delay = Math.max(baseMs * (2 ** (attempt - 1)), retryAfterMs || 0);
+  return Math.min(delay, MAX_BACKOFF_MS);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  DEFAULT_BACKOFF_MS,
+  parseRetryAfter,
+  classifyBlock,
+  backoffDelay,
+  sleep,
+};
@@ -0,0 +1,139 @@
+const BREAKDOWN_PARTS = ['base', 'taxes', 'fees', 'total', 'per_night', 'per_person'];
+
+function roundAmount(value) {
+  return value === null ? null : Math.round(value * 100) / 100;
+}
+
+function parseCount(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error(`${name} must be a positive integer`);
+  }
+  return count;
+}
+
+function occupancyFromArgs(values) {
+  return {
+    nights: parseCount(values.nights, '--nights'),
+    guests: parseCount(values.guests, '--guests'),
+  };
+}
+
+// targets.json and daemon payloads: "adults" is accepted as the guest count
+// because that is what most booking URLs call it.
+function targetOccupancy(target) {
+  return {
+    nights: parseCount(target.nights, 'nights'),
+    guests: parseCount(target.guests ?? target.adults, 'guests'),
+  };
+}
+
+// Fills the gaps from what is known: the total from its parts or from a
+// per-night/per-person price, then base, per night and per person from the
+// total. Every filled-in field is listed in "derived".
+function normalizeBreakdown(parts, occupancy = {}) {
+  const breakdown = Object.fromEntries(BREAKDOWN_PARTS.map((part) => [part, parts[part] ?? null]));
+  const nights = occupancy.nights || null;
+  const guests = occupancy.guests || null;
+  const derived = [...(parts.derived || [])];
+  const extras = (breakdown.taxes || 0) + (breakdown.fees || 0);
+  const hasExtras = breakdown.taxes !== null || breakdown.fees !== null;
+  const derive = (part, value) => {
+    breakdown[part] = roundAmount(value);
+    derived.push(part);
+  };
+
+  if (breakdown.total === null) {
+    if (breakdown.base !== null && hasExtras) {
+      derive('total', breakdown.base + extras);
+    } else if (breakdown.per_night !== null && nights) {
+      derive('total', breakdown.per_night * nights + extras);
+    } else if (breakdown.per_person !== null && guests) {
+      derive('total', breakdown.per_person * guests + extras);
+    }
+  }
+  if (breakdown.total !== null) {
+    if (breakdown.base === null && hasExtras) {
+      derive('base', breakdown.total - extras);
+    }
+    if (breakdown.per_night === null && nights) {
+      derive('per_night', breakdown.total / nights);
+    }
+    if (breakdown.per_person === null && guests) {
+      derive('per_person', breakdown.total / guests);
+    }
+  }
+  return { ...breakdown, nights, guests, derived };
+}
+
+// A price per person and night becomes a per-night price for all guests and
+// a per-person price for the stay; normalizeBreakdown takes it from there.
+function priceBreakdown(value, context, occupancy = {}) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (context === 'per_night' || context === 'per_person') {
+    return normalizeBreakdown({ [context]: value }, occupancy);
+  }
+  if (context === 'per_person_night') {
+    const parts = { derived: [] };
+    if (occupancy.guests) {
+      parts.per_night = roundAmount(value * occupancy.guests);
+      parts.derived.push('per_night');
+    }
+    if (occupancy.nights) {
+      parts.per_person = roundAmount(value * occupancy.nights);
+      parts.derived.push('per_person');
+    }
+    return normalizeBreakdown(parts, occupancy);
+  }
+  return normalizeBreakdown({ total: value }, occupancy);
+}
+
+// Path candidates have no label; "pricing.perNight.amount" says enough.
+function contextFromPath(pathText) {
+  const lower = String(pathText || '').toLowerCase();
+  const perNight = /night|nacht/.test(lower);
+  const perPerson = /person/.test(lower);
+  if (perNight && perPerson) {
+    return 'per_person_night';
+  }
+  if (perNight) {
+    return 'per_night';
+  }
+  return perPerson ? 'per_person' : null;
+}
+
+function offerBreakdown(offer, occupancy = {}) {
+  return normalizeBreakdown(offer, occupancy);
+}
+
+// A JSON winner inside an offer uses that offer's pricing object, which has
+// the taxes and fees next to it; everything else is read from its context.
+function winnerBreakdown(winner, offers = [], occupancy = {}) {
+  if (!winner) {
+    return null;
+  }
+  const offer = winner.path
+    ? offers.find((entry) => winner.path === entry.path || winner.path.startsWith(`${entry.path}.`))
+    : null;
+  if (offer && (offer.total !== null || offer.per_night !== null || offer.per_person !== null)) {
+    return offerBreakdown(offer, occupancy);
+  }
+  const context = winner.context || (winner.path ? contextFromPath(winner.path) : null);
+  return priceBreakdown(winner.value, context, occupancy);
+}
+
+module.exports = {
+  BREAKDOWN_PARTS,
+  occupancyFromArgs,
+  targetOccupancy,
+  normalizeBreakdown,
+  priceBreakdown,
+  contextFromPath,
+  offerBreakdown,
+  winnerBreakdown,
+};
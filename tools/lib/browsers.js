@@ -0,0 +1,85 @@
+const fs = require('fs');
+const playwright = require('playwright');
+const { BROWSER_ENGINES, DEFAULT_RUNNER_CONFIG } = require('./config');
+
+// The sandbox flags are Chromium switches; Firefox and WebKit reject them.
+function launchOptions(engine) {
+  return engine === 'chromium'
+    ? { headless: true, args: ['--no-sandbox', '--disable-setuid-sandbox'] }
+    : { headless: true };
+}
+
+async function launchEngine(engine = 'chromium') {
+  if (!BROWSER_ENGINES.includes(engine)) {
+    throw new Error(`Unknown browser engine: ${engine}`);
+  }
+  return playwright[engine].launch(launchOptions(engine));
+}
+
+function isEngineInstalled(engine) {
+  try {
+    return fs.existsSync(playwright[engine].executablePath());
+  } catch (error) {
+    return false;
+  }
+}
+
+// The configured engine always runs (a missing binary is a real error);
+// fallback engines are skipped unless their browser is installed.
+function engineChain(config, installed = isEngineInstalled) {
+  const chain = [config.browser || 'chromium'];
+  for (const engine of config.browser_fallback || []) {
+    if (!chain.includes(engine) && installed(engine)) {
+      chain.push(engine);
+    }
+  }
+  return chain;
+}
+
+// The default user agent is a Chrome one; Firefox and WebKit keep their own
+// unless a different one is configured, a mismatch is easy to fingerprint.
+function contextUserAgent(browser, config) {
+  const engine = browser.browserType().name();
+  return engine === 'chromium' || config.user_agent !== DEFAULT_RUNNER_CONFIG.user_agent ? config.user_agent : undefined;
+}
+
+// Another engine only helps when this one was blocked or the page did not
+// render; a sold-out page or a navigation error looks the same everywhere.
+function shouldFallback(output) {
+  return Boolean(output.blocked) || output.error === 'did_not_render';
+}
+
+// Hands out one browser per engine. A browser passed in (the shared
+// Chromium of batch and calendar runs) is reused for its engine and left
+// open; engines launched here are closed by close().
+function createBrowserSet(seed = null) {
+  const launched = new Map();
+  const seedEngine = seed ? seed.browserType().name() : null;
+
+  const getBrowser = (engine) => {
+    if (seed && engine === seedEngine) {
+      return Promise.resolve(seed);
+    }
+    if (!launched.has(engine)) {
+      launched.set(engine, launchEngine(engine));
+    }
+    return launched.get(engine);
+  };
+
+  const close = async () => {
+    const browsers = await Promise.all([...launched.values()].map((promise) => promise.catch(() => null)));
+    launched.clear();
+    await Promise.all(browsers.filter(Boolean).map((browser) => browser.close().catch(() => {})));
+  };
+
+  return { getBrowser, close };
+}
+
+module.exports = {
+  launchEngine,
+  isEngineInstalled,
+  engineChain,
+  contextUserAgent,
+  shouldFallback,
+  createBrowserSet,
+};
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+const { readJsonFile } = require('./targets');
+const { DEFAULT_RETENTION } = require('./retention');
+const { DEFAULT_REDACT_FIELDS } = require('./redact');
+const { DEFAULT_VISUAL_SETTINGS } = require('./visual');
+
+const SETTINGS_PATH = path.join(__dirname, '..', '..', 'config', 'settings.json');
+
+const BROWSER_ENGINES = ['chromium', 'firefox', 'webkit'];
+
+const DEFAULT_RUNNER_CONFIG = {
+  navigation_timeout_ms: 60000,
+  network_idle_timeout_ms: 60000,
+  price_wait_timeout_ms: 30000,
+  viewport: { width: 1280, height: 720 },
+  locale: 'de-DE',
+  timezone: 'Europe/Berlin',
+  user_agent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36',
+  accept_language: 'de-DE,de;q=0.9,en;q=0.8',
+  // Off unless a site profile or a settings layer opts in, so targets
+  // without a profile load what they always loaded.
+  block_resources: false,
+  browser: 'chromium',
+  browser_fallback: ['firefox', 'webkit'],
+};
+
+const RUNNER_FLAGS = {
+  'navigation-timeout': 'navigation_timeout_ms',
+  'network-idle-timeout': 'network_idle_timeout_ms',
+  'price-wait-timeout': 'price_wait_timeout_ms',
+  viewport: 'viewport',
+  locale: 'locale',
+  timezone: 'timezone',
+  'user-agent': 'user_agent',
+  'accept-language': 'accept_language',
+  'block-resources': 'block_resources',
+  browser: 'browser',
+  'browser-fallback': 'browser_fallback',
+};
+
+const RUNNER_ARG_OPTIONS = Object.fromEntries(Object.keys(RUNNER_FLAGS).map((flag) => [flag, { type: 'string' }]));
+
+function parseViewport(value) {
+  if (value && typeof value === 'object') {
+    return { width: Number(value.width), height: Number(value.height) };
+  }
+  const match = String(value).match(/^(\d+)x(\d+)$/);
+  if (!match) {
+    throw new Error(`Invalid viewport: ${value} (expected WIDTHxHEIGHT)`);
+  }
+  return { width: Number(match[1]), height: Number(match[2]) };
+}
+
+function parseSwitch(key, value) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  const normalized = String(value).toLowerCase();
+  if (['on', 'true', '1', 'yes'].includes(normalized)) {
+    return true;
+  }
+  if (['off', 'false', '0', 'no'].includes(normalized)) {
+    return false;
+  }
+  throw new Error(`Invalid ${key}: ${value} (expected on or off)`);
+}
+
+function parseEngine(key, value) {
+  const engine = String(value).trim().toLowerCase();
+  if (!BROWSER_ENGINES.includes(engine)) {
+    throw new Error(`Invalid ${key}: ${value} (expected ${BROWSER_ENGINES.join(', ')})`);
+  }
+  return engine;
+}
+
+// "firefox,webkit" on the command line, an array in JSON; "none" disables
+// the fallback.
+function parseEngineList(key, value) {
+  const entries = Array.isArray(value) ? value : String(value).split(',');
+  return entries
+    .map((entry) => String(entry).trim())
+    .filter((entry) => entry && entry.toLowerCase() !== 'none')
+    .map((entry) => parseEngine(key, entry));
+}
+
+function pickRunnerOptions(source) {
+  const picked = {};
+  for (const key of Object.keys(DEFAULT_RUNNER_CONFIG)) {
+    const value = source ? source[key] : undefined;
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+    if (key === 'viewport') {
+      picked[key] = parseViewport(value);
+    } else if (key.endsWith('_ms')) {
+      picked[key] = Number(value);
+      if (!Number.isFinite(picked[key]) || picked[key] < 0) {
+        throw new Error(`Invalid ${key}: ${value}`);
+      }
+    } else if (key === 'browser') {
+      picked[key] = parseEngine(key, value);
+    } else if (key === 'browser_fallback') {
+      picked[key] = parseEngineList(key, value);
+    } else if (typeof DEFAULT_RUNNER_CONFIG[key] === 'boolean') {
+      picked[key] = parseSwitch(key, value);
+    } else {
+      picked[key] = String(value);
+    }
+  }
+  return picked;
+}
+
+function readSettings(settingsPath = SETTINGS_PATH) {
+  return fs.existsSync(settingsPath) ? readJsonFile(settingsPath) : {};
+}
+
+// Runner options live in the playwright_runner section, next to the PHP
+// side's service url and timeout_seconds. The top-level user_agent and
+// timeout_seconds (as navigation_timeout_ms) are the fallback below it, so a
+// playwright_runner entry overrides them.
+function loadRunnerSettings(settingsPath = SETTINGS_PATH) {
+  const settings = readSettings(settingsPath);
+  const seconds = settings.timeout_seconds;
+  const topLevel = pickRunnerOptions({
+    user_agent: settings.user_agent,
+    navigation_timeout_ms: seconds === undefined || seconds === null || seconds === '' ? undefined : Number(seconds) * 1000,
+  });
+  return { ...topLevel, ...pickRunnerOptions(settings.playwright_runner || {}) };
+}
+
+// redact_fields extends the built-in list instead of replacing it.
+function loadArtifactSettings(settingsPath = SETTINGS_PATH) {
+  const artifacts = readSettings(settingsPath).artifacts || {};
+  return {
+    prune_after_run: artifacts.prune_after_run !== false,
+    retention: { ...DEFAULT_RETENTION, ...(artifacts.retention || {}) },
+    redact_fields: [...DEFAULT_REDACT_FIELDS, ...(artifacts.redact_fields || [])],
+    visual: { ...DEFAULT_VISUAL_SETTINGS, ...(artifacts.visual || {}) },
+  };
+}
+
+function runnerOptionsFromArgs(values) {
+  const options = {};
+  for (const [flag, key] of Object.entries(RUNNER_FLAGS)) {
+    if (values[flag] !== undefined) {
+      options[key] = values[flag];
+    }
+  }
+  return pickRunnerOptions(options);
+}
+
+// Precedence: defaults < site profile < settings.json < target "runner" < CLI.
+function resolveRunnerConfig(profile, layers = []) {
+  const base = {
+    ...DEFAULT_RUNNER_CONFIG,
+    ...pickRunnerOptions({
+      browser: profile.browser,
+      browser_fallback: profile.browser_fallback,
+      block_resources: profile.block_resources,
+    }),
+    locale: profile.locale,
+    timezone: profile.timezone,
+    accept_language: profile.accept_language,
+    price_wait_timeout_ms: profile.wait.timeout_ms,
+  };
+  return layers.reduce((config, layer) => ({ ...config, ...pickRunnerOptions(layer) }), base);
+}
+
+module.exports = {
+  BROWSER_ENGINES,
+  DEFAULT_RUNNER_CONFIG,
+  RUNNER_ARG_OPTIONS,
+  loadRunnerSettings,
+  loadArtifactSettings,
+  runnerOptionsFromArgs,
+  resolveRunnerConfig,
+};
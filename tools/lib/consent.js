@@ -0,0 +1,301 @@
+const BUTTON_SELECTOR = 'button, [role="button"], input[type="button"], input[type="submit"], a[href="#"]';
+const MARK_ATTRIBUTE = 'data-pm-consent';
+const CLICK_TIMEOUT_MS = 2000;
+const VERIFY_TIMEOUT_MS = 3000;
+const MAX_ROUNDS = 3;
+
+// Known consent platforms; Playwright's CSS engine pierces open shadow roots,
+// so Usercentrics' shadow DOM needs no special handling. Sourcepoint renders
+// its TCF banner in an iframe, which is why every frame is searched.
+const CONSENT_PLATFORMS = [
+  {
+    name: 'onetrust',
+    detect: '#onetrust-banner-sdk',
+    accept: '#onetrust-accept-btn-handler',
+    reject: '#onetrust-reject-all-handler',
+  },
+  {
+    name: 'usercentrics',
+    detect: '#usercentrics-root [data-testid="uc-default-banner"], #usercentrics-root [data-testid="uc-center-container"], #usercentrics-cmp-ui',
+    accept: '[data-testid="uc-accept-all-button"]',
+    reject: '[data-testid="uc-deny-all-button"]',
+  },
+  {
+    name: 'cookiebot',
+    detect: '#CybotCookiebotDialog',
+    accept: '#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll, #CybotCookiebotDialogBodyButtonAccept',
+    reject: '#CybotCookiebotDialogBodyButtonDecline',
+  },
+  {
+    name: 'didomi',
+    detect: '#didomi-notice, .didomi-popup-container',
+    accept: '#didomi-notice-agree-button',
+    reject: '#didomi-notice-disagree-button, .didomi-continue-without-agreeing',
+  },
+  {
+    name: 'quantcast',
+    detect: '.qc-cmp2-container',
+    accept: '.qc-cmp2-summary-buttons button[mode="primary"], button.qc-cmp2-accept-all',
+    reject: '.qc-cmp2-summary-buttons button[mode="secondary"], button.qc-cmp2-reject-all',
+  },
+  {
+    name: 'sourcepoint',
+    detect: '.message-container .sp_choice_type_11, .message-container .sp_choice_type_13',
+    accept: 'button.sp_choice_type_11',
+    reject: 'button.sp_choice_type_13',
+  },
+  {
+    name: 'trustarc',
+    detect: '#truste-consent-track, .truste_box_overlay',
+    accept: '#truste-consent-button, .call[id*="accept"]',
+    reject: '#truste-consent-required',
+  },
+];
+
+// Button texts only count inside one of these: dialogs, the platforms' root
+// elements and anything whose id or class mentions consent or cookies.
+const CONTAINER_SELECTOR = [
+  '[role="dialog"]', '[role="alertdialog"]', '[aria-modal="true"]',
+  '#onetrust-consent-sdk', '#onetrust-banner-sdk', '#usercentrics-root', '#usercentrics-cmp-ui',
+  '#CybotCookiebotDialog', '#didomi-host', '.qc-cmp2-container', '[id^="sp_message_iframe"]', '#truste-consent-track',
+  '[id*="consent" i]', '[class*="consent" i]', '[id*="cookie" i]', '[class*="cookie" i]',
+].join(', ');
+const CONSENT_URL_REGEX = /consent|cookie|privacy-mgmt|\bcmp\b/i;
+
+const ACCEPT_TEXTS = [
+  // de
+  'Alle akzeptieren', 'Alle Cookies akzeptieren', 'Akzeptieren', 'Alle zulassen', 'Zustimmen', 'Einverstanden',
+  // en
+  'Accept all', 'Accept all cookies', 'Accept cookies', 'Accept', 'Allow all', 'I agree', 'Agree',
+  // fr
+  'Tout accepter', 'Accepter et fermer', 'Accepter', "J'accepte",
+  // it
+  'Accetta tutti', 'Accetta tutto', 'Accetta', 'Accetto',
+  // es
+  'Aceptar todo', 'Aceptar todas', 'Aceptar', 'Acepto',
+];
+
+const REJECT_TEXTS = [
+  'Alle ablehnen', 'Ablehnen', 'Nur notwendige', 'Nur erforderliche',
+  'Reject all', 'Reject', 'Decline', 'Only necessary',
+  'Tout refuser', 'Refuser', 'Continuer sans accepter',
+  'Rifiuta tutto', 'Rifiuta', 'Solo necessari',
+  'Rechazar todo', 'Rechazar', 'Solo necesarias',
+];
+
+// Runs inside the frame: collects visible buttons inside consent containers
+// (including those in open shadow roots), then tries exact matches before
+// prefixes so "Akzeptieren" never picks "Nicht akzeptieren" over an exact hit.
+// A frame that is itself a consent banner counts as one container. The
+// winner is marked with an attribute so Playwright can click it.
+function markConsentButton({ phrases, selector, container, wholeFrame, attribute }) {
+  const normalize = (text) => String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+  const elements = [];
+  const visit = (root) => {
+    root.querySelectorAll(selector).forEach((element) => elements.push(element));
+    root.querySelectorAll('*').forEach((element) => {
+      if (element.shadowRoot) {
+        visit(element.shadowRoot);
+      }
+    });
+  };
+  visit(document);
+  const isVisible = (element) => {
+    const rect = element.getBoundingClientRect();
+    const style = window.getComputedStyle(element);
+    return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+  };
+  // closest() stops at a shadow root, so the walk continues at its host.
+  const inContainer = (element) => {
+    for (let node = element; node; node = node.parentElement || (node.getRootNode() instanceof ShadowRoot ? node.getRootNode().host : null)) {
+      if (node.matches(container)) {
+        return true;
+      }
+    }
+    return false;
+  };
+  const buttons = elements
+    .filter((element) => isVisible(element) && (wholeFrame || inContainer(element)))
+    .map((element) => ({ element, text: normalize(element.innerText || element.value || element.getAttribute('aria-label')) }))
+    .filter((entry) => entry.text && entry.text.length <= 60);
+  const matchers = [
+    (text, phrase) => text === phrase,
+    (text, phrase) => text.startsWith(phrase),
+  ];
+  for (const matches of matchers) {
+    for (const phrase of phrases.map(normalize)) {
+      const hit = buttons.find((entry) => matches(entry.text, phrase));
+      if (hit) {
+        hit.element.setAttribute(attribute, 'target');
+        return hit.element.innerText || hit.element.value || '';
+      }
+    }
+  }
+  return null;
+}
+
+function frameLabel(page, frame) {
+  return frame === page.mainFrame() ? null : frame.url();
+}
+
+// Hidden and detached both count as gone; a removed CMP iframe detaches the
+// frame, which is as good as the overlay disappearing.
+async function verifyHidden(frame, locator) {
+  try {
+    await locator.waitFor({ state: 'hidden', timeout: VERIFY_TIMEOUT_MS });
+    return true;
+  } catch (error) {
+    return frame.isDetached();
+  }
+}
+
+async function clickFirst(frame, selectors) {
+  for (const selector of selectors) {
+    const target = frame.locator(selector).first();
+    if ((await target.count().catch(() => 0)) === 0 || !(await target.isVisible().catch(() => false))) {
+      continue;
+    }
+    const text = ((await target.innerText().catch(() => '')) || '').trim();
+    if (await target.click({ timeout: CLICK_TIMEOUT_MS }).then(() => true, () => false)) {
+      return { selector, text, target };
+    }
+  }
+  return null;
+}
+
+async function tryPlatforms(page, frame, actions) {
+  for (const platform of CONSENT_PLATFORMS) {
+    const banner = frame.locator(platform.detect).first();
+    if ((await banner.count().catch(() => 0)) === 0) {
+      continue;
+    }
+    for (const action of actions) {
+      const click = await clickFirst(frame, [platform[action]]);
+      if (click) {
+        return {
+          platform: platform.name,
+          action,
+          selector: click.selector,
+          text: click.text,
+          frame: frameLabel(page, frame),
+          verified: await verifyHidden(frame, banner),
+        };
+      }
+    }
+  }
+  return null;
+}
+
+async function trySelectors(page, frame, consent) {
+  const click = await clickFirst(frame, consent.selectors || []);
+  if (!click) {
+    return null;
+  }
+  return {
+    platform: 'profile',
+    action: 'accept',
+    selector: click.selector,
+    text: click.text,
+    frame: frameLabel(page, frame),
+    verified: await verifyHidden(frame, click.target),
+  };
+}
+
+// An iframe whose element or URL looks like a consent banner (a CMP served
+// from its own host) is searched as a whole.
+async function isConsentFrame(page, frame) {
+  if (frame === page.mainFrame()) {
+    return false;
+  }
+  if (CONSENT_URL_REGEX.test(frame.url())) {
+    return true;
+  }
+  const element = await frame.frameElement().catch(() => null);
+  return element
+    ? element.evaluate((node, container) => node.matches(container), CONTAINER_SELECTOR).catch(() => false)
+    : false;
+}
+
+async function tryTexts(page, frame, actions, phrasesByAction) {
+  const wholeFrame = await isConsentFrame(page, frame);
+  for (const action of actions) {
+    const text = await frame.evaluate(markConsentButton, {
+      phrases: phrasesByAction[action],
+      selector: BUTTON_SELECTOR,
+      container: CONTAINER_SELECTOR,
+      wholeFrame,
+      attribute: MARK_ATTRIBUTE,
+    }).catch(() => null);
+    if (text === null) {
+      continue;
+    }
+    const target = frame.locator(`[${MARK_ATTRIBUTE}="target"]`).first();
+    const clicked = await target.click({ timeout: CLICK_TIMEOUT_MS }).then(() => true, () => false);
+    const verified = clicked ? await verifyHidden(frame, target) : false;
+    await target.evaluate((element, attribute) => element.removeAttribute(attribute), MARK_ATTRIBUTE).catch(() => {});
+    if (clicked) {
+      return { platform: 'text', action, selector: BUTTON_SELECTOR, text: text.trim(), frame: frameLabel(page, frame), verified };
+    }
+  }
+  return null;
+}
+
+async function handleConsentRound(page, consent, actions, phrasesByAction) {
+  const frames = page.frames().filter((frame) => !frame.isDetached());
+  for (const frame of frames) {
+    const result = await trySelectors(page, frame, consent) || await tryPlatforms(page, frame, actions);
+    if (result) {
+      return result;
+    }
+  }
+  for (const frame of frames) {
+    const result = await tryTexts(page, frame, actions, phrasesByAction);
+    if (result) {
+      return result;
+    }
+  }
+  return null;
+}
+
+// Profile selectors come first, then the known platforms, then button texts
+// in all frames. With prefer "reject" the reject button is tried first and
+// accept only when there is none, so the banner never stays on the price.
+// Some sites stack a second banner behind the first, hence several rounds.
+async function handleConsentOverlays(page, consent = {}) {
+  const actions = consent.prefer === 'reject' ? ['reject', 'accept'] : ['accept'];
+  const phrasesByAction = {
+    accept: [...(consent.texts || []), ...ACCEPT_TEXTS],
+    reject: [...(consent.reject_texts || []), ...REJECT_TEXTS],
+  };
+  const clicks = [];
+  for (let round = 0; round < MAX_ROUNDS; round += 1) {
+    const result = await handleConsentRound(page, consent, actions, phrasesByAction);
+    if (!result) {
+      break;
+    }
+    clicks.push(result);
+    // A text match is only a guess at the banner; only banners we recognise
+    // are worth another round.
+    if (!result.verified || result.platform === 'text') {
+      break;
+    }
+  }
+  const first = clicks[0] || null;
+  return {
+    clicked: clicks.length > 0,
+    platform: first ? first.platform : null,
+    action: first ? first.action : null,
+    selector: first ? first.selector : null,
+    text: first ? first.text : null,
+    frame: first ? first.frame : null,
+    verified: clicks.length > 0 && clicks.every((click) => click.verified),
+    clicks,
+  };
+}
+
+module.exports = {
+  CONSENT_PLATFORMS,
+  ACCEPT_TEXTS,
+  REJECT_TEXTS,
+  handleConsentOverlays,
+};
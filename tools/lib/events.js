@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Anchored at the repository root, like PHP's view of the run logs, so the
+// working directory of the runner does not matter.
+const DEFAULT_ARTIFACTS_DIR = path.join(__dirname, '..', '..', 'artifacts', 'runs');
+
+function createRunId(now = new Date()) {
+  const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  return `${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+// Where events go: a file (appended), an inherited fd or stderr by default.
+function openEventSink({ file = null, fd = null } = {}) {
+  if (file) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  }
+  const target = file ? fs.openSync(file, 'a') : fd ?? 2;
+  return {
+    write: (line) => fs.writeSync(target, `${line}\n`),
+    close: () => {
+      if (file) {
+        fs.closeSync(target);
+      }
+    },
+  };
+}
+
+const stderrSink = { write: (line) => process.stderr.write(`${line}\n`), close: () => {} };
+
+// One NDJSON line per event: {"ts", "run_id", "step", ...fields}. Fields with
+// undefined values are dropped by JSON.stringify.
+function createEventLog({ runId = createRunId(), sink = stderrSink, fields = {} } = {}) {
+  const emit = (step, extra = {}) => {
+    sink.write(JSON.stringify({ ts: new Date().toISOString(), run_id: runId, step, ...fields, ...extra }));
+  };
+  return {
+    runId,
+    emit,
+    child: (extra) => createEventLog({ runId, sink, fields: { ...fields, ...extra } }),
+  };
+}
+
+// Writes diagnostics of a run into <artifactsDir>/<run_id>/ and returns the
+// paths so events and the output JSON can reference them.
+function writeRunArtifacts(artifactsDir, runId, files) {
+  const dir = path.join(artifactsDir || DEFAULT_ARTIFACTS_DIR, runId);
+  fs.mkdirSync(dir, { recursive: true });
+  const written = {};
+  for (const [name, { file, content }] of Object.entries(files)) {
+    if (content === null || content === undefined) {
+      continue;
+    }
+    const filePath = path.join(dir, file);
+    fs.writeFileSync(filePath, content);
+    written[name] = filePath;
+  }
+  return { dir, ...written };
+}
+
+module.exports = {
+  DEFAULT_ARTIFACTS_DIR,
+  createRunId,
+  openEventSink,
+  createEventLog,
+  writeRunArtifacts,
+};
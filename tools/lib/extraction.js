@@ -0,0 +1,468 @@
+// Shared by both runners. "rate" only counts as a word or a camelCase part
+// (rate, rates, roomRate, daily_rate), so "rating" or "generatedAt" do not
+// make a response look like a price response.
+const PRICE_KEY_REGEX = /[Pp]rice|PRICE|[Aa]mount|AMOUNT|[Tt]otal|TOTAL|(?:^|[^A-Za-z])(?:[Rr]ates?|RATES?)(?![a-z])|[a-z]Rates?(?![a-z])/;
+// Numbers under these keys are counters, ids or occupancy, never prices.
+const NON_PRICE_KEY_REGEX = /(count|page|pages|size|limit|offset|index|id|ids|nights|guests|adults|children|rooms|stars|rating|reviews|score|percent|percentage)$/i;
+const JSON_KEYWORDS_REGEX = /(price|amount|total|rate|currency)/i;
+const BLOCKED_SIGNALS = [
+  'captcha',
+  'access denied',
+  'enable javascript',
+  'verify you are human',
+  'unusual traffic',
+  'bot detection',
+  'attention required',
+];
+const UNAVAILABLE_STATUSES = ['blocked', 'sold_out', 'soldout', 'unavailable', 'not_available', 'closed'];
+const UNAVAILABLE_SIGNALS = [
+  'ausgebucht',
+  'nicht verfügbar',
+  'nicht mehr verfügbar',
+  'keine verfügbarkeit',
+  'sold out',
+  'not available',
+  'no availability',
+];
+
+const DEFAULT_LOCALE = 'de-DE';
+const LOCALE_DECIMAL_SEPARATORS = {
+  de: ',',
+  'de-CH': '.',
+  'fr-CH': '.',
+  'it-CH': '.',
+  en: '.',
+  fr: ',',
+  it: ',',
+};
+const CURRENCY_PATTERN = '€|\\$|£|(?<![a-z])(?:CHF|EUR|USD|GBP)(?![a-z])';
+// Thousands grouped by dot, comma, apostrophe or (thin) space, optionally
+// followed by two decimals or a dash for zero decimals ("1'250.–", "99,-").
+const AMOUNT_PATTERN = "(?:\\d{1,3}(?:[.,'\\u2019\\u00A0\\u2009\\u202F ]\\d{3})+|\\d+)(?:[.,](?:\\d{1,2}(?!\\d)|[-\\u2013\\u2014]{1,2}))?";
+const BARE_AMOUNT_REGEX = new RegExp(`^\\s*${AMOUNT_PATTERN}\\s*$`);
+const PRICE_TEXT_REGEX = new RegExp(
+  `(?:(${CURRENCY_PATTERN})\\s*(${AMOUNT_PATTERN}))|(?:(${AMOUNT_PATTERN})\\s*(${CURRENCY_PATTERN}))`,
+  'i',
+);
+
+function normalizeCurrency(value) {
+  if (!value) {
+    return null;
+  }
+  const currencyMap = {
+    '€': 'EUR',
+    EUR: 'EUR',
+    CHF: 'CHF',
+    '$': 'USD',
+    USD: 'USD',
+    '£': 'GBP',
+    GBP: 'GBP',
+  };
+  const trimmed = value.toString().trim().toUpperCase();
+  return currencyMap[trimmed] || trimmed;
+}
+
+function decimalSeparatorFor(locale) {
+  const tag = String(locale || DEFAULT_LOCALE);
+  return LOCALE_DECIMAL_SEPARATORS[tag] || LOCALE_DECIMAL_SEPARATORS[tag.split('-')[0]] || ',';
+}
+
+// A separator that appears once and is followed by exactly three digits is
+// ambiguous ("1.234", "1,234"); the locale decides whether it groups thousands.
+function normalizeAmount(amount, locale = DEFAULT_LOCALE) {
+  if (!amount) {
+    return null;
+  }
+  const clean = String(amount)
+    .replace(/[\s\u00A0\u2009\u202F'\u2019]/g, '')
+    .replace(/[.,][-\u2013\u2014]+$/, '');
+  const lastComma = clean.lastIndexOf(',');
+  const lastDot = clean.lastIndexOf('.');
+  let decimalIndex = -1;
+  if (lastComma !== -1 && lastDot !== -1) {
+    decimalIndex = Math.max(lastComma, lastDot);
+  } else if (lastComma !== -1 || lastDot !== -1) {
+    const separator = lastComma !== -1 ? ',' : '.';
+    const parts = clean.split(separator);
+    const fraction = parts[parts.length - 1];
+    if (parts.length === 2 && (fraction.length !== 3 || decimalSeparatorFor(locale) === separator)) {
+      decimalIndex = Math.max(lastComma, lastDot);
+    }
+  }
+  const normalized = decimalIndex === -1
+    ? clean.replace(/[.,]/g, '')
+    : `${clean.slice(0, decimalIndex).replace(/[.,]/g, '')}.${clean.slice(decimalIndex + 1)}`;
+  const value = Number.parseFloat(normalized);
+  return Number.isFinite(value) ? value : null;
+}
+
+const PER_PERSON_PHRASES = ['pro person', 'p.p', 'p. p.', 'per person', 'par personne', 'a persona', 'por persona'];
+const PER_NIGHT_PHRASES = ['pro nacht', 'per night', '/nacht', '/night', 'par nuit', 'a notte', 'por noche'];
+
+// "pro Person und Nacht" is both; it gets its own label so the breakdown can
+// multiply by guests and nights.
+function detectContext(text) {
+  const lower = text.toLowerCase();
+  const perPerson = PER_PERSON_PHRASES.some((phrase) => lower.includes(phrase));
+  const perNight = PER_NIGHT_PHRASES.some((phrase) => lower.includes(phrase)) || (perPerson && /\b(nacht|night)\b/.test(lower));
+  if (perPerson && perNight) {
+    return 'per_person_night';
+  }
+  if (perPerson) {
+    return 'per_person';
+  }
+  if (perNight) {
+    return 'per_night';
+  }
+  if (lower.includes('gesamt') || lower.includes('total')) {
+    return 'total';
+  }
+  return null;
+}
+
+function parsePriceFromText(text, locale = DEFAULT_LOCALE) {
+  const match = text.match(PRICE_TEXT_REGEX);
+  if (!match) {
+    return null;
+  }
+  const currency = match[1] || match[4];
+  const amount = match[2] || match[3];
+  const value = normalizeAmount(amount, locale);
+  if (value === null) {
+    return null;
+  }
+  return {
+    raw: match[0],
+    value,
+    currency: normalizeCurrency(currency),
+    context: detectContext(text),
+  };
+}
+
+function parseRegexPrice(text) {
+  const regexMatch = text.match(/(\d{1,3}(?:\.\d{3})*,\d{2})\s?€/);
+  if (!regexMatch) {
+    return null;
+  }
+  return {
+    raw: regexMatch[0],
+    value: normalizeAmount(regexMatch[1]),
+    currency: 'EUR',
+  };
+}
+
+function extractCandidatesFromJson(value, pathStack = [], locale = DEFAULT_LOCALE) {
+  const results = [];
+  if (value === null || value === undefined) {
+    return results;
+  }
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => {
+      results.push(...extractCandidatesFromJson(item, [...pathStack, String(index)], locale));
+    });
+    return results;
+  }
+  if (typeof value !== 'object') {
+    return results;
+  }
+  for (const [key, entry] of Object.entries(value)) {
+    const nextPath = [...pathStack, key];
+    if (typeof entry === 'number') {
+      results.push({
+        value: entry,
+        currency: value.currency || value.curr || null,
+        path: nextPath.join('.'),
+        key,
+      });
+    } else if (typeof entry === 'string' && /\d/.test(entry)) {
+      const parsed = parsePriceFromText(entry, locale);
+      if (parsed) {
+        results.push({
+          value: parsed.value,
+          currency: parsed.currency,
+          path: nextPath.join('.'),
+          key,
+        });
+      } else if (PRICE_KEY_REGEX.test(key) && BARE_AMOUNT_REGEX.test(entry)) {
+        results.push({
+          value: normalizeAmount(entry, locale),
+          currency: value.currency || value.curr || null,
+          path: nextPath.join('.'),
+          key,
+        });
+      }
+    }
+    results.push(...extractCandidatesFromJson(entry, nextPath, locale));
+  }
+  return results;
+}
+
+function normalizeOfferAmount(value, locale = DEFAULT_LOCALE) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value === 'object') {
+    return normalizeOfferAmount(value.amount ?? value.value ?? null, locale);
+  }
+  const text = String(value);
+  const parsed = parsePriceFromText(text, locale);
+  if (parsed) {
+    return parsed.value;
+  }
+  return normalizeAmount(text.replace(/[^0-9.,'\s\u00A0-]/g, ''), locale);
+}
+
+function offerCurrency(value) {
+  if (value && typeof value === 'object') {
+    return value.currency || value.curr || null;
+  }
+  if (typeof value === 'string') {
+    const parsed = parsePriceFromText(value);
+    return parsed ? parsed.currency : null;
+  }
+  return null;
+}
+
+// Breakdown parts next to total and night in a pricing object. Taxes and
+// fees add up over every matching key (VAT plus city tax), the others take
+// the first key that is set.
+const PRICING_PART_KEYS = {
+  base: ['base', 'net', 'subtotal', 'basePrice', 'base_price', 'roomRate', 'room_rate'],
+  taxes: ['taxes', 'tax', 'vat', 'cityTax', 'city_tax', 'touristTax', 'tourist_tax'],
+  fees: ['fees', 'fee', 'serviceFee', 'service_fee', 'cleaningFee', 'cleaning_fee', 'resortFee', 'resort_fee'],
+  per_person: ['perPerson', 'per_person', 'person'],
+};
+const SUMMED_PRICING_PARTS = ['taxes', 'fees'];
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Lists ([{ name, amount }]) and maps ({ cleaning: 40, service: 12 }) of
+// amounts are summed; a single amount is read as usual.
+function sumOfferAmounts(value, locale) {
+  let entries = null;
+  if (Array.isArray(value)) {
+    entries = value;
+  } else if (value && typeof value === 'object' && value.amount === undefined && value.value === undefined) {
+    entries = Object.values(value).filter((entry) => typeof entry !== 'string' || /\d/.test(entry));
+  }
+  if (!entries) {
+    return normalizeOfferAmount(value, locale);
+  }
+  const amounts = entries.map((entry) => normalizeOfferAmount(entry, locale)).filter((amount) => amount !== null);
+  return amounts.length > 0 ? roundAmount(amounts.reduce((sum, amount) => sum + amount, 0)) : null;
+}
+
+function readPricingParts(pricing, locale) {
+  const parts = {};
+  for (const [part, keys] of Object.entries(PRICING_PART_KEYS)) {
+    const amounts = keys
+      .filter((key) => pricing[key] !== undefined && pricing[key] !== null)
+      .map((key) => sumOfferAmounts(pricing[key], locale))
+      .filter((amount) => amount !== null);
+    if (amounts.length === 0) {
+      parts[part] = null;
+    } else {
+      parts[part] = SUMMED_PRICING_PARTS.includes(part)
+        ? roundAmount(amounts.reduce((sum, amount) => sum + amount, 0))
+        : amounts[0];
+    }
+  }
+  return parts;
+}
+
+function parseOfferRoom(room, offerPath, locale) {
+  const pricing = room.pricing || room.price || {};
+  const total = pricing.total ?? pricing.totalPrice ?? null;
+  const night = pricing.night ?? pricing.perNight ?? pricing.per_night ?? null;
+  const currency = offerCurrency(total) || offerCurrency(night) || room.currency || pricing.currency || null;
+  const status = room.status ? String(room.status).toLowerCase() : null;
+  const available = !(UNAVAILABLE_STATUSES.includes(status) || room.blocked === true || room.available === false);
+  return {
+    name: room.name ? String(room.name) : null,
+    status,
+    available,
+    total: normalizeOfferAmount(total, locale),
+    per_night: normalizeOfferAmount(night, locale),
+    ...readPricingParts(typeof pricing === 'object' ? pricing : {}, locale),
+    currency: normalizeCurrency(currency),
+    path: offerPath,
+  };
+}
+
+function extractOffersFromJson(value, pathStack = [], locale = DEFAULT_LOCALE) {
+  const offers = [];
+  if (value === null || value === undefined || typeof value !== 'object') {
+    return offers;
+  }
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => {
+      offers.push(...extractOffersFromJson(item, [...pathStack, String(index)], locale));
+    });
+    return offers;
+  }
+  for (const [key, entry] of Object.entries(value)) {
+    const nextPath = [...pathStack, key];
+    if (key === 'rooms' && Array.isArray(entry)) {
+      entry.forEach((room, index) => {
+        if (room && typeof room === 'object' && (room.pricing || room.price)) {
+          offers.push(parseOfferRoom(room, [...nextPath, String(index)].join('.'), locale));
+        }
+      });
+      continue;
+    }
+    if (key === 'room' && entry && typeof entry === 'object' && !Array.isArray(entry) && (entry.pricing || entry.price)) {
+      offers.push(parseOfferRoom(entry, nextPath.join('.'), locale));
+      continue;
+    }
+    offers.push(...extractOffersFromJson(entry, nextPath, locale));
+  }
+  return offers;
+}
+
+function findUnavailableSignal(content) {
+  const lower = content.toLowerCase();
+  return UNAVAILABLE_SIGNALS.find((signal) => lower.includes(signal)) || null;
+}
+
+function findRoomUnavailableSignal(bodyText, hint) {
+  const pos = bodyText.toLowerCase().indexOf(hint);
+  if (pos === -1) {
+    return null;
+  }
+  const windowEnd = bodyText.indexOf('\n\n', pos + hint.length);
+  const subject = bodyText.slice(pos, windowEnd === -1 ? pos + 300 : Math.min(windowEnd, pos + 300));
+  return findUnavailableSignal(subject);
+}
+
+function offerUnavailableReason(offer) {
+  return offer.status ? `status:${offer.status}` : 'status:unavailable';
+}
+
+function matchOffersToRooms(offers, rooms, bodyText = '') {
+  return rooms.map((room) => {
+    const hint = String(room.room_hint || room.name || '').trim().toLowerCase();
+    const offer = hint
+      ? offers.find((candidate) => candidate.name && candidate.name.toLowerCase().includes(hint)) || null
+      : null;
+    const domSignal = hint ? findRoomUnavailableSignal(bodyText, hint) : null;
+    let state = offer ? 'ok' : 'not_found';
+    let unavailableReason = null;
+    if (offer && !offer.available) {
+      state = 'unavailable';
+      unavailableReason = offerUnavailableReason(offer);
+    } else if (!offer && domSignal) {
+      state = 'unavailable';
+      unavailableReason = `text:${domSignal}`;
+    }
+    const priceValue = offer && state === 'ok' ? offer.total ?? offer.per_night : null;
+    return {
+      name: room.name || null,
+      room_hint: room.room_hint || null,
+      state,
+      unavailable_reason: unavailableReason,
+      offer,
+      price_value: priceValue ?? null,
+      currency: priceValue !== null && priceValue !== undefined ? offer.currency : null,
+    };
+  });
+}
+
+// A page counts as unavailable when every offer is unavailable, or when there
+// are no offers, no price and the text carries a sold-out phrase.
+function detectPageAvailability(offers, bodyText, hasPrice) {
+  if (offers.length > 0) {
+    const unavailable = offers.filter((offer) => !offer.available);
+    if (unavailable.length === offers.length) {
+      return { unavailable: true, reason: offerUnavailableReason(unavailable[0]) };
+    }
+    return { unavailable: false, reason: null };
+  }
+  const signal = findUnavailableSignal(bodyText || '');
+  if (signal && !hasPrice) {
+    return { unavailable: true, reason: `text:${signal}` };
+  }
+  return { unavailable: false, reason: null };
+}
+
+function excludeUnavailableCandidates(candidates, offers) {
+  const prefixes = offers
+    .filter((offer) => !offer.available)
+    .map((offer) => `${offer.path}.`);
+  if (prefixes.length === 0) {
+    return candidates;
+  }
+  return candidates.filter((candidate) => !prefixes.some((prefix) => candidate.path.startsWith(prefix)));
+}
+
+function containsPriceKeys(payload, keyRegex = PRICE_KEY_REGEX) {
+  if (payload === null || payload === undefined) {
+    return false;
+  }
+  if (Array.isArray(payload)) {
+    return payload.some((entry) => containsPriceKeys(entry, keyRegex));
+  }
+  if (typeof payload !== 'object') {
+    return false;
+  }
+  for (const [key, value] of Object.entries(payload)) {
+    if (keyRegex.test(key)) {
+      return true;
+    }
+    if (containsPriceKeys(value, keyRegex)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function findBlockedSignal(content, signals = BLOCKED_SIGNALS) {
+  const lower = content.toLowerCase();
+  return signals.find((signal) => lower.includes(signal.toLowerCase()));
+}
+
+function mapBlockedReason(signal) {
+  if (!signal) {
+    return null;
+  }
+  if (signal.includes('captcha') || signal.includes('verify you are human')) {
+    return 'captcha';
+  }
+  if (signal.includes('access denied') || signal.includes('attention required') || signal.includes('unusual traffic')) {
+    return 'access_denied';
+  }
+  if (signal.includes('enable javascript')) {
+    return 'js_required';
+  }
+  if (signal.includes('bot detection')) {
+    return 'access_denied';
+  }
+  return 'access_denied';
+}
+
+module.exports = {
+  PRICE_KEY_REGEX,
+  NON_PRICE_KEY_REGEX,
+  JSON_KEYWORDS_REGEX,
+  BLOCKED_SIGNALS,
+  UNAVAILABLE_SIGNALS,
+  DEFAULT_LOCALE,
+  normalizeCurrency,
+  normalizeAmount,
+  detectContext,
+  parsePriceFromText,
+  parseRegexPrice,
+  extractCandidatesFromJson,
+  extractOffersFromJson,
+  matchOffersToRooms,
+  findUnavailableSignal,
+  detectPageAvailability,
+  excludeUnavailableCandidates,
+  containsPriceKeys,
+  findBlockedSignal,
+  mapBlockedReason,
+};
@@ -0,0 +1,46 @@
+const fs = require('fs');
+
+// Context options for a check: recording writes the HAR when the context is
+// closed; service workers are blocked so every request shows up in (and can be
+// served from) the HAR.
+function harContextOptions(options = {}) {
+  if (!options.recordHar && !options.fromHar) {
+    return {};
+  }
+  return {
+    serviceWorkers: 'block',
+    ...(options.recordHar ? { recordHar: { path: options.recordHar, mode: 'full' } } : {}),
+  };
+}
+
+// Serves every request from the HAR; anything that was not recorded is aborted,
+// so a replayed check never touches the network.
+async function routeFromHar(context, harPath) {
+  if (!fs.existsSync(harPath)) {
+    throw new Error(`Missing HAR file: ${harPath}`);
+  }
+  await context.routeFromHAR(harPath, { notFound: 'abort', update: false });
+}
+
+function harPageUrl(harPath) {
+  if (harPath.endsWith('.zip')) {
+    return null;
+  }
+  let har;
+  try {
+    har = JSON.parse(fs.readFileSync(harPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid HAR file ${harPath}: ${error.message}`);
+  }
+  const entries = (har.log && har.log.entries) || [];
+  const documentEntry = entries.find(
+    (entry) => /text\/html/i.test((entry.response && entry.response.content && entry.response.content.mimeType) || ''),
+  ) || entries[0];
+  return documentEntry ? documentEntry.request.url : null;
+}
+
+module.exports = {
+  harContextOptions,
+  routeFromHar,
+  harPageUrl,
+};
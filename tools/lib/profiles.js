@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const { BLOCKED_SIGNALS } = require('./extraction');
+
+const SITES_DIR = path.join(__dirname, '..', '..', 'config', 'sites');
+
+const DEFAULT_PROFILE = {
+  name: 'default',
+  locale: 'de-DE',
+  timezone: 'Europe/Berlin',
+  accept_language: 'de-DE,de;q=0.9,en;q=0.8',
+  consent: {
+    prefer: 'accept',
+    texts: [],
+    reject_texts: [],
+    selectors: [],
+  },
+  wait: {
+    text_pattern: '€',
+    selectors: ['.price', '.total', '.total-price', '[data-testid="total-price"]'],
+    timeout_ms: 30000,
+  },
+  price_selectors: [],
+  json: {
+    price_keys: null,
+    prefer_keys: 'total',
+    prefer_paths: [],
+  },
+  block_signals: BLOCKED_SIGNALS,
+  resources: {
+    block_types: ['image', 'media', 'font'],
+    block_trackers: true,
+    block_domains: [],
+    allow_hosts: [],
+  },
+};
+
+function mergeProfile(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    const current = base[key];
+    if (current && typeof current === 'object' && !Array.isArray(current) && value && typeof value === 'object' && !Array.isArray(value)) {
+      merged[key] = { ...current, ...value };
+    } else {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+function readProfileFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid site profile ${filePath}: ${error.message}`);
+  }
+}
+
+// Looks up config/sites/<host>.json, then the host without "www." and its
+// parent domains, so sub.example.com falls back to example.com.json.
+function findProfileFile(host, sitesDir) {
+  const labels = host.toLowerCase().replace(/^www\./, '').split('.');
+  const names = [host.toLowerCase()];
+  for (let i = 0; i < labels.length - 1; i += 1) {
+    names.push(labels.slice(i).join('.'));
+  }
+  for (const name of names) {
+    const filePath = path.join(sitesDir, `${name}.json`);
+    if (fs.existsSync(filePath)) {
+      return filePath;
+    }
+  }
+  return null;
+}
+
+function loadSiteProfile(urlOrProfile, sitesDir = SITES_DIR) {
+  if (!urlOrProfile) {
+    return { ...DEFAULT_PROFILE };
+  }
+  if (urlOrProfile.endsWith('.json')) {
+    return mergeProfile(DEFAULT_PROFILE, { name: path.basename(urlOrProfile, '.json'), ...readProfileFile(urlOrProfile) });
+  }
+  let host = urlOrProfile;
+  try {
+    host = new URL(urlOrProfile).hostname;
+  } catch (error) {
+    // Not a URL; treat the value as a host name.
+  }
+  const filePath = findProfileFile(host, sitesDir);
+  if (!filePath) {
+    return { ...DEFAULT_PROFILE };
+  }
+  return mergeProfile(DEFAULT_PROFILE, { name: path.basename(filePath, '.json'), ...readProfileFile(filePath) });
+}
+
+function toRegex(pattern, fallback) {
+  if (!pattern) {
+    return fallback;
+  }
+  return pattern instanceof RegExp ? pattern : new RegExp(pattern, 'i');
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  loadSiteProfile,
+  mergeProfile,
+  toRegex,
+};
@@ -0,0 +1,61 @@
+class JobTimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`job_timeout after ${timeoutMs}ms`);
+    this.name = 'JobTimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+function withTimeout(promise, timeoutMs, onTimeout) {
+  if (!timeoutMs || timeoutMs <= 0) {
+    return promise;
+  }
+  let timer = null;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      if (onTimeout) {
+        Promise.resolve(onTimeout()).catch(() => {});
+      }
+      reject(new JobTimeoutError(timeoutMs));
+    }, timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function createJobQueue({ concurrency = 1 } = {}) {
+  const limit = Math.max(1, Number(concurrency) || 1);
+  const pending = [];
+  let running = 0;
+
+  const next = () => {
+    while (running < limit && pending.length > 0) {
+      const job = pending.shift();
+      running += 1;
+      Promise.resolve()
+        .then(job.task)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          running -= 1;
+          next();
+        });
+    }
+  };
+
+  return {
+    push(task) {
+      return new Promise((resolve, reject) => {
+        pending.push({ task, resolve, reject });
+        next();
+      });
+    },
+    stats() {
+      return { running, queued: pending.length, concurrency: limit };
+    },
+  };
+}
+
+module.exports = {
+  JobTimeoutError,
+  withTimeout,
+  createJobQueue,
+};
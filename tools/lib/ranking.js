@@ -0,0 +1,198 @@
+const {
+  PRICE_KEY_REGEX,
+  NON_PRICE_KEY_REGEX,
+  detectContext,
+  normalizeCurrency,
+} = require('./extraction');
+
+const DEFAULT_TOP_N = 5;
+const SOURCE_ORDER = ['json', 'jsonld', 'app_state', 'selector', 'microdata', 'dom', 'meta', 'regex'];
+const SOURCE_WEIGHTS = {
+  json: 0.3,
+  jsonld: 0.3,
+  app_state: 0.25,
+  selector: 0.3,
+  microdata: 0.25,
+  dom: 0.2,
+  meta: 0.2,
+  regex: 0.1,
+};
+// Sources whose label is the JSON path rather than a visible text.
+const PATH_SOURCES = ['json', 'jsonld', 'app_state', 'microdata', 'meta'];
+const TOTAL_LABEL_REGEX = /(total|gesamt|endpreis|grand)/i;
+const PARTIAL_LABELS = [
+  ['deposit', /(deposit|anzahlung|vorauszahlung|prepay)/i],
+  ['tax', /(tax|steuer|abgabe)/i],
+  ['fee', /(fee|gebühr)/i],
+  ['per_night', /(night|nacht)/i],
+  ['per_person', /(person|p\.p\.)/i],
+  ['discount', /(discount|rabatt|ersparnis|saving)/i],
+  ['strikethrough', /(strike|was-price|old-price|statt)/i],
+];
+const LARGE_FONT_PX = 18;
+const AGREEMENT_EPSILON = 0.01;
+
+// The context penalty already covers a matching label; a price per person
+// and night covers both partial labels.
+function contextCoversLabel(context, label) {
+  return context === label || (context === 'per_person_night' && ['per_night', 'per_person'].includes(label));
+}
+
+function roundScore(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function labelFor(candidate) {
+  if (PATH_SOURCES.includes(candidate.source)) {
+    return candidate.path || candidate.key || '';
+  }
+  return [candidate.selector, candidate.text].filter(Boolean).join(' ');
+}
+
+// The key and its parent, so "price.value" counts as a price key.
+function keyLabel(candidate) {
+  return String(candidate.path || candidate.key || '').split('.').slice(-2).join('.');
+}
+
+// Every number in a price response is a json candidate; ids, counters and
+// occupancy ("hotelId", "nights", "totalCount") are dropped.
+function isNonPriceJson(candidate) {
+  return candidate.source === 'json' && NON_PRICE_KEY_REGEX.test(candidate.key || '');
+}
+
+function scoreCandidate(candidate, all, preferences) {
+  const reasons = [`source:${candidate.source}`];
+  let score = SOURCE_WEIGHTS[candidate.source] || 0;
+  const label = labelFor(candidate);
+
+  if (PATH_SOURCES.includes(candidate.source)) {
+    const preferPath = (preferences.preferPaths || []).find((pattern) => new RegExp(pattern, 'i').test(candidate.path || ''));
+    if (preferPath) {
+      score += 0.8;
+      reasons.push(`prefer_path:${preferPath}`);
+    }
+    if (candidate.source === 'json' && (preferences.keyRegex || PRICE_KEY_REGEX).test(keyLabel(candidate))) {
+      score += 0.1;
+      reasons.push('price_key');
+    }
+    if (preferences.preferKeys && new RegExp(preferences.preferKeys, 'i').test(candidate.key || '')) {
+      score += 0.2;
+      reasons.push('prefer_key');
+    }
+  }
+
+  if (TOTAL_LABEL_REGEX.test(label)) {
+    score += 0.2;
+    reasons.push('label:total');
+  }
+  const partial = PARTIAL_LABELS.find(([, regex]) => regex.test(label));
+  if (partial && !contextCoversLabel(candidate.context, partial[0])) {
+    score -= 0.3;
+    reasons.push(`label:${partial[0]}`);
+  }
+
+  if (candidate.context === 'total') {
+    score += 0.15;
+    reasons.push('context:total');
+  } else if (candidate.context) {
+    score -= 0.15;
+    reasons.push(`context:${candidate.context}`);
+  }
+
+  if (candidate.visible === false) {
+    score -= 0.3;
+    reasons.push('hidden');
+  }
+  if (candidate.font_size && candidate.font_size >= LARGE_FONT_PX) {
+    score += 0.1;
+    reasons.push(`font_size:${candidate.font_size}`);
+  }
+  if (candidate.currency) {
+    score += 0.05;
+    reasons.push('currency');
+  }
+
+  const agreeing = SOURCE_ORDER.filter((source) => source !== candidate.source && all.some(
+    (other) => other.source === source && Math.abs(other.value - candidate.value) < AGREEMENT_EPSILON,
+  ));
+  if (agreeing.length > 0) {
+    score += 0.15 * Math.min(agreeing.length, 2);
+    reasons.push(`agrees:${agreeing.join(',')}`);
+  }
+
+  return { score: roundScore(score), reasons };
+}
+
+// Confidence is the winner's score (capped at 1) times its share of the best
+// scores per distinct value, so close competing values lower it.
+function computeConfidence(ranked) {
+  if (ranked.length === 0) {
+    return null;
+  }
+  const bestPerValue = new Map();
+  for (const candidate of ranked) {
+    const key = candidate.value.toFixed(2);
+    if (!bestPerValue.has(key)) {
+      bestPerValue.set(key, Math.max(candidate.score, 0));
+    }
+  }
+  const total = [...bestPerValue.values()].reduce((sum, score) => sum + score, 0);
+  const winnerScore = Math.max(ranked[0].score, 0);
+  if (total === 0) {
+    return 0;
+  }
+  return roundScore(Math.min(winnerScore, 1) * (winnerScore / total));
+}
+
+function rankPriceCandidates(candidates, preferences = {}) {
+  const seen = new Set();
+  const usable = candidates
+    .filter((candidate) => typeof candidate.value === 'number' && Number.isFinite(candidate.value) && candidate.value > 0)
+    .filter((candidate) => !isNonPriceJson(candidate))
+    .filter((candidate) => {
+      const key = `${candidate.source}|${candidate.value}|${candidate.path || candidate.text || ''}`;
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    })
+    .map((candidate, index) => ({
+      ...candidate,
+      currency: normalizeCurrency(candidate.currency),
+      context: candidate.context === undefined ? detectContext(labelFor(candidate)) : candidate.context,
+      index,
+    }));
+  const ranked = usable
+    .map((candidate) => ({ ...candidate, ...scoreCandidate(candidate, usable, preferences) }))
+    .sort((a, b) => (b.score - a.score)
+      || (SOURCE_ORDER.indexOf(a.source) - SOURCE_ORDER.indexOf(b.source))
+      || (a.index - b.index));
+  const winner = ranked[0] || null;
+  return {
+    winner,
+    confidence: computeConfidence(ranked),
+    reasons: winner ? winner.reasons : [],
+    ranked,
+  };
+}
+
+function summarizeCandidates(ranked, limit = DEFAULT_TOP_N) {
+  return ranked.slice(0, limit).map((candidate) => ({
+    source: candidate.source,
+    value: candidate.value,
+    currency: candidate.currency,
+    text: candidate.text || null,
+    path: candidate.path || null,
+    selector: candidate.selector || null,
+    context: candidate.context || null,
+    score: candidate.score,
+    reasons: candidate.reasons,
+  }));
+}
+
+module.exports = {
+  DEFAULT_TOP_N,
+  rankPriceCandidates,
+  summarizeCandidates,
+};
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const { parseJsonBody, formatJsonBody } = require('./responses');
+
+const REDACTED = '[redacted]';
+const DEFAULT_REDACT_FIELDS = [
+  'authorization',
+  'cookie',
+  'set-cookie',
+  'token',
+  'access_token',
+  'refresh_token',
+  'id_token',
+  'session',
+  'session_id',
+  'sessionid',
+  'password',
+  'email',
+  'phone',
+  'first_name',
+  'last_name',
+  'firstname',
+  'lastname',
+  'iban',
+];
+// Any field whose name contains one of these is secret too, so "authToken",
+// "csrf_token", "apiKey" and "x-api-key" need no entry of their own.
+const SECRET_NAME_PARTS = ['token', 'secret', 'password', 'apikey', 'session', 'auth'];
+const FORM_BODY_REGEX = /^[^=&\s]+=[^&\s]*(?:&[^=&\s]+=[^&\s]*)*$/;
+const MAX_REQUEST_BODY_CHARS = 2000;
+const AUTH_HEADER_REGEX = /^(authorization|proxy-authorization|cookie|set-cookie|x-api-key|x-auth-token|x-csrf-token)$/i;
+
+// Field names match case-insensitively and ignore "-"/"_", so "sessionId",
+// "session-id" and "session_id" are the same field.
+function normalizeField(name) {
+  return String(name).toLowerCase().replace(/[-_]/g, '');
+}
+
+function createFieldMatcher(fields = DEFAULT_REDACT_FIELDS) {
+  const names = new Set(fields.map(normalizeField));
+  return (key) => {
+    const name = normalizeField(key);
+    return names.has(name) || SECRET_NAME_PARTS.some((part) => name.includes(part));
+  };
+}
+
+function redactValue(value, isSecret) {
+  if (Array.isArray(value)) {
+    return value.map((entry) => redactValue(entry, isSecret));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => (
+      [key, isSecret(key) && entry !== null && typeof entry !== 'object' ? REDACTED : redactValue(entry, isSecret)]
+    )));
+  }
+  return value;
+}
+
+function redactUrl(url, isSecret) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return url;
+  }
+  let changed = false;
+  for (const key of [...parsed.searchParams.keys()]) {
+    if (isSecret(key)) {
+      parsed.searchParams.set(key, REDACTED);
+      changed = true;
+    }
+  }
+  if (parsed.username || parsed.password) {
+    parsed.username = '';
+    parsed.password = '';
+    changed = true;
+  }
+  return changed ? parsed.toString() : url;
+}
+
+// JSON bodies (also JSONP, NDJSON and XSSI-guarded ones, written back in
+// their original shape) are redacted field by field; anything else is kept
+// as is, since there is no structure to find the secrets in.
+function redactBodyText(bodyText, isSecret) {
+  const parsed = parseJsonBody(bodyText);
+  if (!parsed) {
+    return bodyText;
+  }
+  return formatJsonBody(parsed, redactValue(parsed.value, isSecret));
+}
+
+// application/x-www-form-urlencoded bodies, e.g. "token=abc&nights=3".
+function redactFormBody(bodyText, isSecret) {
+  if (!FORM_BODY_REGEX.test(bodyText)) {
+    return bodyText;
+  }
+  const params = new URLSearchParams(bodyText);
+  let changed = false;
+  for (const key of [...params.keys()]) {
+    if (isSecret(key)) {
+      params.set(key, REDACTED);
+      changed = true;
+    }
+  }
+  return changed ? params.toString() : bodyText;
+}
+
+// JSON request bodies are kept as objects with secrets redacted; form and
+// other bodies as (shortened) text.
+function requestBodyFor(postData, isSecret) {
+  if (!postData) {
+    return null;
+  }
+  const parsed = parseJsonBody(postData);
+  if (parsed && parsed.format === 'json' && parsed.value !== null && typeof parsed.value === 'object') {
+    return redactValue(parsed.value, isSecret);
+  }
+  const text = redactFormBody(postData, isSecret);
+  return text.length > MAX_REQUEST_BODY_CHARS ? `${text.slice(0, MAX_REQUEST_BODY_CHARS)}…` : text;
+}
+
+// Playwright writes the HAR itself, so cookies and auth headers are scrubbed
+// after the context is closed. URLs and bodies stay untouched, routeFromHAR
+// matches on them.
+function redactHarFile(harPath, isSecret) {
+  if (!harPath || harPath.endsWith('.zip') || !fs.existsSync(harPath)) {
+    return;
+  }
+  const har = JSON.parse(fs.readFileSync(harPath, 'utf8'));
+  const scrubHeaders = (headers = []) => headers.map((header) => (
+    AUTH_HEADER_REGEX.test(header.name) || isSecret(header.name) ? { ...header, value: REDACTED } : header
+  ));
+  const scrubCookies = (cookies = []) => cookies.map((cookie) => ({ ...cookie, value: REDACTED }));
+  for (const entry of (har.log && har.log.entries) || []) {
+    entry.request.headers = scrubHeaders(entry.request.headers);
+    entry.request.cookies = scrubCookies(entry.request.cookies);
+    entry.response.headers = scrubHeaders(entry.response.headers);
+    entry.response.cookies = scrubCookies(entry.response.cookies);
+  }
+  fs.writeFileSync(harPath, JSON.stringify(har));
+}
+
+module.exports = {
+  REDACTED,
+  DEFAULT_REDACT_FIELDS,
+  createFieldMatcher,
+  redactValue,
+  redactUrl,
+  redactBodyText,
+  redactFormBody,
+  requestBodyFor,
+  redactHarFile,
+};
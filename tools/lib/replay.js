@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+
+function readIfExists(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return null;
+  }
+  return fs.readFileSync(filePath, 'utf8');
+}
+
+function htmlToText(html) {
+  const bodyMatch = html.match(/<body\b[^>]*>([\s\S]*)<\/body>/i);
+  return (bodyMatch ? bodyMatch[1] : html)
+    .replace(/<(script|style|noscript|template)\b[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|tr|h[1-6]|section|article|header|footer|td|th)>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&euro;/gi, '€')
+    .replace(/&pound;/gi, '£')
+    .replace(/&amp;/gi, '&')
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>')
+    .replace(/&quot;/gi, '"')
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+    .split('\n')
+    .map((line) => line.replace(/[ \t]+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+function extractTitle(html) {
+  const match = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  return match ? match[1].replace(/\s+/g, ' ').trim() : '';
+}
+
+// Worker output dirs keep the body text in body-text.txt and the price
+// responses in price-responses/; the tools runner's artifacts/runs/<run_id>/
+// dumps use body.txt and xhr-N.json next to page.html.
+const BODY_TEXT_FILES = ['body-text.txt', 'body.txt'];
+const XHR_DUMP_REGEX = /^xhr-\d+\.json$/;
+
+function sortNumeric(names) {
+  return names.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
+
+function listJsonFiles(target) {
+  if (!fs.existsSync(target)) {
+    throw new Error(`Replay JSON source not found: ${target}`);
+  }
+  if (fs.statSync(target).isFile()) {
+    return [target];
+  }
+  return sortNumeric(fs.readdirSync(target).filter((name) => name.endsWith('.json') && name !== 'network-log.json'))
+    .map((name) => path.join(target, name));
+}
+
+function loadReplaySnapshot(source, jsonSources = []) {
+  if (!source || !fs.existsSync(source)) {
+    throw new Error(`Replay source not found: ${source}`);
+  }
+
+  const isDir = fs.statSync(source).isDirectory();
+  const htmlPath = isDir ? path.join(source, 'page.html') : source;
+  const html = readIfExists(htmlPath);
+  if (html === null) {
+    throw new Error(`Replay source has no page.html: ${source}`);
+  }
+
+  const bodyTextPath = isDir
+    ? BODY_TEXT_FILES.map((name) => path.join(source, name)).find((filePath) => fs.existsSync(filePath)) || null
+    : null;
+  const storedBodyText = readIfExists(bodyTextPath);
+  const bodyText = storedBodyText !== null ? storedBodyText : htmlToText(html);
+
+  const networkLogPath = isDir ? path.join(source, 'network-log.json') : null;
+  const networkLogText = readIfExists(networkLogPath);
+  const networkLog = networkLogText ? JSON.parse(networkLogText) : [];
+
+  const jsonPaths = [];
+  const responseDir = isDir ? path.join(source, 'price-responses') : null;
+  if (responseDir && fs.existsSync(responseDir)) {
+    jsonPaths.push(...listJsonFiles(responseDir));
+  }
+  if (isDir) {
+    jsonPaths.push(...sortNumeric(fs.readdirSync(source).filter((name) => XHR_DUMP_REGEX.test(name)))
+      .map((name) => path.join(source, name)));
+  }
+  jsonSources.forEach((entry) => {
+    jsonPaths.push(...listJsonFiles(entry));
+  });
+
+  const jsonResponses = jsonPaths.map((filePath) => ({
+    url: null,
+    status: null,
+    contentType: 'application/json',
+    path: filePath,
+    bodyText: fs.readFileSync(filePath, 'utf8'),
+  }));
+
+  const documentEntry = networkLog.find((entry) => entry.resourceType === 'document') || null;
+
+  return {
+    source,
+    htmlPath,
+    html,
+    bodyTextPath: storedBodyText !== null ? bodyTextPath : null,
+    bodyText,
+    title: extractTitle(html),
+    networkLog,
+    networkLogPath: networkLogText ? networkLogPath : null,
+    jsonResponses,
+    urlEffective: documentEntry ? documentEntry.url : null,
+    httpStatus: documentEntry ? documentEntry.status : null,
+  };
+}
+
+module.exports = {
+  htmlToText,
+  loadReplaySnapshot,
+};
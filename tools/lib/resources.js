@@ -0,0 +1,133 @@
+// Analytics, ad and tag-manager hosts that never carry prices. Consent
+// platforms are deliberately missing: some pages hide prices until the
+// banner has been answered.
+const TRACKER_DOMAINS = [
+  'google-analytics.com',
+  'googletagmanager.com',
+  'googleadservices.com',
+  'googlesyndication.com',
+  'doubleclick.net',
+  'adservice.google.com',
+  'connect.facebook.net',
+  'facebook.com/tr',
+  'bat.bing.com',
+  'clarity.ms',
+  'hotjar.com',
+  'hotjar.io',
+  'criteo.com',
+  'criteo.net',
+  'taboola.com',
+  'outbrain.com',
+  'adnxs.com',
+  'adsrvr.org',
+  'amazon-adsystem.com',
+  'scorecardresearch.com',
+  'quantserve.com',
+  'analytics.tiktok.com',
+  'snap.licdn.com',
+  'mc.yandex.ru',
+  'nr-data.net',
+  'api.segment.io',
+  'cdn.segment.com',
+  'mixpanel.com',
+  'pinterest.com/ct',
+];
+
+const MAX_REPORTED_HOSTS = 10;
+
+function hostMatches(host, domain) {
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+// Entries with a path ("facebook.com/tr") match that path prefix only.
+function matchDomain(url, domains) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+  const host = parsed.hostname.toLowerCase();
+  return domains.find((entry) => {
+    const [domain, ...rest] = entry.toLowerCase().split('/');
+    if (!hostMatches(host, domain)) {
+      return false;
+    }
+    return rest.length === 0 || parsed.pathname.startsWith(`/${rest.join('/')}`);
+  }) || null;
+}
+
+// Decides per request: allow_hosts win over everything (booking and pricing
+// APIs), then tracker and extra domains, then resource types. The page
+// document and XHR/fetch are never blocked by type.
+function createResourcePolicy(resources = {}) {
+  const blockTypes = new Set(resources.block_types || []);
+  const blockDomains = [...(resources.block_trackers === false ? [] : TRACKER_DOMAINS), ...(resources.block_domains || [])];
+  const allowHosts = resources.allow_hosts || [];
+  return (url, resourceType) => {
+    if (matchDomain(url, allowHosts)) {
+      return null;
+    }
+    const domain = matchDomain(url, blockDomains);
+    if (domain) {
+      return { reason: 'domain', match: domain };
+    }
+    if (blockTypes.has(resourceType) && !['document', 'xhr', 'fetch'].includes(resourceType)) {
+      return { reason: 'type', match: resourceType };
+    }
+    return null;
+  };
+}
+
+function createResourceStats(enabled) {
+  return { enabled, blocked: 0, by_type: {}, by_host: {} };
+}
+
+function countBlocked(stats, url, resourceType) {
+  let host = 'unknown';
+  try {
+    host = new URL(url).hostname;
+  } catch (error) {
+    // Keep "unknown" for data: and other odd URLs.
+  }
+  stats.blocked += 1;
+  stats.by_type[resourceType] = (stats.by_type[resourceType] || 0) + 1;
+  stats.by_host[host] = (stats.by_host[host] || 0) + 1;
+}
+
+// The output keeps the hosts with the most blocked requests; that is enough
+// to see which third party a broken page might have needed.
+function summarizeResourceStats(stats) {
+  const hosts = Object.entries(stats.by_host)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, MAX_REPORTED_HOSTS);
+  return { ...stats, by_host: Object.fromEntries(hosts) };
+}
+
+// Installs the interception on the context; requests that pass fall back to
+// earlier routes, so HAR replay keeps serving them.
+async function installResourceBlocking(context, resources, enabled = true) {
+  const stats = createResourceStats(enabled);
+  if (!enabled) {
+    return stats;
+  }
+  const decide = createResourcePolicy(resources);
+  await context.route('**/*', (route) => {
+    const request = route.request();
+    if (decide(request.url(), request.resourceType())) {
+      countBlocked(stats, request.url(), request.resourceType());
+      return route.abort('blockedbyclient');
+    }
+    return route.fallback();
+  });
+  return stats;
+}
+
+module.exports = {
+  TRACKER_DOMAINS,
+  createResourcePolicy,
+  createResourceStats,
+  countBlocked,
+  summarizeResourceStats,
+  installResourceBlocking,
+};
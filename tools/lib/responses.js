@@ -0,0 +1,133 @@
+const { JSON_KEYWORDS_REGEX, PRICE_KEY_REGEX, containsPriceKeys } = require('./extraction');
+
+// application/json, vendor types (application/vnd.api+json,
+// application/graphql-response+json), NDJSON and the text and script types
+// some APIs send JSON or JSONP with.
+const JSON_CONTENT_TYPE_REGEX = /(json|text\/plain|javascript)/i;
+// Anti-hijacking prefixes (Google's ")]}'", Facebook's "for (;;);").
+const XSSI_PREFIX_REGEX = /^\s*(?:\)\]\}'?,?|while\s*\(1\);|for\s*\(;;\);)\s*/;
+const JSONP_REGEX = /^(\s*(?:\/\*\*\/\s*)?(?:typeof\s+[\w$.]+\s*===?\s*['"]function['"]\s*&&\s*)?[\w$.]+\s*\()([\s\S]*)(\)\s*;?\s*)$/;
+const GRAPHQL_OPERATION_REGEX = /\b(?:query|mutation|subscription)\s+([A-Za-z_]\w*)/;
+
+function isJsonContentType(contentType) {
+  return JSON_CONTENT_TYPE_REGEX.test(contentType || '');
+}
+
+function parseJsonSafe(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// Plain JSON first, then a JSONP wrapper, then NDJSON (every non-empty line
+// a JSON value). Returns null for anything else. "prefix" and "suffix" are
+// the XSSI guard and callback around the JSON, so formatJsonBody can write
+// the body back in its original shape.
+function parseJsonBody(bodyText) {
+  const raw = String(bodyText || '');
+  const guard = XSSI_PREFIX_REGEX.exec(raw);
+  const xssi = guard ? guard[0] : '';
+  const text = raw.slice(xssi.length);
+  if (!text.trim()) {
+    return null;
+  }
+  const json = parseJsonSafe(text);
+  if (json !== undefined) {
+    return { format: 'json', value: json, prefix: xssi, suffix: '' };
+  }
+  const jsonp = JSONP_REGEX.exec(text);
+  if (jsonp) {
+    const value = parseJsonSafe(jsonp[2]);
+    if (value !== undefined) {
+      return { format: 'jsonp', value, prefix: xssi + jsonp[1], suffix: jsonp[3] };
+    }
+  }
+  const lines = text.split(/\r?\n/).filter((line) => line.trim());
+  if (lines.length > 1) {
+    const values = lines.map(parseJsonSafe);
+    if (values.every((value) => value !== undefined)) {
+      return { format: 'ndjson', value: values, prefix: xssi, suffix: '' };
+    }
+  }
+  return null;
+}
+
+function formatJsonBody(parsed, value) {
+  const json = parsed.format === 'ndjson'
+    ? value.map((entry) => JSON.stringify(entry)).join('\n')
+    : JSON.stringify(value);
+  return `${parsed.prefix}${json}${parsed.suffix}`;
+}
+
+function isGraphqlResult(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value) && ('data' in value || 'errors' in value);
+}
+
+function operationName(payload) {
+  if (!payload || typeof payload !== 'object') {
+    return null;
+  }
+  if (typeof payload.operationName === 'string' && payload.operationName) {
+    return payload.operationName;
+  }
+  const match = typeof payload.query === 'string' ? GRAPHQL_OPERATION_REGEX.exec(payload.query) : null;
+  return match ? match[1] : null;
+}
+
+// Operation names from the POST body (a single request or a batch array) or,
+// for persisted queries sent as GET, from the operationName parameter.
+function graphqlOperations(postData, url) {
+  const payload = postData ? parseJsonSafe(postData) : undefined;
+  if (Array.isArray(payload)) {
+    return payload.map(operationName);
+  }
+  if (payload && typeof payload === 'object') {
+    return [operationName(payload)];
+  }
+  try {
+    const name = new URL(url).searchParams.get('operationName');
+    return name ? [name] : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// Decodes one response body into the price responses it holds. A GraphQL
+// batch answers several operations at once, so every result becomes its
+// own entry with its operation name. Results keep their "data" key, so
+// paths read "data.hotel.price" as before; results without price keys (an
+// error-only answer, say) are dropped.
+function decodePriceResponses(bodyText, options = {}) {
+  if (!bodyText || !JSON_KEYWORDS_REGEX.test(bodyText)) {
+    return [];
+  }
+  const parsed = parseJsonBody(bodyText);
+  if (!parsed) {
+    return [];
+  }
+  const keyRegex = options.keyRegex || PRICE_KEY_REGEX;
+  const operations = graphqlOperations(options.postData, options.url);
+  let entries;
+  if (Array.isArray(parsed.value) && parsed.value.length > 0 && parsed.value.every(isGraphqlResult)) {
+    entries = parsed.value.map((result, index) => ({
+      body: result,
+      format: parsed.format === 'ndjson' ? 'ndjson' : 'graphql_batch',
+      operation: operations[index] || null,
+    }));
+  } else if (isGraphqlResult(parsed.value)) {
+    entries = [{ body: parsed.value, format: parsed.format === 'json' ? 'graphql' : parsed.format, operation: operations[0] || null }];
+  } else {
+    entries = [{ body: parsed.value, format: parsed.format, operation: operations[0] || null }];
+  }
+  return entries.filter((entry) => containsPriceKeys(entry.body, keyRegex));
+}
+
+module.exports = {
+  isJsonContentType,
+  parseJsonBody,
+  formatJsonBody,
+  graphqlOperations,
+  decodePriceResponses,
+};
@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST_FILE = 'manifest.json';
+const DEFAULT_RETENTION = {
+  max_age_days: 14,
+  max_total_mb: 500,
+  keep_per_host: 20,
+  keep_last_failure: true,
+};
+const OK_STATES = ['ok', 'unavailable'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function dirSize(dirPath) {
+  return fs.readdirSync(dirPath, { withFileTypes: true }).reduce((total, entry) => {
+    const entryPath = path.join(dirPath, entry.name);
+    return total + (entry.isDirectory() ? dirSize(entryPath) : fs.statSync(entryPath).size);
+  }, 0);
+}
+
+// Written once the result state is known; lists every file of the run with
+// its size and the URL it was captured from.
+function writeManifest(runDir, { runId = null, host, url, state, blockedReason = null, files = [] }) {
+  const entries = files.map((file) => ({
+    file: path.relative(runDir, file.path),
+    url: file.url || null,
+    status: file.status ?? null,
+    bytes: fs.existsSync(file.path) ? fs.statSync(file.path).size : 0,
+  }));
+  const manifest = {
+    run_id: runId,
+    host,
+    url,
+    state,
+    blocked_reason: blockedReason,
+    created_at: new Date().toISOString(),
+    files: entries,
+    total_bytes: entries.reduce((total, entry) => total + entry.bytes, 0),
+  };
+  const manifestPath = path.join(runDir, MANIFEST_FILE);
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+  return manifestPath;
+}
+
+// The tools runner has no "state" field; the manifest records the same
+// states as the worker.
+function resultState(output) {
+  if (output.blocked) {
+    return 'blocked';
+  }
+  if (output.unavailable) {
+    return 'unavailable';
+  }
+  return output.error ? 'error' : 'ok';
+}
+
+// Manifest for an artifacts/runs/<run_id>/ directory, listing whatever the
+// run left there (events, dumps, traces).
+function writeRunManifest(runDir, { runId, url, output }) {
+  let host = null;
+  try {
+    host = new URL(url).hostname;
+  } catch (error) {
+    host = null;
+  }
+  const files = fs.readdirSync(runDir, { withFileTypes: true })
+    .filter((entry) => entry.isFile() && entry.name !== MANIFEST_FILE)
+    .map((entry) => ({ path: path.join(runDir, entry.name) }));
+  return writeManifest(runDir, {
+    runId,
+    host,
+    url,
+    state: resultState(output),
+    blockedReason: output.blocked_reason || null,
+    files,
+  });
+}
+
+// Runs without a manifest (older dumps) fall back to the "<host>_<timestamp>"
+// directory name and the directory mtime.
+function readRun(baseDir, name) {
+  const dir = path.join(baseDir, name);
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+  let manifest = {};
+  if (fs.existsSync(manifestPath)) {
+    try {
+      manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (error) {
+      manifest = {};
+    }
+  }
+  const created = Date.parse(manifest.created_at || '') || fs.statSync(dir).mtimeMs;
+  return {
+    dir,
+    host: manifest.host || name.split('_')[0],
+    state: manifest.state || null,
+    created,
+    bytes: dirSize(dir),
+  };
+}
+
+function listRuns(baseDir) {
+  if (!fs.existsSync(baseDir)) {
+    return [];
+  }
+  return fs.readdirSync(baseDir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => readRun(baseDir, entry.name))
+    .sort((a, b) => b.created - a.created);
+}
+
+// Decides per run (newest first) whether it is kept. The newest failure per
+// host is kept regardless of the limits when keep_last_failure is set.
+function planPrune(runs, policy = DEFAULT_RETENTION, now = Date.now()) {
+  const settings = { ...DEFAULT_RETENTION, ...policy };
+  const maxBytes = settings.max_total_mb * 1024 * 1024;
+  const perHost = new Map();
+  const failureKept = new Set();
+  let totalBytes = 0;
+
+  return runs.map((run) => {
+    const hostCount = (perHost.get(run.host) || 0) + 1;
+    perHost.set(run.host, hostCount);
+    const failed = run.state !== null && !OK_STATES.includes(run.state);
+    if (settings.keep_last_failure && failed && !failureKept.has(run.host)) {
+      failureKept.add(run.host);
+      totalBytes += run.bytes;
+      return { ...run, keep: true, reason: 'last_failure' };
+    }
+    let reason = null;
+    if (settings.max_age_days && now - run.created > settings.max_age_days * DAY_MS) {
+      reason = 'max_age';
+    } else if (settings.keep_per_host && hostCount > settings.keep_per_host) {
+      reason = 'keep_per_host';
+    } else if (settings.max_total_mb && totalBytes + run.bytes > maxBytes) {
+      reason = 'max_total_size';
+    }
+    if (!reason) {
+      totalBytes += run.bytes;
+    }
+    return { ...run, keep: !reason, reason };
+  });
+}
+
+function pruneArtifacts(baseDir, policy, { dryRun = false, now = Date.now() } = {}) {
+  const plan = planPrune(listRuns(baseDir), policy, now);
+  const removed = plan.filter((run) => !run.keep);
+  if (!dryRun) {
+    removed.forEach((run) => fs.rmSync(run.dir, { recursive: true, force: true }));
+  }
+  return {
+    dir: baseDir,
+    dry_run: dryRun,
+    kept: plan.length - removed.length,
+    removed: removed.map((run) => ({ dir: run.dir, host: run.host, state: run.state, bytes: run.bytes, reason: run.reason })),
+    freed_bytes: removed.reduce((total, run) => total + run.bytes, 0),
+  };
+}
+
+module.exports = {
+  DEFAULT_RETENTION,
+  resultState,
+  writeManifest,
+  writeRunManifest,
+  listRuns,
+  planPrune,
+  pruneArtifacts,
+};
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+
+const SESSION_DIR = path.join(__dirname, '..', '..', 'data', 'sessions');
+const DEFAULT_SESSION_TTL_HOURS = 24;
+const HOUR_MS = 60 * 60 * 1000;
+
+// A session key is a target id or a host; anything else in the name is
+// replaced so the key maps to exactly one file under data/sessions/.
+function sessionPath(key, sessionDir = SESSION_DIR) {
+  const safeKey = String(key).trim().replace(/[^a-z0-9._-]+/gi, '-');
+  if (!safeKey || /^\.+$/.test(safeKey)) {
+    throw new Error(`Invalid session key: ${key}`);
+  }
+  return path.join(sessionDir, `${safeKey}.json`);
+}
+
+// Targets use "session": true for their own id or a string for a shared key.
+function targetSessionKey(target) {
+  if (target.session === true) {
+    return target.id;
+  }
+  return typeof target.session === 'string' && target.session ? target.session : null;
+}
+
+function sessionOptionsFromArgs(values) {
+  if (!values.session) {
+    return null;
+  }
+  return {
+    key: values.session,
+    save: Boolean(values['save-session']),
+    ttlHours: values['session-ttl-hours'] !== undefined ? Number(values['session-ttl-hours']) : DEFAULT_SESSION_TTL_HOURS,
+  };
+}
+
+function loadSession(key, { sessionDir, now = Date.now() } = {}) {
+  const filePath = sessionPath(key, sessionDir);
+  const info = { key, path: filePath, status: 'missing', saved_at: null, expires_at: null };
+  if (!fs.existsSync(filePath)) {
+    return { ...info, storageState: null };
+  }
+  let saved;
+  try {
+    saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return { ...info, status: 'invalid', storageState: null };
+  }
+  const expired = saved.expires_at && Date.parse(saved.expires_at) <= now;
+  return {
+    ...info,
+    status: expired ? 'expired' : 'valid',
+    saved_at: saved.saved_at || null,
+    expires_at: saved.expires_at || null,
+    storageState: expired ? null : saved.storage_state,
+  };
+}
+
+async function saveSession(key, context, { sessionDir, url = null, ttlHours = DEFAULT_SESSION_TTL_HOURS, now = Date.now() } = {}) {
+  const filePath = sessionPath(key, sessionDir);
+  const storageState = await context.storageState();
+  const saved = {
+    key,
+    url,
+    saved_at: new Date(now).toISOString(),
+    expires_at: ttlHours ? new Date(now + ttlHours * HOUR_MS).toISOString() : null,
+    storage_state: storageState,
+  };
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(saved, null, 2));
+  return {
+    key,
+    path: filePath,
+    status: 'saved',
+    saved_at: saved.saved_at,
+    expires_at: saved.expires_at,
+    cookies: storageState.cookies.length,
+    origins: storageState.origins.length,
+  };
+}
+
+function invalidateSession(key, { sessionDir } = {}) {
+  const filePath = sessionPath(key, sessionDir);
+  const existed = fs.existsSync(filePath);
+  fs.rmSync(filePath, { force: true });
+  return { key, path: filePath, removed: existed };
+}
+
+function listSessions({ sessionDir = SESSION_DIR, now = Date.now() } = {}) {
+  if (!fs.existsSync(sessionDir)) {
+    return [];
+  }
+  return fs.readdirSync(sessionDir)
+    .filter((name) => name.endsWith('.json'))
+    .map((name) => {
+      const { storageState, ...info } = loadSession(path.basename(name, '.json'), { sessionDir, now });
+      return info;
+    });
+}
+
+module.exports = {
+  DEFAULT_SESSION_TTL_HOURS,
+  sessionPath,
+  targetSessionKey,
+  sessionOptionsFromArgs,
+  loadSession,
+  saveSession,
+  invalidateSession,
+  listSessions,
+};
@@ -0,0 +1,143 @@
+const STEP_ACTIONS = ['click', 'fill', 'select', 'wait_for_selector', 'wait_for_response', 'scroll', 'wait'];
+const DEFAULT_STEP_TIMEOUT_MS = 10000;
+
+function interpolateValue(value, vars) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  return value.replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined ? String(vars[name]) : match));
+}
+
+function validateSteps(steps) {
+  if (!Array.isArray(steps)) {
+    throw new Error('steps must be an array');
+  }
+  steps.forEach((step, index) => {
+    if (!step || !STEP_ACTIONS.includes(step.action)) {
+      throw new Error(`Unknown step action at index ${index}: ${step && step.action}`);
+    }
+    if (['click', 'fill', 'select', 'wait_for_selector'].includes(step.action) && !step.selector) {
+      throw new Error(`Step ${index} (${step.action}) needs a selector`);
+    }
+    if (step.action === 'wait_for_response' && !step.url) {
+      throw new Error(`Step ${index} (wait_for_response) needs a url pattern`);
+    }
+  });
+  return steps;
+}
+
+function watchResponses(page) {
+  const seen = [];
+  const listener = (response) => {
+    seen.push({ url: response.url(), status: response.status(), consumed: false });
+  };
+  page.on('response', listener);
+  return {
+    takeMatching(regex) {
+      const hit = seen.find((entry) => !entry.consumed && regex.test(entry.url));
+      if (hit) {
+        hit.consumed = true;
+      }
+      return hit || null;
+    },
+    stop() {
+      page.off('response', listener);
+    },
+  };
+}
+
+async function executeStep(page, step, vars, responses) {
+  const timeout = step.timeout_ms || DEFAULT_STEP_TIMEOUT_MS;
+  const selector = interpolateValue(step.selector, vars);
+  switch (step.action) {
+    case 'click':
+      await page.locator(selector).first().click({ timeout });
+      return null;
+    case 'fill':
+      await page.locator(selector).first().fill(String(interpolateValue(step.value ?? '', vars)), { timeout });
+      return null;
+    case 'select':
+      await page.locator(selector).first().selectOption(String(interpolateValue(step.value ?? '', vars)), { timeout });
+      return null;
+    case 'wait_for_selector':
+      await page.locator(selector).first().waitFor({ state: step.state || 'visible', timeout });
+      return null;
+    case 'wait_for_response': {
+      const regex = new RegExp(interpolateValue(step.url, vars), 'i');
+      const earlier = responses.takeMatching(regex);
+      if (earlier) {
+        return { url: earlier.url, status: earlier.status };
+      }
+      const response = await page.waitForResponse((candidate) => regex.test(candidate.url()), { timeout });
+      responses.takeMatching(regex);
+      return { url: response.url(), status: response.status() };
+    }
+    case 'scroll':
+      if (selector) {
+        await page.locator(selector).first().scrollIntoViewIfNeeded({ timeout });
+      } else {
+        await page.mouse.wheel(0, Number(step.y ?? 1000));
+      }
+      return null;
+    case 'wait':
+      await page.waitForTimeout(Number(step.ms ?? 1000));
+      return null;
+    default:
+      throw new Error(`Unknown step action: ${step.action}`);
+  }
+}
+
+// Runs the steps in order. A failing step stops the sequence unless it is
+// marked optional; the remaining steps are reported as skipped.
+async function runSteps(page, steps, { vars = {}, log = () => {} } = {}) {
+  const results = [];
+  let failure = null;
+  const responses = watchResponses(page);
+  try {
+    for (let index = 0; index < steps.length; index += 1) {
+      const step = steps[index];
+      const result = {
+        index,
+        action: step.action,
+        selector: step.selector || null,
+        ok: false,
+        skipped: false,
+        ms: 0,
+        error: null,
+      };
+      if (failure) {
+        result.skipped = true;
+        results.push(result);
+        continue;
+      }
+      const started = Date.now();
+      try {
+        const detail = await executeStep(page, step, vars, responses);
+        result.ok = true;
+        if (detail) {
+          result.response = detail;
+        }
+      } catch (error) {
+        result.error = error instanceof Error ? error.message.split('\n')[0] : String(error);
+        if (!step.optional) {
+          failure = result;
+        }
+      }
+      result.ms = Date.now() - started;
+      log(result);
+      results.push(result);
+    }
+  } finally {
+    responses.stop();
+  }
+  return {
+    results,
+    error: failure ? `step ${failure.index} (${failure.action}) failed: ${failure.error}` : null,
+  };
+}
+
+module.exports = {
+  STEP_ACTIONS,
+  validateSteps,
+  runSteps,
+};
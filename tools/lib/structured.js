@@ -0,0 +1,343 @@
+const {
+  PRICE_KEY_REGEX,
+  NON_PRICE_KEY_REGEX,
+  DEFAULT_LOCALE,
+  normalizeAmount,
+  normalizeCurrency,
+  parsePriceFromText,
+  extractCandidatesFromJson,
+} = require('./extraction');
+
+const STRUCTURED_SOURCES = ['jsonld', 'app_state', 'microdata', 'meta'];
+const JSONLD_PRICE_KEYS = ['price', 'lowPrice', 'highPrice', 'minPrice', 'maxPrice'];
+const MICRODATA_PRICE_PROPS = ['price', 'lowPrice', 'highPrice'];
+const META_PRICE_PROPERTIES = ['product:price:amount', 'og:price:amount', 'product:sale_price:amount'];
+const META_CURRENCY_PROPERTIES = ['product:price:currency', 'og:price:currency', 'product:sale_price:currency'];
+// Hydration blobs hold the whole app; only price-like keys that are not
+// counters, ids or occupancy become candidates.
+const APP_STATE_GLOBALS = ['__NEXT_DATA__', '__INITIAL_STATE__', '__NUXT__', '__PRELOADED_STATE__', '__APOLLO_STATE__'];
+const MAX_APP_STATE_BYTES = 5 * 1024 * 1024;
+const VOID_TAGS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+
+function parseAttributes(text) {
+  const attributes = {};
+  const regex = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    attributes[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4] ?? '';
+  }
+  return attributes;
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&euro;/gi, '€')
+    .replace(/&pound;/gi, '£')
+    .replace(/&quot;/gi, '"')
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/gi, '&');
+}
+
+function parseJsonSafe(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+function scriptBlocks(html) {
+  const blocks = [];
+  const regex = /<script\b([^>]*)>([\s\S]*?)<\/script>/gi;
+  let match;
+  while ((match = regex.exec(html)) !== null) {
+    blocks.push({ attributes: parseAttributes(match[1]), body: match[2] });
+  }
+  return blocks;
+}
+
+// Attribute values (content="120.00"), meta tags and JSON-LD follow
+// schema.org, which wants a dot as decimal separator, so "1.250" is 1.25 on
+// a German page too; only visible texts use the page locale.
+const SCHEMA_LOCALE = 'en';
+
+function readAmount(value, locale) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? { value, currency: null } : null;
+  }
+  if (typeof value !== 'string' || !/\d/.test(value)) {
+    return null;
+  }
+  const parsed = parsePriceFromText(value, locale);
+  if (parsed) {
+    return { value: parsed.value, currency: parsed.currency };
+  }
+  const amount = normalizeAmount(value.replace(/[^0-9.,'\s -]/g, ''), locale);
+  return amount === null ? null : { value: amount, currency: null };
+}
+
+function walkJsonLd(node, pathStack, inheritedCurrency, results) {
+  if (Array.isArray(node)) {
+    node.forEach((entry, index) => walkJsonLd(entry, [...pathStack, String(index)], inheritedCurrency, results));
+    return;
+  }
+  if (!node || typeof node !== 'object') {
+    return;
+  }
+  const currency = node.priceCurrency || inheritedCurrency || null;
+  for (const [key, entry] of Object.entries(node)) {
+    const nextPath = [...pathStack, key];
+    if (JSONLD_PRICE_KEYS.includes(key)) {
+      const amount = readAmount(entry, SCHEMA_LOCALE);
+      if (amount) {
+        results.push({
+          source: 'jsonld',
+          value: amount.value,
+          currency: normalizeCurrency(amount.currency || currency),
+          path: nextPath.join('.'),
+          key,
+          type: node['@type'] ? String(node['@type']) : null,
+          text: String(entry),
+        });
+      }
+      continue;
+    }
+    walkJsonLd(entry, nextPath, currency, results);
+  }
+}
+
+// Offer, AggregateOffer and PriceSpecification prices anywhere in the
+// blocks (including @graph and nested makesOffer/offers), with the currency
+// inherited from the enclosing offer.
+function extractJsonLdCandidates(html) {
+  const results = [];
+  scriptBlocks(html)
+    .filter((block) => String(block.attributes.type || '').toLowerCase() === 'application/ld+json')
+    .forEach((block, index) => {
+      const body = block.body.trim().replace(/^<!\[CDATA\[/, '').replace(/\]\]>$/, '');
+      const decoded = parseJsonSafe(body);
+      if (decoded !== undefined) {
+        walkJsonLd(decoded, ['jsonld', String(index)], null, results);
+      }
+    });
+  return results;
+}
+
+function extractMetaCandidates(html) {
+  const metas = (html.match(/<meta\b[^>]*>/gi) || []).map((tag) => parseAttributes(tag.slice(5, -1)));
+  const nameOf = (meta) => String(meta.property || meta.name || '').toLowerCase();
+  const currencyMeta = metas.find((meta) => META_CURRENCY_PROPERTIES.includes(nameOf(meta)));
+  const results = [];
+  for (const meta of metas) {
+    const name = nameOf(meta);
+    if (!META_PRICE_PROPERTIES.includes(name)) {
+      continue;
+    }
+    const amount = readAmount(decodeEntities(meta.content || ''), SCHEMA_LOCALE);
+    if (amount) {
+      results.push({
+        source: 'meta',
+        value: amount.value,
+        currency: normalizeCurrency(amount.currency || (currencyMeta ? currencyMeta.content : null)),
+        path: `meta.${name}`,
+        key: name,
+        text: meta.content,
+      });
+    }
+  }
+  return results;
+}
+
+// Walks the tags once and keeps a stack of open elements so every price
+// gets the itemprop/itemtype chain of its scopes as path
+// ("Hotel.makesOffer.price") and the priceCurrency of its own scope.
+function extractMicrodataCandidates(html, locale = DEFAULT_LOCALE) {
+  const stack = [];
+  const found = [];
+  const pageScope = { currency: null };
+  const regex = /<(\/?)([a-z][a-z0-9-]*)\b([^>]*?)(\/?)>/gi;
+  let match;
+  while ((match = regex.exec(html)) !== null) {
+    const [, closing, rawTag, attributeText, selfClosing] = match;
+    const tag = rawTag.toLowerCase();
+    if (closing) {
+      const index = stack.map((entry) => entry.tag).lastIndexOf(tag);
+      if (index !== -1) {
+        stack.splice(index);
+      }
+      continue;
+    }
+    if (tag === 'script' || tag === 'style') {
+      const end = html.toLowerCase().indexOf(`</${tag}`, regex.lastIndex);
+      regex.lastIndex = end === -1 ? html.length : end;
+      continue;
+    }
+    const attributes = parseAttributes(attributeText);
+    const scope = [...stack].reverse().find((entry) => entry.scope);
+    const currentScope = scope ? scope.scope : pageScope;
+    const itemprop = attributes.itemprop || null;
+    if (itemprop === 'priceCurrency' && !currentScope.currency) {
+      currentScope.currency = attributes.content || html.slice(regex.lastIndex, html.indexOf('<', regex.lastIndex)).trim();
+    }
+    if (itemprop && MICRODATA_PRICE_PROPS.includes(itemprop)) {
+      const fromContent = attributes.content !== undefined;
+      const text = fromContent
+        ? attributes.content
+        : decodeEntities(html.slice(regex.lastIndex, html.indexOf('<', regex.lastIndex))).trim();
+      const amount = readAmount(text, fromContent ? SCHEMA_LOCALE : locale);
+      if (amount) {
+        const names = stack.filter((entry) => entry.scope).map((entry) => entry.scope.name);
+        found.push({ amount, text, itemprop, scope: currentScope, path: ['microdata', ...names, itemprop].join('.') });
+      }
+    }
+    if (VOID_TAGS.includes(tag) || selfClosing) {
+      continue;
+    }
+    const entry = { tag, scope: null };
+    if (attributes.itemscope !== undefined) {
+      const type = String(attributes.itemtype || '').split(/[/#]/).filter(Boolean).pop() || 'Thing';
+      entry.scope = { name: itemprop || type, currency: null };
+    }
+    stack.push(entry);
+  }
+  return found.map((entry) => ({
+    source: 'microdata',
+    value: entry.amount.value,
+    currency: normalizeCurrency(entry.amount.currency || entry.scope.currency),
+    path: entry.path,
+    key: entry.itemprop,
+    text: entry.text,
+  }));
+}
+
+// Finds the value assigned to window.NAME (or var NAME) in an inline
+// script and reads it when it is plain JSON. Object literals with
+// functions or unquoted keys (most __NUXT__ payloads) come from the live
+// page via readAppState instead.
+function readAssignedJson(body, name) {
+  const assignment = new RegExp(`(?:window\\.|var\\s+|let\\s+|const\\s+)${name.replace(/\$/g, '\\$')}\\s*=\\s*`).exec(body);
+  if (!assignment) {
+    return undefined;
+  }
+  const start = assignment.index + assignment[0].length;
+  const open = body[start];
+  if (open !== '{' && open !== '[') {
+    return undefined;
+  }
+  const close = open === '{' ? '}' : ']';
+  let depth = 0;
+  let quote = null;
+  for (let index = start; index < body.length; index += 1) {
+    const char = body[index];
+    if (quote) {
+      if (char === '\\') {
+        index += 1;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === open) {
+      depth += 1;
+    } else if (char === close) {
+      depth -= 1;
+      if (depth === 0) {
+        return parseJsonSafe(body.slice(start, index + 1));
+      }
+    }
+  }
+  return undefined;
+}
+
+function readInlineAppState(html) {
+  const state = {};
+  for (const block of scriptBlocks(html)) {
+    if (block.attributes.id === '__NEXT_DATA__' || block.attributes.id === '__NUXT_DATA__') {
+      const decoded = parseJsonSafe(block.body.trim());
+      if (decoded !== undefined) {
+        state[block.attributes.id] = decoded;
+      }
+      continue;
+    }
+    for (const name of APP_STATE_GLOBALS) {
+      if (state[name] === undefined && block.body.includes(name)) {
+        const decoded = readAssignedJson(block.body, name);
+        if (decoded !== undefined) {
+          state[name] = decoded;
+        }
+      }
+    }
+  }
+  return state;
+}
+
+// Runs in the page: copies the hydration globals as plain JSON. Cyclic or
+// oversized states are skipped.
+function readAppState({ names, maxBytes }) {
+  const state = {};
+  for (const name of names) {
+    if (window[name] === undefined) {
+      continue;
+    }
+    try {
+      const json = JSON.stringify(window[name]);
+      if (json && json.length <= maxBytes) {
+        state[name] = JSON.parse(json);
+      }
+    } catch (error) {
+      // Not serialisable; the inline copy (if any) is used instead.
+    }
+  }
+  return state;
+}
+
+function readPageAppState(page) {
+  return page.evaluate(readAppState, { names: APP_STATE_GLOBALS, maxBytes: MAX_APP_STATE_BYTES }).catch(() => ({}));
+}
+
+function extractAppStateCandidates(appState, locale = DEFAULT_LOCALE, keyRegex = PRICE_KEY_REGEX) {
+  const results = [];
+  for (const [name, state] of Object.entries(appState || {})) {
+    extractCandidatesFromJson(state, [name], locale)
+      .filter((candidate) => keyRegex.test(candidate.path.split('.').slice(-2).join('.')) && !NON_PRICE_KEY_REGEX.test(candidate.key))
+      .forEach((candidate) => {
+        results.push({ ...candidate, source: 'app_state', currency: normalizeCurrency(candidate.currency), text: String(candidate.value) });
+      });
+  }
+  return results;
+}
+
+// All structured sources of a page. The live runners pass the hydration
+// globals read from the page; inline copies in the HTML fill the gaps (and
+// are all a replay has).
+function extractStructuredCandidates(html, options = {}) {
+  const locale = options.locale || DEFAULT_LOCALE;
+  const appState = { ...readInlineAppState(html || ''), ...(options.appState || {}) };
+  return [
+    ...extractJsonLdCandidates(html || ''),
+    ...extractAppStateCandidates(appState, locale, options.keyRegex),
+    ...extractMicrodataCandidates(html || '', locale),
+    ...extractMetaCandidates(html || ''),
+  ];
+}
+
+function countStructuredCandidates(candidates) {
+  return Object.fromEntries(STRUCTURED_SOURCES.map((source) => [
+    source,
+    candidates.filter((candidate) => candidate.source === source).length,
+  ]));
+}
+
+module.exports = {
+  STRUCTURED_SOURCES,
+  APP_STATE_GLOBALS,
+  extractJsonLdCandidates,
+  extractMetaCandidates,
+  extractMicrodataCandidates,
+  readInlineAppState,
+  readPageAppState,
+  extractAppStateCandidates,
+  extractStructuredCandidates,
+  countStructuredCandidates,
+};
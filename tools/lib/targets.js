@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const { validateSteps } = require('./steps');
+
+function interpolateUrl(url, date) {
+  if (!date) {
+    return url;
+  }
+  return url.split('{date}').join(date);
+}
+
+function addDays(isoDate, days) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${isoDate}`);
+  }
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 366;
+
+// Strict YYYY-MM-DD; Date would roll "2026-02-30" over into March.
+function parseIsoDate(value, name) {
+  const text = String(value);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || addDays(text, 0) !== text) {
+    throw new Error(`Invalid ${name}: ${value} (expected YYYY-MM-DD)`);
+  }
+  return text;
+}
+
+function dateRange(from, to, maxDays = MAX_RANGE_DAYS) {
+  const days = (Date.parse(parseIsoDate(to, '--to')) - Date.parse(parseIsoDate(from, '--from'))) / DAY_MS + 1;
+  if (days < 1) {
+    throw new Error(`--to ${to} is before --from ${from}`);
+  }
+  if (days > maxDays) {
+    throw new Error(`Date range of ${days} days exceeds the limit of ${maxDays}`);
+  }
+  return Array.from({ length: days }, (entry, index) => addDays(from, index));
+}
+
+// {date} and {checkin} are the arrival day, {checkout} the departure day.
+function interpolateStayUrl(url, stay) {
+  return interpolateUrl(url, stay.checkin)
+    .split('{checkin}').join(stay.checkin)
+    .split('{checkout}').join(stay.checkout)
+    .split('{nights}').join(String(stay.nights));
+}
+
+function todayIso() {
+  const now = new Date();
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+function readJsonFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Missing config file: ${filePath}`);
+  }
+  let decoded;
+  try {
+    decoded = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${filePath}`);
+  }
+  return decoded;
+}
+
+// targets.json entries default to today's date (like monitor.php); monitors.json
+// entries are skipped while inactive and keep an empty date as-is (like cron.php).
+function loadTargets(filePath) {
+  const decoded = readJsonFile(filePath);
+  if (!Array.isArray(decoded)) {
+    throw new Error(`Invalid JSON in ${filePath}`);
+  }
+  const isMonitorFile = path.basename(filePath) === 'monitors.json';
+  return decoded
+    .filter((entry) => entry && typeof entry.url === 'string')
+    .filter((entry) => !isMonitorFile || entry.active)
+    .map((entry) => {
+      const date = isMonitorFile ? String(entry.date || '') : String(entry.date || todayIso());
+      return {
+        ...entry,
+        id: entry.id || 'unknown',
+        date,
+        rooms: Array.isArray(entry.rooms) ? entry.rooms : [],
+        steps: entry.steps ? validateSteps(entry.steps) : [],
+        resolved_url: interpolateUrl(entry.url, date),
+      };
+    });
+}
+
+module.exports = {
+  interpolateUrl,
+  interpolateStayUrl,
+  addDays,
+  parseIsoDate,
+  dateRange,
+  readJsonFile,
+  loadTargets,
+};
@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+
+const TRACE_MODES = ['on-failure', 'always', 'off'];
+const DEFAULT_TRACE_MODE = 'on-failure';
+
+function resolveTraceMode(value) {
+  const mode = value || DEFAULT_TRACE_MODE;
+  if (!TRACE_MODES.includes(mode)) {
+    throw new Error(`Invalid trace mode: ${value} (expected ${TRACE_MODES.join(', ')})`);
+  }
+  return mode;
+}
+
+// Records screenshots, DOM snapshots, network and console for the whole check.
+async function startTrace(context, mode) {
+  if (resolveTraceMode(mode) === 'off') {
+    return;
+  }
+  await context.tracing.start({ screenshots: true, snapshots: true, sources: false });
+}
+
+// Writes the trace zip when the check failed (or always); otherwise the
+// recording is discarded. Returns the path or null.
+async function stopTrace(context, mode, failed, tracePath) {
+  const resolved = resolveTraceMode(mode);
+  if (resolved === 'off') {
+    return null;
+  }
+  if (resolved === 'always' || failed) {
+    fs.mkdirSync(path.dirname(tracePath), { recursive: true });
+    await context.tracing.stop({ path: tracePath });
+    return tracePath;
+  }
+  await context.tracing.stop();
+  return null;
+}
+
+module.exports = {
+  TRACE_MODES,
+  resolveTraceMode,
+  startTrace,
+  stopTrace,
+};
@@ -0,0 +1,413 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const VISUAL_DIR = path.join(__dirname, '..', '..', 'artifacts', 'visual');
+const DEFAULT_VISUAL_SETTINGS = {
+  threshold: 0.1,
+  full_page: false,
+};
+// Channel difference below which a pixel counts as unchanged; absorbs
+// antialiasing and font hinting noise between runs.
+const PIXEL_TOLERANCE = 32;
+const CROP_PADDING = 24;
+const MARK_ATTRIBUTE = 'data-pm-price';
+const HIGHLIGHT = '3px solid #ff0066';
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+  let value = index;
+  for (let bit = 0; bit < 8; bit += 1) {
+    value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+  }
+  return value >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function paeth(left, up, upLeft) {
+  const estimate = left + up - upLeft;
+  const toLeft = Math.abs(estimate - left);
+  const toUp = Math.abs(estimate - up);
+  const toUpLeft = Math.abs(estimate - upLeft);
+  if (toLeft <= toUp && toLeft <= toUpLeft) {
+    return left;
+  }
+  return toUp <= toUpLeft ? up : upLeft;
+}
+
+// Only what Playwright writes is supported; anything else is named in the
+// error instead of being decoded into garbage.
+function checkPngHeader(header) {
+  if (!header) {
+    throw new Error('Unsupported PNG: no IHDR chunk');
+  }
+  if (header.interlace !== 0) {
+    throw new Error('Unsupported PNG: interlaced images');
+  }
+  if (header.colorType === 3) {
+    throw new Error('Unsupported PNG: palette images');
+  }
+  if (header.bitDepth !== 8) {
+    throw new Error(`Unsupported PNG: ${header.bitDepth}-bit images (expected 8-bit)`);
+  }
+  if (![2, 6].includes(header.colorType)) {
+    throw new Error(`Unsupported PNG: color type ${header.colorType} (expected RGB or RGBA)`);
+  }
+}
+
+// Decodes the 8-bit RGB/RGBA, non-interlaced PNGs Playwright writes; returns
+// RGBA pixels either way.
+function decodePng(buffer) {
+  if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error('Not a PNG image');
+  }
+  let header = null;
+  const chunks = [];
+  for (let offset = 8; offset < buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12],
+      };
+    } else if (type === 'IDAT') {
+      chunks.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += length + 12;
+  }
+  checkPngHeader(header);
+  const channels = header.colorType === 6 ? 4 : 3;
+  const stride = header.width * channels;
+  const raw = zlib.inflateSync(Buffer.concat(chunks));
+  if (raw.length < (stride + 1) * header.height) {
+    throw new Error('Truncated PNG image data');
+  }
+  const pixels = Buffer.alloc(stride * header.height);
+  for (let y = 0; y < header.height; y += 1) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const row = y * stride;
+    for (let x = 0; x < stride; x += 1) {
+      const left = x >= channels ? pixels[row + x - channels] : 0;
+      const up = y > 0 ? pixels[row - stride + x] : 0;
+      const upLeft = y > 0 && x >= channels ? pixels[row - stride + x - channels] : 0;
+      let predicted;
+      switch (filter) {
+        case 0: predicted = 0; break;
+        case 1: predicted = left; break;
+        case 2: predicted = up; break;
+        case 3: predicted = (left + up) >> 1; break;
+        case 4: predicted = paeth(left, up, upLeft); break;
+        default: throw new Error(`Unsupported PNG filter: ${filter}`);
+      }
+      pixels[row + x] = (line[x] + predicted) & 0xff;
+    }
+  }
+  if (channels === 4) {
+    return { width: header.width, height: header.height, data: pixels };
+  }
+  const data = Buffer.alloc(header.width * header.height * 4);
+  for (let index = 0; index < header.width * header.height; index += 1) {
+    pixels.copy(data, index * 4, index * 3, index * 3 + 3);
+    data[index * 4 + 3] = 255;
+  }
+  return { width: header.width, height: header.height, data };
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+function encodePng({ width, height, data }) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = 6;
+  const raw = Buffer.alloc((width * 4 + 1) * height);
+  for (let y = 0; y < height; y += 1) {
+    data.copy(raw, y * (width * 4 + 1) + 1, y * width * 4, (y + 1) * width * 4);
+  }
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+// Score is the share of changed pixels over the larger of both images; area
+// only one image covers counts as changed, so a resized element scores high
+// even if the overlapping part looks the same. The diff image greys out the
+// current image and paints changed pixels red.
+function compareImages(previous, current, { tolerance = PIXEL_TOLERANCE } = {}) {
+  const width = Math.max(previous.width, current.width);
+  const height = Math.max(previous.height, current.height);
+  const diff = Buffer.alloc(width * height * 4);
+  let changed = 0;
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const target = (y * width + x) * 4;
+      const inPrevious = x < previous.width && y < previous.height;
+      const inCurrent = x < current.width && y < current.height;
+      let differs = !inPrevious || !inCurrent;
+      let grey = 255;
+      if (inPrevious && inCurrent) {
+        const a = (y * previous.width + x) * 4;
+        const b = (y * current.width + x) * 4;
+        for (let channel = 0; channel < 4; channel += 1) {
+          if (Math.abs(previous.data[a + channel] - current.data[b + channel]) > tolerance) {
+            differs = true;
+          }
+        }
+        grey = 191 + Math.round((current.data[b] + current.data[b + 1] + current.data[b + 2]) / 12);
+      }
+      if (differs) {
+        changed += 1;
+      }
+      diff[target] = differs ? 255 : grey;
+      diff[target + 1] = differs ? 0 : grey;
+      diff[target + 2] = differs ? 0 : grey;
+      diff[target + 3] = 255;
+    }
+  }
+  return {
+    score: width * height ? Math.round((changed / (width * height)) * 10000) / 10000 : 0,
+    changed_pixels: changed,
+    size_changed: previous.width !== current.width || previous.height !== current.height,
+    diff: { width, height, data: diff },
+  };
+}
+
+function visualKeyDir(key, visualDir = VISUAL_DIR) {
+  const safeKey = String(key).trim().replace(/[^a-z0-9._-]+/gi, '-');
+  if (!safeKey || /^\.+$/.test(safeKey)) {
+    throw new Error(`Invalid visual key: ${key}`);
+  }
+  return path.join(visualDir, safeKey);
+}
+
+// Like sessions: "visual": true uses the target id, a string is the key.
+function targetVisualKey(target) {
+  if (target.visual === true) {
+    return target.id;
+  }
+  return typeof target.visual === 'string' && target.visual ? target.visual : null;
+}
+
+function visualOptions(key, settings = {}, overrides = {}) {
+  if (!key) {
+    return null;
+  }
+  const merged = { ...DEFAULT_VISUAL_SETTINGS, ...settings, ...overrides };
+  return { key, threshold: Number(merged.threshold), fullPage: Boolean(merged.full_page) };
+}
+
+function visualOptionsFromArgs(values, settings = {}) {
+  const overrides = {};
+  if (values['visual-threshold'] !== undefined) {
+    overrides.threshold = Number(values['visual-threshold']);
+  }
+  if (values['visual-full-page']) {
+    overrides.full_page = true;
+  }
+  return visualOptions(values.visual, settings, overrides);
+}
+
+// Runs in the page: marks the smallest visible element whose text contains
+// the price so Playwright can address it without a selector.
+function markPriceElement({ text, attribute }) {
+  const normalize = (value) => String(value || '').replace(/\s+/g, ' ').trim();
+  const needle = normalize(text);
+  let best = null;
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_ELEMENT);
+  while (walker.nextNode()) {
+    const element = walker.currentNode;
+    const rect = element.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0 || !normalize(element.innerText).includes(needle)) {
+      continue;
+    }
+    if (!best || rect.width * rect.height <= best.area) {
+      best = { element, area: rect.width * rect.height };
+    }
+  }
+  if (!best) {
+    return false;
+  }
+  best.element.setAttribute(attribute, 'target');
+  return true;
+}
+
+// Hints are tried in order: the winning candidate's selector, then the price
+// texts of the winner and of candidates with the same value (a JSON winner
+// has no element of its own).
+async function locatePriceElement(page, hints) {
+  await page.evaluate((attribute) => {
+    document.querySelectorAll(`[${attribute}]`).forEach((element) => element.removeAttribute(attribute));
+  }, MARK_ATTRIBUTE).catch(() => {});
+  for (const hint of hints) {
+    if (hint.selector) {
+      const locator = page.locator(hint.selector).first();
+      if (await locator.isVisible().catch(() => false)) {
+        return { locator, selector: hint.selector };
+      }
+    }
+    if (hint.text && await page.evaluate(markPriceElement, { text: hint.text, attribute: MARK_ATTRIBUTE }).catch(() => false)) {
+      return { locator: page.locator(`[${MARK_ATTRIBUTE}="target"]`).first(), selector: null };
+    }
+  }
+  return null;
+}
+
+// The winner's own selector and price text first, then other candidates
+// with the same value; a JSON winner has no element of its own, but the
+// same price usually appears in the DOM.
+function priceElementHints(priceText, candidates = []) {
+  const [winner, ...rest] = candidates;
+  if (!winner) {
+    return [];
+  }
+  return [
+    { selector: winner.selector, text: priceText },
+    ...rest.filter((candidate) => candidate.value === winner.value).map((candidate) => ({ selector: candidate.selector, text: candidate.text })),
+  ];
+}
+
+// Outlines the element, takes a padded viewport crop around it and restores
+// the page. Returns null when no element matches the price.
+async function capturePriceElement(page, hints) {
+  const located = await locatePriceElement(page, hints);
+  if (!located) {
+    return null;
+  }
+  const { locator } = located;
+  await locator.scrollIntoViewIfNeeded({ timeout: 2000 }).catch(() => {});
+  const box = await locator.boundingBox().catch(() => null);
+  const viewport = page.viewportSize();
+  if (!box || !viewport) {
+    return null;
+  }
+  const previousOutline = await locator.evaluate((element, outline) => {
+    const before = element.style.outline;
+    element.style.outline = outline;
+    return before;
+  }, HIGHLIGHT).catch(() => null);
+  const x = Math.max(0, Math.floor(box.x - CROP_PADDING));
+  const y = Math.max(0, Math.floor(box.y - CROP_PADDING));
+  const clip = {
+    x,
+    y,
+    width: Math.max(1, Math.min(viewport.width, Math.ceil(box.x + box.width + CROP_PADDING)) - x),
+    height: Math.max(1, Math.min(viewport.height, Math.ceil(box.y + box.height + CROP_PADDING)) - y),
+  };
+  const buffer = await page.screenshot({ type: 'png', clip }).catch(() => null);
+  if (previousOutline !== null) {
+    await locator.evaluate((element, outline) => {
+      element.style.outline = outline;
+    }, previousOutline).catch(() => {});
+  }
+  if (!buffer) {
+    return null;
+  }
+  return {
+    buffer,
+    selector: located.selector,
+    box: { x: Math.round(box.x), y: Math.round(box.y), width: Math.round(box.width), height: Math.round(box.height) },
+  };
+}
+
+// Compares the image with the last one stored under the key and writes the
+// diff next to it. With update the new image becomes the baseline for the
+// next run and the old one stays as <name>.prev.png; a failed run is only
+// compared (saved as <name>.failed.png) so it cannot replace a good baseline.
+function compareWithBaseline(key, name, buffer, { visualDir, threshold = DEFAULT_VISUAL_SETTINGS.threshold, update = true } = {}) {
+  const dir = visualKeyDir(key, visualDir);
+  fs.mkdirSync(dir, { recursive: true });
+  const baselinePath = path.join(dir, `${name}.png`);
+  const previousPath = path.join(dir, `${name}.prev.png`);
+  const diffPath = path.join(dir, `${name}.diff.png`);
+  const result = {
+    file: update ? baselinePath : path.join(dir, `${name}.failed.png`),
+    baseline: null,
+    diff: null,
+    score: null,
+    changed: false,
+    size_changed: false,
+    threshold,
+  };
+  if (fs.existsSync(baselinePath)) {
+    try {
+      const comparison = compareImages(decodePng(fs.readFileSync(baselinePath)), decodePng(buffer));
+      fs.writeFileSync(diffPath, encodePng(comparison.diff));
+      Object.assign(result, {
+        diff: diffPath,
+        score: comparison.score,
+        changed: comparison.score > threshold,
+        size_changed: comparison.size_changed,
+      });
+    } catch (error) {
+      result.error = error.message;
+    }
+    result.baseline = update ? previousPath : baselinePath;
+    if (update) {
+      fs.renameSync(baselinePath, previousPath);
+    }
+  }
+  fs.writeFileSync(result.file, buffer);
+  return result;
+}
+
+// Crops the price element (and with fullPage the whole page) and compares
+// both with the previous run under the same key. Only runs that found a
+// price update the baselines.
+async function runVisualCheck(page, visual, hints, { hasPrice, visualDir } = {}) {
+  const output = { key: visual.key, selector: null, box: null, price: null, page: null, changed: false };
+  const crop = hasPrice ? await capturePriceElement(page, hints) : null;
+  if (crop) {
+    output.selector = crop.selector;
+    output.box = crop.box;
+    output.price = compareWithBaseline(visual.key, 'price', crop.buffer, { visualDir, threshold: visual.threshold });
+  }
+  if (visual.fullPage) {
+    const buffer = await page.screenshot({ type: 'png', fullPage: true }).catch(() => null);
+    if (buffer) {
+      output.page = compareWithBaseline(visual.key, 'page', buffer, { visualDir, threshold: visual.threshold, update: Boolean(hasPrice) });
+    }
+  }
+  output.changed = Boolean((output.price && output.price.changed) || (output.page && output.page.changed));
+  return output;
+}
+
+module.exports = {
+  VISUAL_DIR,
+  DEFAULT_VISUAL_SETTINGS,
+  decodePng,
+  encodePng,
+  compareImages,
+  targetVisualKey,
+  visualOptions,
+  visualOptionsFromArgs,
+  priceElementHints,
+  capturePriceElement,
+  compareWithBaseline,
+  runVisualCheck,
+};
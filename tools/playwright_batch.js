@@ -0,0 +1,134 @@
+const path = require('path');
+const { parseArgs } = require('util');
+const { runCheckJob, buildErrorOutput } = require('./robinson_playwright');
+const { createJobQueue } = require('./lib/queue');
+const { loadTargets } = require('./lib/targets');
+const {
+  RUNNER_ARG_OPTIONS,
+  loadRunnerSettings,
+  loadArtifactSettings,
+  runnerOptionsFromArgs,
+} = require('./lib/config');
+const { openEventSink } = require('./lib/events');
+const { targetSessionKey } = require('./lib/session');
+const { targetVisualKey, visualOptions } = require('./lib/visual');
+const { targetOccupancy } = require('./lib/breakdown');
+const { createBrowserSet } = require('./lib/browsers');
+
+function writeLine(payload) {
+  process.stdout.write(`${JSON.stringify(payload)}\n`);
+}
+
+function roomLines(target, output) {
+  const base = {
+    target_id: target.id,
+    date: target.date || null,
+    url: target.url,
+  };
+  if (target.rooms.length === 0) {
+    return [{ ...base, room_name: null, threshold: null, ...output }];
+  }
+  const { rooms: roomResults = [], offers, ...pageOutput } = output;
+  return target.rooms.map((room, index) => {
+    const roomResult = roomResults[index] || null;
+    const line = {
+      ...base,
+      room_name: room.name || null,
+      threshold: room.threshold ?? null,
+      ...pageOutput,
+      room_state: roomResult ? roomResult.state : null,
+      offer: roomResult ? roomResult.offer : null,
+    };
+    if (roomResult && roomResult.state === 'unavailable') {
+      line.unavailable = true;
+      line.unavailable_reason = roomResult.unavailable_reason;
+      line.price_text = null;
+      line.price_value = null;
+      line.currency = null;
+    } else if (roomResult && roomResult.offer && roomResult.price_value !== null) {
+      line.price_text = String(roomResult.price_value);
+      line.price_value = roomResult.price_value;
+      line.currency = roomResult.currency;
+    }
+    return line;
+  });
+}
+
+// A target whose check throws still gets its lines, as error output, so
+// every target appears in the NDJSON. runJob is replaceable for tests.
+async function runBatch(targets, { concurrency, jobTimeoutMs, runnerSettings = {}, runnerArgs = {}, visualSettings = {}, redactFields, retention = null, eventSink, onResult, runJob = runCheckJob }) {
+  // One browser per engine for the whole batch, launched on first use.
+  const browsers = createBrowserSet();
+  const queue = createJobQueue({ concurrency });
+
+  const checkTarget = async (target) => {
+    try {
+      const options = {
+        rooms: target.rooms,
+        profileRef: target.profile || null,
+        steps: target.steps || [],
+        vars: { date: target.date },
+        occupancy: targetOccupancy(target),
+        runnerLayers: [runnerSettings, target.runner || {}, runnerArgs],
+        eventSink,
+        session: targetSessionKey(target) ? { key: targetSessionKey(target), save: true } : null,
+        visual: visualOptions(targetVisualKey(target), visualSettings),
+        redactFields,
+        retention,
+        browsers,
+      };
+      return await runJob(null, target.resolved_url, options, jobTimeoutMs);
+    } catch (error) {
+      return buildErrorOutput(target.resolved_url, error instanceof Error ? error.message : String(error));
+    }
+  };
+
+  try {
+    await Promise.all(
+      targets.map((target) => queue.push(() => checkTarget(target)).then((output) => {
+        roomLines(target, output).forEach(onResult);
+      })),
+    );
+  } finally {
+    await browsers.close();
+  }
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      targets: { type: 'string', default: path.join(__dirname, '..', 'config', 'targets.json') },
+      concurrency: { type: 'string', default: '3' },
+      'job-timeout': { type: 'string', default: '120000' },
+      settings: { type: 'string' },
+      'log-file': { type: 'string' },
+      ...RUNNER_ARG_OPTIONS,
+    },
+  });
+
+  const targets = loadTargets(values.targets);
+  const artifactSettings = loadArtifactSettings(values.settings);
+
+  await runBatch(targets, {
+    concurrency: Number(values.concurrency),
+    jobTimeoutMs: Number(values['job-timeout']),
+    runnerSettings: loadRunnerSettings(values.settings),
+    runnerArgs: runnerOptionsFromArgs(values),
+    visualSettings: artifactSettings.visual,
+    redactFields: artifactSettings.redact_fields,
+    retention: artifactSettings.prune_after_run ? artifactSettings.retention : null,
+    eventSink: openEventSink({ file: values['log-file'] }),
+    onResult: writeLine,
+  });
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    writeLine(buildErrorOutput(null, error instanceof Error ? error.message : String(error)));
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  runBatch,
+};
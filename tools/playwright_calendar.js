@@ -0,0 +1,240 @@
+const path = require('path');
+const { parseArgs } = require('util');
+const { runCheckJob, buildErrorOutput } = require('./robinson_playwright');
+const {
+  RUNNER_ARG_OPTIONS,
+  loadRunnerSettings,
+  loadArtifactSettings,
+  runnerOptionsFromArgs,
+} = require('./lib/config');
+const { openEventSink, createEventLog } = require('./lib/events');
+const { targetSessionKey } = require('./lib/session');
+const { createBrowserSet } = require('./lib/browsers');
+const { createJobQueue } = require('./lib/queue');
+const { occupancyFromArgs, targetOccupancy } = require('./lib/breakdown');
+const {
+  addDays,
+  dateRange,
+  interpolateStayUrl,
+  loadTargets,
+} = require('./lib/targets');
+
+const RETRY_STATES = ['error', 'blocked'];
+// Every stay is a browser check; a typo in --to must not queue thousands.
+const MAX_STAYS = 1000;
+
+function resultState(output) {
+  if (output.blocked) {
+    return 'blocked';
+  }
+  if (output.unavailable) {
+    return 'unavailable';
+  }
+  if (output.price_value !== null && output.price_value !== undefined) {
+    return 'ok';
+  }
+  return 'error';
+}
+
+// parseInt would take "2abc" as 2.
+function parseNights(value) {
+  const text = String(value).trim();
+  if (!/^\d+$/.test(text) || Number(text) < 1) {
+    throw new Error(`Invalid --nights: ${value} (expected a whole number of at least 1)`);
+  }
+  return Number(text);
+}
+
+function buildStays(from, to, nightsList) {
+  const days = dateRange(from, to);
+  if (days.length * nightsList.length > MAX_STAYS) {
+    throw new Error(`${days.length * nightsList.length} stays exceed the limit of ${MAX_STAYS}; shorten --from/--to or pass fewer --nights`);
+  }
+  const stays = [];
+  for (const checkin of days) {
+    for (const nights of nightsList) {
+      stays.push({ checkin, checkout: addDays(checkin, nights), nights });
+    }
+  }
+  return stays;
+}
+
+function calendarEntry(stay, url, output, attempts) {
+  const state = resultState(output);
+  const breakdown = state === 'ok' ? output.price_breakdown || null : null;
+  return {
+    checkin: stay.checkin,
+    checkout: stay.checkout,
+    nights: stay.nights,
+    url,
+    state,
+    price_value: state === 'ok' ? output.price_value : null,
+    currency: state === 'ok' ? output.currency : null,
+    // The breakdown knows whether the page showed a total or a nightly rate.
+    per_night: state === 'ok'
+      ? (breakdown && breakdown.per_night !== null ? breakdown.per_night : Math.round((output.price_value / stay.nights) * 100) / 100)
+      : null,
+    breakdown,
+    rooms: (output.rooms || []).map((room) => ({
+      name: room.name,
+      state: room.state,
+      price_value: room.price_value,
+      currency: room.currency,
+    })),
+    browser: output.browser || null,
+    attempts,
+    error: state === 'ok' ? null : output.error || output.unavailable_reason || null,
+  };
+}
+
+function cheapestByNights(calendar) {
+  const cheapest = {};
+  for (const entry of calendar) {
+    if (entry.state !== 'ok') {
+      continue;
+    }
+    const current = cheapest[entry.nights];
+    if (!current || entry.price_value < current.price_value) {
+      cheapest[entry.nights] = {
+        checkin: entry.checkin,
+        checkout: entry.checkout,
+        price_value: entry.price_value,
+        currency: entry.currency,
+      };
+    }
+  }
+  return cheapest;
+}
+
+async function runCalendar({ url, stays, options, concurrency, jobTimeoutMs, retries, onEntry, log = createEventLog({ sink: options.eventSink }) }) {
+  const browsers = createBrowserSet();
+  const queue = createJobQueue({ concurrency });
+
+  const checkStay = async (stay) => {
+    const stayUrl = interpolateStayUrl(url, stay);
+    const stayOptions = {
+      ...options,
+      vars: { ...stay, date: stay.checkin },
+      occupancy: { guests: null, ...options.occupancy, nights: stay.nights },
+      browsers,
+    };
+    let output = null;
+    let attempts = 0;
+    while (attempts <= retries) {
+      attempts += 1;
+      try {
+        output = await runCheckJob(null, stayUrl, stayOptions, jobTimeoutMs);
+      } catch (error) {
+        output = buildErrorOutput(stayUrl, error instanceof Error ? error.message : String(error));
+      }
+      if (!RETRY_STATES.includes(resultState(output))) {
+        break;
+      }
+      log.emit('stay_retry', { checkin: stay.checkin, nights: stay.nights, attempt: attempts, state: resultState(output) });
+    }
+    const entry = calendarEntry(stay, stayUrl, output, attempts);
+    log.emit('stay', { checkin: entry.checkin, nights: entry.nights, state: entry.state, price_value: entry.price_value, attempts });
+    if (onEntry) {
+      onEntry(entry);
+    }
+    return entry;
+  };
+
+  try {
+    return await Promise.all(stays.map((stay) => queue.push(() => checkStay(stay))));
+  } finally {
+    await browsers.close();
+  }
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      url: { type: 'string' },
+      target: { type: 'string' },
+      targets: { type: 'string', default: path.join(__dirname, '..', 'config', 'targets.json') },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      nights: { type: 'string', multiple: true },
+      guests: { type: 'string' },
+      concurrency: { type: 'string', default: '2' },
+      retries: { type: 'string', default: '2' },
+      'job-timeout': { type: 'string', default: '120000' },
+      settings: { type: 'string' },
+      'log-file': { type: 'string' },
+      ...RUNNER_ARG_OPTIONS,
+    },
+  });
+
+  let url = values.url;
+  let targetRunner = {};
+  let options = {};
+  if (values.target) {
+    const target = loadTargets(values.targets).find((entry) => entry.id === values.target);
+    if (!target) {
+      throw new Error(`Unknown target: ${values.target}`);
+    }
+    url = target.url;
+    options = {
+      rooms: target.rooms,
+      steps: target.steps,
+      profileRef: target.profile || null,
+      occupancy: { guests: targetOccupancy(target).guests },
+    };
+    targetRunner = target.runner || {};
+    if (targetSessionKey(target)) {
+      options.session = { key: targetSessionKey(target), save: true };
+    }
+  }
+  if (values.guests !== undefined) {
+    options.occupancy = { guests: occupancyFromArgs({ guests: values.guests }).guests };
+  }
+  options.runnerLayers = [loadRunnerSettings(values.settings), targetRunner, runnerOptionsFromArgs(values)];
+  options.eventSink = openEventSink({ file: values['log-file'] });
+  const artifactSettings = loadArtifactSettings(values.settings);
+  options.redactFields = artifactSettings.redact_fields;
+  options.retention = artifactSettings.prune_after_run ? artifactSettings.retention : null;
+  if (!url || !values.from) {
+    throw new Error(
+      'Usage: node tools/playwright_calendar.js (--url <url> | --target <id>) --from <YYYY-MM-DD> [--to <YYYY-MM-DD>] --nights <n> [--nights <n>] [--guests <n>]'
+    );
+  }
+
+  const nightsList = (values.nights || ['1']).map(parseNights);
+  const stays = buildStays(values.from, values.to || values.from, nightsList);
+  const log = createEventLog({ sink: options.eventSink });
+  log.emit('calendar', { stays: stays.length, from: values.from, to: values.to || values.from, nights: nightsList });
+
+  const calendar = await runCalendar({
+    url,
+    stays,
+    options,
+    concurrency: Number(values.concurrency),
+    jobTimeoutMs: Number(values['job-timeout']),
+    retries: Math.max(0, Number(values.retries) || 0),
+    log,
+  });
+
+  process.stdout.write(`${JSON.stringify({
+    url,
+    from: values.from,
+    to: values.to || values.from,
+    nights: nightsList,
+    calendar,
+    cheapest: cheapestByNights(calendar),
+  })}\n`);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    process.stdout.write(`${JSON.stringify({ error: error instanceof Error ? error.message : String(error) })}\n`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  parseNights,
+  buildStays,
+  runCalendar,
+  cheapestByNights,
+};
@@ -0,0 +1,241 @@
+const http = require('http');
+const { parseArgs } = require('util');
+const { runCheckJob, buildErrorOutput } = require('./robinson_playwright');
+const { launchEngine } = require('./lib/browsers');
+const {
+  RUNNER_ARG_OPTIONS,
+  loadRunnerSettings,
+  loadArtifactSettings,
+  runnerOptionsFromArgs,
+} = require('./lib/config');
+const { openEventSink, createEventLog } = require('./lib/events');
+const { createJobQueue } = require('./lib/queue');
+const { validateSteps } = require('./lib/steps');
+const { targetOccupancy } = require('./lib/breakdown');
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+function readJsonBody(request) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    request.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large.'));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text) {
+        resolve({});
+        return;
+      }
+      try {
+        resolve(JSON.parse(text));
+      } catch (error) {
+        reject(new Error('Invalid JSON body.'));
+      }
+    });
+    request.on('error', reject);
+  });
+}
+
+function sendJson(response, statusCode, payload) {
+  const body = `${JSON.stringify(payload)}\n`;
+  response.writeHead(statusCode, {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(body),
+  });
+  response.end(body);
+}
+
+// One long-lived browser per engine; a crashed one is relaunched on the
+// next job.
+function createBrowserPool(log) {
+  const browserPromises = new Map();
+
+  const getBrowser = async (engine = 'chromium') => {
+    if (browserPromises.has(engine)) {
+      const browser = await browserPromises.get(engine).catch(() => null);
+      if (browser && browser.isConnected()) {
+        return browser;
+      }
+    }
+    const browserPromise = launchEngine(engine);
+    browserPromises.set(engine, browserPromise);
+    const browser = await browserPromise;
+    browser.on('disconnected', () => {
+      log.emit('browser', { browser: engine, connected: false });
+    });
+    return browser;
+  };
+
+  const close = async () => {
+    const browsers = await Promise.all([...browserPromises.values()].map((promise) => promise.catch(() => null)));
+    browserPromises.clear();
+    await Promise.all(browsers.filter(Boolean).map((browser) => browser.close().catch(() => {})));
+  };
+
+  return { getBrowser, close };
+}
+
+function createRunnerService({ concurrency, jobTimeoutMs, runnerLayers = [], redactFields, retention = null, eventSink }) {
+  const pool = createBrowserPool(createEventLog({ sink: eventSink }));
+  const queue = createJobQueue({ concurrency });
+  let completed = 0;
+  let failed = 0;
+
+  const runJob = (url, options) => runCheckJob(null, url, {
+    ...options,
+    browsers: pool,
+    runnerLayers: [...runnerLayers, ...(options.runnerLayers || [])],
+    redactFields,
+    retention,
+    eventSink,
+  }, jobTimeoutMs);
+
+  // The job timeout starts when the job is queued, so PHP's own timeout
+  // covers waiting and running together.
+  const check = (url, options = {}) => {
+    const queuedAt = Date.now();
+    return queue.push(() => runJob(url, { ...options, queuedAt }))
+      .then((output) => {
+        completed += 1;
+        return output;
+      })
+      .catch((error) => {
+        failed += 1;
+        throw error;
+      });
+  };
+
+  const health = () => ({
+    status: 'ok',
+    ...queue.stats(),
+    job_timeout_ms: jobTimeoutMs,
+    completed,
+    failed,
+  });
+
+  return { check, health, close: pool.close, getBrowser: pool.getBrowser };
+}
+
+function createServer(service) {
+  return http.createServer(async (request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+
+    if (request.method === 'GET' && pathname === '/health') {
+      sendJson(response, 200, service.health());
+      return;
+    }
+
+    if (request.method !== 'POST' || pathname !== '/check') {
+      sendJson(response, 404, { error: 'Not found.' });
+      return;
+    }
+
+    let payload;
+    try {
+      payload = await readJsonBody(request);
+    } catch (error) {
+      sendJson(response, 400, buildErrorOutput(null, error.message));
+      return;
+    }
+
+    const url = typeof payload.url === 'string' ? payload.url : '';
+    if (!/^https?:\/\//i.test(url)) {
+      sendJson(response, 400, buildErrorOutput(url || null, 'Missing or invalid url.'));
+      return;
+    }
+
+    let steps = [];
+    let occupancy = null;
+    try {
+      steps = payload.steps ? validateSteps(payload.steps) : [];
+      occupancy = targetOccupancy(payload);
+    } catch (error) {
+      sendJson(response, 400, buildErrorOutput(url, error.message));
+      return;
+    }
+
+    try {
+      const rooms = Array.isArray(payload.rooms) ? payload.rooms : [];
+      const output = await service.check(url, {
+        rooms,
+        steps,
+        vars: { date: payload.date || '' },
+        occupancy,
+        retries: Number(payload.retries) || 0,
+        runnerLayers: payload.runner ? [payload.runner] : [],
+        runId: typeof payload.run_id === 'string' && payload.run_id ? payload.run_id : undefined,
+        session: typeof payload.session === 'string' && payload.session
+          ? { key: payload.session, save: Boolean(payload.save_session) }
+          : null,
+      });
+      sendJson(response, 200, output);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      const statusCode = error && error.name === 'JobTimeoutError' ? 504 : 500;
+      sendJson(response, statusCode, buildErrorOutput(url, message));
+    }
+  });
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      host: { type: 'string', default: '127.0.0.1' },
+      port: { type: 'string', default: '3789' },
+      concurrency: { type: 'string', default: '2' },
+      'job-timeout': { type: 'string', default: '120000' },
+      settings: { type: 'string' },
+      'log-file': { type: 'string' },
+      ...RUNNER_ARG_OPTIONS,
+    },
+  });
+
+  const artifactSettings = loadArtifactSettings(values.settings);
+  const eventSink = openEventSink({ file: values['log-file'] });
+  const service = createRunnerService({
+    concurrency: Number(values.concurrency),
+    jobTimeoutMs: Number(values['job-timeout']),
+    runnerLayers: [loadRunnerSettings(values.settings), runnerOptionsFromArgs(values)],
+    redactFields: artifactSettings.redact_fields,
+    retention: artifactSettings.prune_after_run ? artifactSettings.retention : null,
+    eventSink,
+  });
+  await service.getBrowser();
+
+  const server = createServer(service);
+  server.listen(Number(values.port), values.host, () => {
+    createEventLog({ sink: eventSink }).emit('listen', {
+      host: values.host,
+      port: Number(values.port),
+      concurrency: Number(values.concurrency),
+      job_timeout_ms: Number(values['job-timeout']),
+    });
+  });
+
+  const shutdown = () => {
+    server.close();
+    service.close().finally(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    createEventLog().emit('error', { error: error instanceof Error ? error.message : String(error) });
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  createRunnerService,
+  createServer,
+};
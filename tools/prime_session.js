@@ -0,0 +1,130 @@
+const path = require('path');
+const { parseArgs } = require('util');
+const { createCheckContext } = require('./robinson_playwright');
+const { launchEngine } = require('./lib/browsers');
+const { handleConsentOverlays } = require('./lib/consent');
+const { loadSiteProfile } = require('./lib/profiles');
+const {
+  RUNNER_ARG_OPTIONS,
+  loadRunnerSettings,
+  runnerOptionsFromArgs,
+  resolveRunnerConfig,
+} = require('./lib/config');
+const { runSteps, validateSteps } = require('./lib/steps');
+const { createEventLog } = require('./lib/events');
+const { loadTargets } = require('./lib/targets');
+const {
+  DEFAULT_SESSION_TTL_HOURS,
+  targetSessionKey,
+  saveSession,
+  invalidateSession,
+  listSessions,
+} = require('./lib/session');
+
+const USAGE = 'Usage: node tools/prime_session.js (<url> --session <key> | --target <id>) [--steps <json>] [--var name=value] [--profile <host|file.json>] [--ttl-hours <h>] | --invalidate <key> | --list';
+
+function parseVars(entries = []) {
+  return Object.fromEntries(entries.map((entry) => {
+    const separator = entry.indexOf('=');
+    if (separator < 1) {
+      throw new Error(`Invalid --var (expected name=value): ${entry}`);
+    }
+    return [entry.slice(0, separator), entry.slice(separator + 1)];
+  }));
+}
+
+// Opens the page once, accepts the consent banner, runs the login/consent
+// steps and stores the resulting cookies and localStorage for later checks.
+async function primeSession(url, { key, steps = [], vars = {}, profileRef = null, runnerLayers = [], ttlHours = DEFAULT_SESSION_TTL_HOURS, log = createEventLog() }) {
+  const profile = loadSiteProfile(profileRef || url);
+  const config = resolveRunnerConfig(profile, runnerLayers);
+  const browser = await launchEngine(config.browser);
+  try {
+    const context = await createCheckContext(browser, config);
+    const page = await context.newPage();
+    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: config.navigation_timeout_ms });
+    const consent = await handleConsentOverlays(page, profile.consent);
+    const stepResults = await runSteps(page, steps, {
+      vars,
+      log: (result) => log.emit('interaction', result),
+    });
+    if (stepResults.error) {
+      throw new Error(stepResults.error);
+    }
+    await page.waitForLoadState('networkidle', { timeout: config.network_idle_timeout_ms }).catch(() => {});
+    const session = await saveSession(key, context, { url, ttlHours });
+    await context.close();
+    return { ...session, consent_clicked: consent.clicked, consent_platform: consent.platform, steps: stepResults.results };
+  } finally {
+    await browser.close();
+  }
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      session: { type: 'string' },
+      target: { type: 'string' },
+      targets: { type: 'string', default: path.join(__dirname, '..', 'config', 'targets.json') },
+      steps: { type: 'string' },
+      var: { type: 'string', multiple: true },
+      profile: { type: 'string' },
+      'ttl-hours': { type: 'string' },
+      invalidate: { type: 'string' },
+      list: { type: 'boolean', default: false },
+      settings: { type: 'string' },
+      ...RUNNER_ARG_OPTIONS,
+    },
+  });
+
+  if (values.list) {
+    process.stdout.write(`${JSON.stringify({ sessions: listSessions() })}\n`);
+    return;
+  }
+  if (values.invalidate) {
+    process.stdout.write(`${JSON.stringify(invalidateSession(values.invalidate))}\n`);
+    return;
+  }
+
+  let url = positionals[0];
+  let key = values.session;
+  let steps = values.steps ? JSON.parse(values.steps) : [];
+  let profileRef = values.profile || null;
+  let targetRunner = {};
+  if (values.target) {
+    const target = loadTargets(values.targets).find((entry) => entry.id === values.target);
+    if (!target) {
+      throw new Error(`Unknown target: ${values.target}`);
+    }
+    url = url || target.resolved_url;
+    key = key || targetSessionKey(target) || target.id;
+    steps = values.steps ? steps : target.session_steps || [];
+    profileRef = profileRef || target.profile || null;
+    targetRunner = target.runner || {};
+  }
+  if (!url || !key) {
+    throw new Error(USAGE);
+  }
+
+  const output = await primeSession(url, {
+    key,
+    steps: validateSteps(steps),
+    vars: parseVars(values.var),
+    profileRef,
+    runnerLayers: [loadRunnerSettings(values.settings), targetRunner, runnerOptionsFromArgs(values)],
+    ttlHours: values['ttl-hours'] !== undefined ? Number(values['ttl-hours']) : DEFAULT_SESSION_TTL_HOURS,
+  });
+  process.stdout.write(`${JSON.stringify(output)}\n`);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    process.stdout.write(`${JSON.stringify({ error: error instanceof Error ? error.message : String(error) })}\n`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  primeSession,
+};
@@ -0,0 +1,63 @@
+const path = require('path');
+const { parseArgs } = require('util');
+const { loadArtifactSettings } = require('./lib/config');
+const { pruneArtifacts } = require('./lib/retention');
+const { DEFAULT_ARTIFACTS_DIR, createEventLog } = require('./lib/events');
+
+// The worker's XHR dumps and the run directories of the tools runner.
+const DEFAULT_DIRS = [
+  path.join(__dirname, '..', 'artifacts', 'debug', 'net'),
+  DEFAULT_ARTIFACTS_DIR,
+];
+const RETENTION_FLAGS = {
+  'max-age-days': 'max_age_days',
+  'max-total-mb': 'max_total_mb',
+  'keep-per-host': 'keep_per_host',
+};
+
+function main() {
+  const { values } = parseArgs({
+    options: {
+      dir: { type: 'string', multiple: true, default: DEFAULT_DIRS },
+      settings: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      'no-keep-last-failure': { type: 'boolean', default: false },
+      ...Object.fromEntries(Object.keys(RETENTION_FLAGS).map((flag) => [flag, { type: 'string' }])),
+    },
+  });
+
+  const policy = { ...loadArtifactSettings(values.settings).retention };
+  for (const [flag, key] of Object.entries(RETENTION_FLAGS)) {
+    if (values[flag] !== undefined) {
+      policy[key] = Number(values[flag]);
+      if (!Number.isFinite(policy[key]) || policy[key] < 0) {
+        throw new Error(`Invalid --${flag}: ${values[flag]}`);
+      }
+    }
+  }
+  if (values['no-keep-last-failure']) {
+    policy.keep_last_failure = false;
+  }
+
+  const log = createEventLog();
+  const results = values.dir.map((dir) => {
+    const result = pruneArtifacts(dir, policy, { dryRun: values['dry-run'] });
+    log.emit('prune', { dir: result.dir, kept: result.kept, removed: result.removed.length, freed_bytes: result.freed_bytes, dry_run: result.dry_run });
+    return result;
+  });
+  process.stdout.write(`${JSON.stringify({
+    policy,
+    dry_run: values['dry-run'],
+    kept: results.reduce((total, result) => total + result.kept, 0),
+    removed: results.flatMap((result) => result.removed),
+    freed_bytes: results.reduce((total, result) => total + result.freed_bytes, 0),
+    dirs: results.map((result) => result.dir),
+  })}\n`);
+}
+
+try {
+  main();
+} catch (error) {
+  process.stdout.write(`${JSON.stringify({ error: error instanceof Error ? error.message : String(error) })}\n`);
+  process.exit(1);
+}
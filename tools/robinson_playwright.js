@@ -1,210 +1,355 @@
-const { chromium } = require('playwright');
-
-const PRICE_KEY_REGEX = /(price|amount|total)/i;
-const JSON_KEYWORDS_REGEX = /(price|amount|total|currency)/i;
-const BLOCKED_SIGNALS = [
-  'captcha',
-  'access denied',
-  'enable javascript',
-  'verify you are human',
-  'unusual traffic',
-  'bot detection',
-  'attention required',
-];
-
-function normalizeCurrency(value) {
-  if (!value) {
-    return null;
-  }
-  const currencyMap = {
-    '€': 'EUR',
-    EUR: 'EUR',
-    CHF: 'CHF',
-    '$': 'USD',
-    USD: 'USD',
-    '£': 'GBP',
-    GBP: 'GBP',
-  };
-  const trimmed = value.toString().trim().toUpperCase();
-  return currencyMap[trimmed] || trimmed;
-}
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const {
+  PRICE_KEY_REGEX,
+  normalizeCurrency,
+  parsePriceFromText,
+  parseRegexPrice,
+  extractCandidatesFromJson,
+  extractOffersFromJson,
+  matchOffersToRooms,
+  detectPageAvailability,
+  excludeUnavailableCandidates,
+} = require('./lib/extraction');
+const { isJsonContentType, decodePriceResponses } = require('./lib/responses');
+const { createFieldMatcher, redactBodyText, redactUrl, redactHarFile, requestBodyFor } = require('./lib/redact');
+const { writeRunManifest, pruneArtifacts } = require('./lib/retention');
+const { loadReplaySnapshot } = require('./lib/replay');
+const { handleConsentOverlays } = require('./lib/consent');
+const { DEFAULT_PROFILE, loadSiteProfile, toRegex } = require('./lib/profiles');
+const {
+  DEFAULT_RUNNER_CONFIG,
+  RUNNER_ARG_OPTIONS,
+  loadRunnerSettings,
+  loadArtifactSettings,
+  runnerOptionsFromArgs,
+  resolveRunnerConfig,
+} = require('./lib/config');
+const { runSteps, validateSteps } = require('./lib/steps');
+const { JobTimeoutError, withTimeout } = require('./lib/queue');
+const { harContextOptions, routeFromHar, harPageUrl } = require('./lib/har');
+const { classifyBlock, backoffDelay, sleep, DEFAULT_BACKOFF_MS } = require('./lib/blocking');
+const { rankPriceCandidates, summarizeCandidates } = require('./lib/ranking');
+const {
+  DEFAULT_ARTIFACTS_DIR,
+  createRunId,
+  openEventSink,
+  createEventLog,
+  writeRunArtifacts,
+} = require('./lib/events');
+const { resolveTraceMode, startTrace, stopTrace } = require('./lib/trace');
+const { sessionOptionsFromArgs, loadSession, saveSession } = require('./lib/session');
+const { visualOptionsFromArgs, priceElementHints, runVisualCheck } = require('./lib/visual');
+const { installResourceBlocking, summarizeResourceStats } = require('./lib/resources');
+const { occupancyFromArgs, offerBreakdown, winnerBreakdown } = require('./lib/breakdown');
+const { extractStructuredCandidates, countStructuredCandidates, readPageAppState } = require('./lib/structured');
+const {
+  engineChain,
+  shouldFallback,
+  createBrowserSet,
+  contextUserAgent,
+} = require('./lib/browsers');
 
-function normalizeAmount(amount) {
-  if (!amount) {
-    return null;
-  }
-  let clean = amount.replace(/\u00A0/g, '').replace(/\s+/g, '');
-  if (clean.includes(',') && clean.includes('.')) {
-    clean = clean.replace(/\./g, '').replace(',', '.');
-  } else if (clean.includes(',')) {
-    clean = clean.replace(',', '.');
-  }
-  const value = Number.parseFloat(clean);
-  return Number.isFinite(value) ? value : null;
-}
+// How long a timed-out attempt may spend saving its trace.
+const TRACE_SAVE_GRACE_MS = 5000;
 
-function parsePriceFromText(text) {
-  const pattern = /((€|\$|£|CHF|EUR|USD|GBP)\s*([0-9][0-9.\s\u00A0]*[0-9](?:,[0-9]{2})?))|(([0-9][0-9.\s\u00A0]*[0-9](?:,[0-9]{2})?)\s*(€|EUR|CHF|USD|GBP|\$|£))/i;
-  const match = text.match(pattern);
-  if (!match) {
-    return null;
-  }
-  const currency = match[2] || match[6];
-  const amount = match[3] || match[5];
-  const value = normalizeAmount(amount);
-  if (value === null) {
-    return null;
-  }
-  return {
-    raw: match[0],
-    value,
-    currency: normalizeCurrency(currency),
-  };
-}
+function analyzeSnapshot(snapshot, log) {
+  const profile = snapshot.profile || DEFAULT_PROFILE;
+  const priceKeyRegex = toRegex(profile.json.price_keys, PRICE_KEY_REGEX);
+  const renderedHtml = snapshot.renderedHtml;
+  const bodyText = snapshot.bodyText;
+  const renderedHtmlSize = Buffer.byteLength(renderedHtml, 'utf8');
+  const bodyTextSize = Buffer.byteLength(bodyText, 'utf8');
 
-function extractCandidatesFromJson(value, pathStack = []) {
-  const results = [];
-  if (value === null || value === undefined) {
-    return results;
-  }
-  if (Array.isArray(value)) {
-    value.forEach((item, index) => {
-      results.push(...extractCandidatesFromJson(item, [...pathStack, String(index)]));
+  const offers = snapshot.priceResponses.flatMap((entry) => extractOffersFromJson(entry, [], profile.locale));
+
+  const candidates = [];
+  snapshot.priceResponses.forEach((entry) => {
+    const jsonCandidates = excludeUnavailableCandidates(
+      extractCandidatesFromJson(entry, [], profile.locale),
+      extractOffersFromJson(entry, [], profile.locale),
+    );
+    jsonCandidates.forEach((candidate) => {
+      candidates.push({ ...candidate, source: 'json', value: Number(candidate.value), text: String(candidate.value) });
     });
-    return results;
-  }
-  if (typeof value !== 'object') {
-    return results;
-  }
-  for (const [key, entry] of Object.entries(value)) {
-    const nextPath = [...pathStack, key];
-    if (typeof entry === 'number') {
-      results.push({
-        value: entry,
-        currency: value.currency || value.curr || null,
-        path: nextPath.join('.'),
-        key,
+  });
+
+  // JSON-LD, hydration state, microdata and meta tags of the page itself;
+  // server-rendered pages have their price here before any XHR.
+  const structured = extractStructuredCandidates(renderedHtml, {
+    locale: profile.locale,
+    appState: snapshot.appState,
+    keyRegex: priceKeyRegex,
+  });
+  candidates.push(...structured);
+
+  for (const entry of snapshot.selectorTexts || []) {
+    const parsed = parsePriceFromText(entry.text, profile.locale);
+    if (parsed) {
+      candidates.push({
+        source: 'selector',
+        value: parsed.value,
+        currency: parsed.currency,
+        raw: parsed.raw,
+        text: entry.text,
+        selector: entry.selector,
+        context: parsed.context,
+        visible: entry.visible,
+        font_size: entry.font_size,
       });
-    } else if (typeof entry === 'string' && /\d/.test(entry)) {
-      const parsed = parsePriceFromText(entry);
-      if (parsed) {
-        results.push({
-          value: parsed.value,
-          currency: parsed.currency,
-          path: nextPath.join('.'),
-          key,
-        });
-      }
     }
-    results.push(...extractCandidatesFromJson(entry, nextPath));
   }
-  return results;
-}
 
-function pickPreferredJsonPrice(candidates) {
-  if (candidates.length === 0) {
-    return null;
-  }
-  const totalCandidate = candidates.find((candidate) => /total/i.test(candidate.key || ''));
-  if (totalCandidate) {
-    return totalCandidate;
+  const regexMatch = parseRegexPrice(bodyText);
+  if (regexMatch) {
+    candidates.push({
+      source: 'regex',
+      value: regexMatch.value,
+      currency: regexMatch.currency,
+      raw: regexMatch.raw,
+      text: bodyText.split('\n').find((line) => line.includes(regexMatch.raw)) || regexMatch.raw,
+    });
   }
-  return candidates[0];
-}
 
-function containsPriceKeys(payload) {
-  if (payload === null || payload === undefined) {
-    return false;
+  const ranking = rankPriceCandidates(candidates, {
+    keyRegex: priceKeyRegex,
+    preferKeys: profile.json.prefer_keys,
+    preferPaths: profile.json.prefer_paths,
+  });
+  const winner = ranking.winner;
+  const foundPrice = winner
+    ? {
+      priceText: winner.raw || String(winner.value),
+      priceValue: winner.value,
+      currency: winner.currency,
+    }
+    : null;
+
+  const rooms = matchOffersToRooms(offers, snapshot.rooms || [], bodyText);
+  const availability = detectPageAvailability(offers, bodyText, Boolean(foundPrice));
+
+  const chosenPrice = availability.unavailable ? null : foundPrice;
+  const occupancy = snapshot.occupancy || {};
+  const block = classifyBlock({
+    httpStatus: snapshot.httpStatus,
+    retryAfter: snapshot.retryAfter,
+    urlRequested: snapshot.urlRequested,
+    urlEffective: snapshot.urlEffective,
+    html: renderedHtml,
+    bodyText,
+    signals: profile.block_signals,
+    hasPrice: Boolean(chosenPrice),
+    hasPriceResponses: snapshot.priceResponses.length > 0,
+    unavailable: availability.unavailable,
+  });
+  const blocked = block.blocked;
+
+  log.emit('xhr', { hits: snapshot.xhrHits, price_responses: snapshot.priceResponses.length });
+  log.emit('extract', {
+    price_text: chosenPrice ? chosenPrice.priceText : null,
+    price_value: chosenPrice ? chosenPrice.priceValue : null,
+    currency: chosenPrice ? chosenPrice.currency : null,
+    source: chosenPrice ? winner.source : null,
+    confidence: chosenPrice ? ranking.confidence : null,
+    candidates: ranking.ranked.length,
+    structured: countStructuredCandidates(structured),
+  });
+  if (blocked) {
+    log.emit('blocked', { reason: block.reason, signal: block.signal });
   }
-  if (Array.isArray(payload)) {
-    return payload.some(containsPriceKeys);
+  if (availability.unavailable) {
+    log.emit('unavailable', { reason: availability.reason });
   }
-  if (typeof payload !== 'object') {
-    return false;
+
+  let error = snapshot.navigationError;
+  if (!error && !chosenPrice && snapshot.stepError) {
+    error = snapshot.stepError;
   }
-  for (const [key, value] of Object.entries(payload)) {
-    if (PRICE_KEY_REGEX.test(key)) {
-      return true;
-    }
-    if (containsPriceKeys(value)) {
-      return true;
-    }
+  if (!chosenPrice && !blocked && !availability.unavailable && !error) {
+    error = 'did_not_render';
   }
-  return false;
-}
 
-function findBlockedSignal(content) {
-  const lower = content.toLowerCase();
-  return BLOCKED_SIGNALS.find((signal) => lower.includes(signal));
+  const bodyTextPreview = !chosenPrice ? bodyText.slice(0, 1500) : null;
+  return {
+    needsDump: (!chosenPrice && !availability.unavailable) || blocked,
+    output: {
+      runner: 'playwright',
+      browser: snapshot.browser || null,
+      run_id: log.runId,
+      profile: profile.name,
+      runner_config: snapshot.runnerConfig || null,
+      url_requested: snapshot.urlRequested,
+      url_effective: snapshot.urlEffective,
+      http_status: snapshot.httpStatus,
+      blocked,
+      blocked_reason: block.reason,
+      blocked_signal: block.signal,
+      retry_after_ms: block.retryAfterMs,
+      unavailable: availability.unavailable,
+      unavailable_reason: availability.reason,
+      consent_clicked: snapshot.consentClicked,
+      consent_platform: snapshot.consentPlatform || null,
+      consent_verified: Boolean(snapshot.consentVerified),
+      rendered_html_size: renderedHtmlSize,
+      body_text_size: bodyTextSize,
+      body_text_preview: bodyTextPreview,
+      xhr_hits: snapshot.xhrHits,
+      price_responses: snapshot.priceResponseMeta || [],
+      price_text: chosenPrice ? chosenPrice.priceText : null,
+      price_value: chosenPrice ? chosenPrice.priceValue : null,
+      currency: chosenPrice ? chosenPrice.currency : null,
+      price_source: chosenPrice ? winner.source : null,
+      price_confidence: chosenPrice ? ranking.confidence : null,
+      price_reasons: chosenPrice ? ranking.reasons : [],
+      price_candidates: summarizeCandidates(ranking.ranked),
+      price_context: chosenPrice ? winner.context || null : null,
+      price_breakdown: chosenPrice ? winnerBreakdown(winner, offers, occupancy) : null,
+      offers: offers.map((offer) => ({ ...offer, breakdown: offerBreakdown(offer, occupancy) })),
+      rooms,
+      steps: snapshot.steps || [],
+      timings: snapshot.timings || null,
+      resources: null,
+      artifacts: null,
+      trace: null,
+      session: null,
+      visual: null,
+      error,
+    },
+  };
 }
 
-function mapBlockedReason(signal) {
-  if (!signal) {
+// Writes the page diagnostics (screenshot, HTML, body text, price XHRs) to
+// artifact files and logs their paths; replays only log, their sources are
+// already on disk.
+function dumpDiagnostics(snapshot, screenshotBuffer, log, artifactsDir, isSecret = createFieldMatcher()) {
+  const xhr = snapshot.xhrDumps.map((dump, index) => ({
+    url: dump.url,
+    status: dump.status,
+    content_type: dump.contentType,
+    price_candidates: extractCandidatesFromJson(dump.decoded).slice(0, 5).map((candidate) => ({
+      path: candidate.path,
+      value: candidate.value,
+      currency: normalizeCurrency(candidate.currency),
+    })),
+    file: `xhr-${index + 1}.json`,
+  }));
+  if (artifactsDir === null) {
+    log.emit('dump', { title: snapshot.title, xhr: xhr.map(({ file, ...entry }) => entry) });
     return null;
   }
-  if (signal.includes('captcha') || signal.includes('verify you are human')) {
-    return 'captcha';
-  }
-  if (signal.includes('access denied') || signal.includes('attention required') || signal.includes('unusual traffic')) {
-    return 'access_denied';
-  }
-  if (signal.includes('enable javascript')) {
-    return 'js_required';
-  }
-  if (signal.includes('bot detection')) {
-    return 'access_denied';
-  }
-  return 'access_denied';
+  const files = {
+    screenshot: { file: 'screenshot.png', content: screenshotBuffer },
+    html: { file: 'page.html', content: snapshot.renderedHtml },
+    body_text: { file: 'body.txt', content: snapshot.bodyText },
+  };
+  snapshot.xhrDumps.forEach((dump, index) => {
+    files[`xhr_${index + 1}`] = { file: xhr[index].file, content: redactBodyText(dump.bodyText, isSecret) };
+  });
+  const written = writeRunArtifacts(artifactsDir, log.runId, files);
+  const artifacts = {
+    dir: written.dir,
+    screenshot: written.screenshot || null,
+    html: written.html,
+    body_text: written.body_text,
+    xhr: xhr.map((entry, index) => ({ ...entry, file: written[`xhr_${index + 1}`] })),
+  };
+  log.emit('dump', { title: snapshot.title, ...artifacts });
+  return artifacts;
 }
 
-async function handleConsentOverlays(page) {
-  const consentTexts = ['Alle akzeptieren', 'Akzeptieren', 'Zustimmen'];
-  const candidates = page.locator('button, [role="button"], input[type="button"], input[type="submit"]');
-  const count = await candidates.count();
-  for (let i = 0; i < count; i += 1) {
-    const candidate = candidates.nth(i);
-    const text = (await candidate.innerText().catch(() => '')) || '';
-    if (consentTexts.some((phrase) => text.toLowerCase().includes(phrase.toLowerCase()))) {
-      await candidate.click({ timeout: 2000 }).catch(() => {});
-      return {
-        clicked: true,
-        selector: 'button,[role="button"],input[type="button"],input[type="submit"]',
-        text,
-      };
-    }
-  }
+function buildErrorOutput(url, message, runId = null) {
   return {
-    clicked: false,
-    selector: null,
-    text: null,
+    runner: 'playwright',
+    browser: null,
+    run_id: runId,
+    profile: null,
+    runner_config: null,
+    url_requested: url,
+    url_effective: null,
+    http_status: null,
+    blocked: false,
+    blocked_reason: null,
+    blocked_signal: null,
+    retry_after_ms: null,
+    unavailable: false,
+    unavailable_reason: null,
+    consent_clicked: false,
+    consent_platform: null,
+    consent_verified: false,
+    rendered_html_size: 0,
+    body_text_size: 0,
+    body_text_preview: null,
+    xhr_hits: 0,
+    price_responses: [],
+    price_text: null,
+    price_value: null,
+    currency: null,
+    price_source: null,
+    price_confidence: null,
+    price_reasons: [],
+    price_candidates: [],
+    price_context: null,
+    price_breakdown: null,
+    offers: [],
+    rooms: [],
+    steps: [],
+    timings: null,
+    resources: null,
+    artifacts: null,
+    trace: null,
+    session: null,
+    visual: null,
+    error: message,
   };
 }
 
-async function main() {
-  const [url] = process.argv.slice(2);
-  if (!url) {
-    throw new Error('Usage: node tools/robinson_playwright.js <url>');
+function createCheckContext(browser, config = DEFAULT_RUNNER_CONFIG, options = {}) {
+  return browser.newContext({
+    ...harContextOptions(options),
+    ...(options.storageState ? { storageState: options.storageState } : {}),
+    locale: config.locale,
+    timezoneId: config.timezone,
+    viewport: config.viewport,
+    userAgent: contextUserAgent(browser, config),
+    extraHTTPHeaders: {
+      'Accept-Language': config.accept_language,
+    },
+  });
+}
+
+async function readSelectorTexts(page, selectors) {
+  const results = [];
+  for (const selector of selectors) {
+    const locator = page.locator(selector).first();
+    const text = await locator.innerText({ timeout: 1000 }).catch(() => '');
+    if (!text) {
+      continue;
+    }
+    const layout = await locator.evaluate((element) => {
+      const style = window.getComputedStyle(element);
+      return {
+        visible: style.visibility !== 'hidden' && style.display !== 'none' && element.getClientRects().length > 0,
+        font_size: Number.parseFloat(style.fontSize) || null,
+      };
+    }).catch(() => ({ visible: null, font_size: null }));
+    results.push({ selector, text: text.trim(), ...layout });
   }
+  return results;
+}
 
-  console.error('[DEBUG] runner=playwright');
+async function checkUrl(context, url, options = {}) {
+  const profile = options.profile || loadSiteProfile(url);
+  const config = options.config || resolveRunnerConfig(profile);
+  const priceKeyRegex = toRegex(profile.json.price_keys, PRICE_KEY_REGEX);
+  const log = options.log || createEventLog();
 
   const xhrHits = [];
   const priceResponses = [];
+  const priceResponseMeta = [];
   const xhrDumps = [];
+  const isSecret = createFieldMatcher(options.redactFields);
 
-  const browser = await chromium.launch({
-    headless: true,
-    args: ['--no-sandbox', '--disable-setuid-sandbox'],
-  });
-  const context = await browser.newContext({
-    locale: 'de-DE',
-    timezoneId: 'Europe/Berlin',
-    viewport: { width: 1280, height: 720 },
-    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36',
-    extraHTTPHeaders: {
-      'Accept-Language': 'de-DE,de;q=0.9,en;q=0.8',
-    },
-  });
   const page = await context.newPage();
 
   page.on('response', async (response) => {
@@ -215,7 +360,7 @@ async function main() {
     }
     xhrHits.push(response);
     const contentType = response.headers()['content-type'] || '';
-    if (!contentType.includes('application/json')) {
+    if (!isJsonContentType(contentType)) {
       return;
     }
     let bodyText;
@@ -224,16 +369,9 @@ async function main() {
     } catch (error) {
       return;
     }
-    if (!bodyText || !JSON_KEYWORDS_REGEX.test(bodyText)) {
-      return;
-    }
-    let decoded;
-    try {
-      decoded = JSON.parse(bodyText);
-    } catch (error) {
-      return;
-    }
-    if (!containsPriceKeys(decoded)) {
+    const postData = request.postData();
+    const decoded = decodePriceResponses(bodyText, { keyRegex: priceKeyRegex, postData, url: response.url() });
+    if (decoded.length === 0) {
       return;
     }
     if (xhrDumps.length < 3) {
@@ -242,164 +380,498 @@ async function main() {
         status: response.status(),
         contentType,
         bodyText,
-        decoded,
+        decoded: decoded[0].body,
+      });
+    }
+    for (const entry of decoded) {
+      priceResponses.push(entry.body);
+      priceResponseMeta.push({
+        url: response.url(),
+        status: response.status(),
+        content_type: contentType,
+        format: entry.format,
+        operation: entry.operation,
+        request_body: requestBodyFor(postData, isSecret),
       });
     }
-    priceResponses.push(decoded);
   });
 
   let navigationError = null;
   let navigationResponse = null;
-  let consentClicked = false;
-  let consentMeta = { clicked: false, selector: null, text: null };
-  let networkIdleMs = null;
+  let consentMeta = { clicked: false, platform: null, verified: false };
+  const checkStart = Date.now();
+  const timings = { goto_ms: null, networkidle_ms: null, price_wait_ms: null, total_ms: null };
+  let waitStart = checkStart;
   try {
-    console.error(`[DEBUG] step=goto url=${url}`);
-    navigationResponse = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
-    consentMeta = await handleConsentOverlays(page);
-    consentClicked = consentMeta.clicked;
-    const waitStart = Date.now();
-    await page.waitForLoadState('networkidle', { timeout: 60000 });
-    networkIdleMs = Date.now() - waitStart;
-    console.error(
-      `[DEBUG] step=consent clicked=${consentClicked} selector=${JSON.stringify(consentMeta.selector)} text=${JSON.stringify(consentMeta.text)}`
-    );
-    console.error(`[DEBUG] step=wait networkidle ok=true ms=${networkIdleMs}`);
+    navigationResponse = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: config.navigation_timeout_ms });
+    timings.goto_ms = Date.now() - waitStart;
+    log.emit('goto', { url, ok: true, ms: timings.goto_ms, http_status: navigationResponse ? navigationResponse.status() : null });
+    consentMeta = await handleConsentOverlays(page, profile.consent);
+    log.emit('consent', consentMeta);
+    waitStart = Date.now();
+    await page.waitForLoadState('networkidle', { timeout: config.network_idle_timeout_ms });
+    timings.networkidle_ms = Date.now() - waitStart;
+    log.emit('networkidle', { ok: true, ms: timings.networkidle_ms });
   } catch (error) {
     navigationError = error instanceof Error ? error.message : String(error);
-    console.error(`[DEBUG] step=wait networkidle ok=false ms=${networkIdleMs ?? 0}`);
+    log.emit(navigationResponse ? 'networkidle' : 'goto', { url, ok: false, ms: Date.now() - waitStart, error: navigationError });
   }
 
+  const steps = await runSteps(page, options.steps || [], {
+    vars: options.vars,
+    log: (result) => log.emit('interaction', result),
+  });
+
   const renderedHtml = await page.content();
-  const renderedHtmlSize = Buffer.byteLength(renderedHtml, 'utf8');
-  console.error(`[DEBUG] step=dom rendered_html_size=${renderedHtmlSize}`);
 
-  try {
-    await page.waitForFunction(() => /€/.test(document.body ? document.body.innerText : ''), { timeout: 30000 });
-  } catch (error) {
-    // Best effort; continue even if timeout.
-  }
+  waitStart = Date.now();
+  const priceWaitOk = await page.waitForFunction(
+    (pattern) => new RegExp(pattern).test(document.body ? document.body.innerText : ''),
+    profile.wait.text_pattern,
+    { timeout: config.price_wait_timeout_ms },
+  ).then(() => true, () => false);
+  timings.price_wait_ms = Date.now() - waitStart;
+  log.emit('price_wait', { ok: priceWaitOk, ms: timings.price_wait_ms });
 
   const bodyText = await page.innerText('body');
-  const bodyTextSize = Buffer.byteLength(bodyText, 'utf8');
-  console.error(`[DEBUG] step=dom body_text_size=${bodyTextSize}`);
-
-  let jsonPrice = null;
-  if (priceResponses.length > 0) {
-    const candidates = priceResponses.flatMap((entry) => extractCandidatesFromJson(entry));
-    const preferred = pickPreferredJsonPrice(candidates);
-    if (preferred) {
-      jsonPrice = {
-        priceText: String(preferred.value),
-        priceValue: Number(preferred.value),
-        currency: normalizeCurrency(preferred.currency),
-      };
-    }
+  log.emit('dom', {
+    rendered_html_size: Buffer.byteLength(renderedHtml, 'utf8'),
+    body_text_size: Buffer.byteLength(bodyText, 'utf8'),
+  });
+
+  const snapshot = {
+    urlRequested: url,
+    urlEffective: page.url(),
+    httpStatus: navigationResponse ? navigationResponse.status() : null,
+    retryAfter: navigationResponse ? navigationResponse.headers()['retry-after'] || null : null,
+    navigationError,
+    consentClicked: consentMeta.clicked,
+    consentPlatform: consentMeta.platform,
+    consentVerified: consentMeta.verified,
+    browser: context.browser() ? context.browser().browserType().name() : null,
+    renderedHtml,
+    bodyText,
+    title: await page.title(),
+    profile,
+    runnerConfig: config,
+    steps: steps.results,
+    stepError: steps.error,
+    selectorTexts: await readSelectorTexts(page, profile.price_selectors),
+    appState: await readPageAppState(page),
+    rooms: options.rooms || [],
+    occupancy: options.occupancy || null,
+    xhrHits: xhrHits.length,
+    priceResponses,
+    priceResponseMeta,
+    xhrDumps,
+    timings: { ...timings, total_ms: Date.now() - checkStart },
+  };
+
+  const result = analyzeSnapshot(snapshot, log);
+  if (options.visual) {
+    result.output.visual = await runVisualCheck(page, options.visual, priceElementHints(result.output.price_text, result.output.price_candidates), {
+      hasPrice: result.output.price_value !== null && !result.output.blocked,
+    });
+    log.emit('visual', {
+      key: result.output.visual.key,
+      selector: result.output.visual.selector,
+      price_score: result.output.visual.price ? result.output.visual.price.score : null,
+      page_score: result.output.visual.page ? result.output.visual.page.score : null,
+      changed: result.output.visual.changed,
+    });
+  }
+  if (result.needsDump) {
+    const screenshotBuffer = await page.screenshot({ type: 'png', fullPage: false }).catch(() => null);
+    result.output.artifacts = dumpDiagnostics(snapshot, screenshotBuffer, log, options.artifactsDir, isSecret);
   }
 
-  let regexPrice = null;
-  const regexMatch = bodyText.match(/(\d{1,3}(?:\.\d{3})*,\d{2})\s?€/);
-  if (regexMatch) {
-    regexPrice = {
-      priceText: regexMatch[0],
-      priceValue: normalizeAmount(regexMatch[1]),
-      currency: 'EUR',
-    };
+  await page.close();
+
+  return result.output;
+}
+
+// The job timeout covers the whole attempt: context creation, tracing, HAR
+// routing, the check itself and saving the session. When it fires, the trace
+// is saved before the context goes away; a context that only comes up after
+// the timeout is closed right away.
+async function runCheckAttempt(browser, url, options, timeoutMs) {
+  const { log } = options;
+  const profile = options.profile || loadSiteProfile(options.profileRef || url);
+  const config = resolveRunnerConfig(profile, options.runnerLayers);
+  log.emit('config', { profile: profile.name, config });
+  const tracePath = path.join(options.artifactsDir || DEFAULT_ARTIFACTS_DIR, log.runId, `trace-${options.attempt || 1}.zip`);
+  const session = options.session ? loadSession(options.session.key) : null;
+  if (session) {
+    log.emit('session', { key: session.key, status: session.status, expires_at: session.expires_at });
   }
+  let context = null;
+  let timedOut = false;
+  let timeoutCleanup = null;
+
+  const attempt = async () => {
+    const created = await createCheckContext(browser, config, { ...options, storageState: session && session.storageState });
+    if (timedOut) {
+      await created.close().catch(() => {});
+      throw new JobTimeoutError(timeoutMs);
+    }
+    context = created;
+    await startTrace(context, options.trace);
+    if (options.fromHar) {
+      log.emit('har', { mode: 'replay', path: options.fromHar });
+      await routeFromHar(context, options.fromHar);
+    }
+    const resources = await installResourceBlocking(context, profile.resources, config.block_resources);
+    const output = await checkUrl(context, url, { ...options, profile, config });
+    output.resources = summarizeResourceStats(resources);
+    log.emit('resources', output.resources);
+    output.trace = await stopTrace(context, options.trace, output.blocked || Boolean(output.error), tracePath);
+    if (output.trace) {
+      log.emit('trace', { path: output.trace });
+    }
+    if (session) {
+      output.session = { key: session.key, status: session.status, expires_at: session.expires_at };
+      // Only a clean result is worth keeping: a blocked page may have set
+      // challenge cookies that would poison the next run.
+      if (options.session.save && !output.blocked && !output.error) {
+        output.session = await saveSession(session.key, context, { url, ttlHours: options.session.ttlHours });
+        log.emit('session', output.session);
+      }
+    }
+    if (options.recordHar || options.fromHar) {
+      output.har = options.fromHar
+        ? { mode: 'replay', path: options.fromHar }
+        : { mode: 'record', path: options.recordHar };
+    }
+    return output;
+  };
+
+  const onTimeout = () => {
+    timedOut = true;
+    if (context) {
+      // A wedged browser must not hold the job past its timeout.
+      timeoutCleanup = Promise.race([
+        stopTrace(context, options.trace, true, tracePath)
+          .then((trace) => log.emit('trace', { path: trace, reason: 'timeout' }), () => {}),
+        sleep(TRACE_SAVE_GRACE_MS),
+      ]);
+    }
+  };
 
-  const chosenPrice = jsonPrice || regexPrice;
-  const blockedSignal = findBlockedSignal(renderedHtml || bodyText || '');
-  let blockedReason = mapBlockedReason(blockedSignal);
-  let blocked = Boolean(blockedSignal);
-  if (!blocked && renderedHtmlSize <= 50000) {
-    blocked = true;
-    blockedReason = 'empty';
+  try {
+    return await withTimeout(attempt(), timeoutMs, onTimeout);
+  } finally {
+    if (timeoutCleanup) {
+      await timeoutCleanup;
+    }
+    if (context) {
+      await context.close().catch(() => {});
+      // The HAR is only written when the context closes.
+      if (options.recordHar) {
+        redactHarFile(options.recordHar, createFieldMatcher(options.redactFields));
+      }
+    }
   }
+}
 
-  console.error(`[DEBUG] step=xhr hits=${xhrHits.length} price_candidates=${priceResponses.length}`);
-  if (chosenPrice) {
-    console.error(
-      `[DEBUG] step=extract price_text=${JSON.stringify(chosenPrice.priceText)} price_value=${chosenPrice.priceValue} currency=${JSON.stringify(chosenPrice.currency)}`
-    );
+// Runs one check in a fresh context on a shared browser; the context is
+// closed afterwards or as soon as the job timeout fires. Blocked results are
+// retried in a new context after an exponential backoff (or Retry-After).
+// If the last try is still blocked or did not render, the next installed
+// engine of the fallback chain gets the same number of tries.
+// The job timeout covers the whole job, counted from options.queuedAt when
+// the job had to wait: retries and fallbacks only run while time is left,
+// and one that runs out of time keeps the result we already have.
+async function runCheckJob(browser, url, options = {}, jobTimeoutMs = 0) {
+  const log = options.log || createEventLog({ runId: options.runId, sink: options.eventSink });
+  const retries = Math.max(0, Number(options.retries) || 0);
+  const profile = options.profile || loadSiteProfile(options.profileRef || url);
+  const engines = engineChain(resolveRunnerConfig(profile, options.runnerLayers));
+  const browsers = options.browsers || createBrowserSet(browser);
+  const attempts = [];
+  const jobStarted = Date.now();
+  const deadline = jobTimeoutMs > 0 ? (options.queuedAt || jobStarted) + jobTimeoutMs : null;
+  const timeLeft = () => (deadline === null ? Infinity : deadline - Date.now());
+  let output = null;
+  let outOfTime = false;
+  if (timeLeft() <= 0) {
+    throw new JobTimeoutError(jobTimeoutMs);
   }
-  if (blocked) {
-    console.error(`[DEBUG] step=blocked reason="${blockedReason || 'unknown'}"`);
+  log.emit('start', { runner: 'playwright', mode: 'live', url, browser: engines[0] });
+  try {
+    for (const engine of engines) {
+      let engineBrowser;
+      if (output) {
+        if (timeLeft() <= 0) {
+          log.emit('fallback', { browser: engine, ok: false, error: 'job_timeout' });
+          break;
+        }
+        log.emit('fallback', { browser: engine, reason: output.blocked_reason || output.error });
+        // A fallback engine that cannot start must not hide the result we have.
+        engineBrowser = await browsers.getBrowser(engine).catch((error) => {
+          log.emit('fallback', { browser: engine, ok: false, error: error.message });
+          return null;
+        });
+        if (!engineBrowser) {
+          break;
+        }
+      } else {
+        engineBrowser = await browsers.getBrowser(engine);
+      }
+      for (let retry = 0; retry <= retries; retry += 1) {
+        const attempt = attempts.length + 1;
+        const started = Date.now();
+        let attemptOutput;
+        try {
+          attemptOutput = await runCheckAttempt(
+            engineBrowser,
+            url,
+            { ...options, profile, attempt, log: log.child({ attempt, browser: engine }) },
+            deadline === null ? 0 : timeLeft(),
+          );
+        } catch (error) {
+          if (!(error instanceof JobTimeoutError)) {
+            throw error;
+          }
+          if (!output) {
+            throw new JobTimeoutError(jobTimeoutMs);
+          }
+          attempts.push({ attempt, browser: engine, error: 'job_timeout', ms: Date.now() - started, wait_ms: 0 });
+          outOfTime = true;
+          break;
+        }
+        output = attemptOutput;
+        const entry = {
+          attempt,
+          browser: engine,
+          blocked: output.blocked,
+          blocked_reason: output.blocked_reason,
+          http_status: output.http_status,
+          error: output.error,
+          ms: Date.now() - started,
+          wait_ms: 0,
+        };
+        attempts.push(entry);
+        if (!output.blocked || retry === retries) {
+          break;
+        }
+        const waitMs = backoffDelay(retry + 1, options.backoffMs ?? DEFAULT_BACKOFF_MS, output.retry_after_ms);
+        if (waitMs >= timeLeft()) {
+          log.emit('retry', { attempt, reason: output.blocked_reason, skipped: 'job_timeout' });
+          outOfTime = true;
+          break;
+        }
+        entry.wait_ms = waitMs;
+        log.emit('retry', { attempt, reason: output.blocked_reason, wait_ms: entry.wait_ms });
+        await sleep(entry.wait_ms);
+      }
+      if (outOfTime || !shouldFallback(output)) {
+        break;
+      }
+    }
+  } finally {
+    if (!options.browsers) {
+      await browsers.close();
+    }
   }
+  logDone(log, output, Date.now() - jobStarted);
+  finishRunArtifacts(url, output, options, log);
+  return { ...output, attempts };
+}
 
-  const urlEffective = page.url();
-  const httpStatus = navigationResponse ? navigationResponse.status() : null;
-  let error = navigationError;
-
-  if (!chosenPrice || blocked) {
-    const bodyPreview = bodyText.slice(0, 1500);
-    const htmlPreview = renderedHtml.slice(0, 1500);
-    const title = await page.title();
-    console.error(`[DUMP] title=${JSON.stringify(title)}`);
-    console.error(`[DUMP] bodyTextPreview=${JSON.stringify(bodyPreview)}`);
-    console.error(`[DUMP] htmlPreview=${JSON.stringify(htmlPreview)}`);
-    const screenshotBuffer = await page.screenshot({ type: 'png', fullPage: false });
-    console.error(`[DUMP] screenshot_png_base64=${screenshotBuffer.toString('base64')}`);
-    xhrDumps.forEach((dump) => {
-      const preview = dump.bodyText.slice(0, 1000);
-      const candidates = extractCandidatesFromJson(dump.decoded).slice(0, 5);
-      const candidateSummary = candidates.map((candidate) => ({
-        path: candidate.path,
-        value: candidate.value,
-        currency: normalizeCurrency(candidate.currency),
-      }));
-      console.error(
-        `[DUMP] xhr url=${dump.url} status=${dump.status} ct=${JSON.stringify(dump.contentType)} body_preview=${JSON.stringify(preview)} price_candidates=${JSON.stringify(candidateSummary)}`
-      );
-    });
+// Run directories get a manifest (host and result state) so the retention
+// rules treat them like the worker's dumps; pruning runs when options.retention
+// is set.
+function finishRunArtifacts(url, output, options, log) {
+  if (options.artifactsDir === null) {
+    return;
+  }
+  const artifactsDir = options.artifactsDir || DEFAULT_ARTIFACTS_DIR;
+  const runDir = path.join(artifactsDir, log.runId);
+  if (fs.existsSync(runDir)) {
+    writeRunManifest(runDir, { runId: log.runId, url: redactUrl(url, createFieldMatcher(options.redactFields)), output });
   }
+  if (options.retention) {
+    const pruned = pruneArtifacts(path.resolve(artifactsDir), options.retention);
+    log.emit('prune', { dir: pruned.dir, removed: pruned.removed.length, freed_bytes: pruned.freed_bytes });
+  }
+}
 
-  if (!chosenPrice && !blocked) {
-    error = 'did_not_render';
+function logDone(log, output, ms) {
+  log.emit('done', {
+    ms,
+    price_value: output.price_value,
+    blocked: output.blocked,
+    blocked_reason: output.blocked_reason,
+    unavailable: output.unavailable,
+    error: output.error,
+  });
+}
+
+// Browsers are launched on demand, so a firefox-only target never starts
+// Chromium.
+function runLive(url, options) {
+  return runCheckJob(null, url, options);
+}
+
+function runReplay(source, jsonSources, options = {}) {
+  const log = options.log || createEventLog({ runId: options.runId, sink: options.eventSink });
+  const started = Date.now();
+  log.emit('start', { runner: 'playwright', mode: 'replay', source });
+
+  const replay = loadReplaySnapshot(source, jsonSources);
+  const profile = loadSiteProfile(options.profileRef || replay.urlEffective);
+  const priceKeyRegex = toRegex(profile.json.price_keys, PRICE_KEY_REGEX);
+  const priceResponses = [];
+  const priceResponseMeta = [];
+  const xhrDumps = [];
+  replay.jsonResponses.forEach((entry) => {
+    const decoded = decodePriceResponses(entry.bodyText, { keyRegex: priceKeyRegex });
+    if (decoded.length === 0) {
+      return;
+    }
+    if (xhrDumps.length < 3) {
+      xhrDumps.push({ ...entry, url: entry.path, decoded: decoded[0].body });
+    }
+    for (const response of decoded) {
+      priceResponses.push(response.body);
+      priceResponseMeta.push({
+        url: entry.path,
+        status: entry.status,
+        content_type: entry.contentType,
+        format: response.format,
+        operation: response.operation,
+        request_body: null,
+      });
+    }
+  });
+
+  log.emit('dom', {
+    rendered_html_size: Buffer.byteLength(replay.html, 'utf8'),
+    body_text_size: Buffer.byteLength(replay.bodyText, 'utf8'),
+  });
+
+  const snapshot = {
+    urlRequested: replay.urlEffective,
+    urlEffective: replay.urlEffective,
+    httpStatus: replay.httpStatus,
+    navigationError: null,
+    consentClicked: false,
+    renderedHtml: replay.html,
+    bodyText: replay.bodyText,
+    title: replay.title,
+    profile,
+    selectorTexts: [],
+    rooms: options.rooms || [],
+    occupancy: options.occupancy || null,
+    xhrHits: replay.networkLog.filter((entry) => ['xhr', 'fetch'].includes(entry.resourceType)).length
+      || replay.jsonResponses.length,
+    priceResponses,
+    priceResponseMeta,
+    xhrDumps,
+  };
+
+  const result = analyzeSnapshot(snapshot, log);
+  if (result.needsDump) {
+    dumpDiagnostics(snapshot, null, log, null);
   }
+  logDone(log, result.output, Date.now() - started);
 
-  const bodyTextPreview = !chosenPrice ? bodyText.slice(0, 1500) : null;
-  const output = {
-    runner: 'playwright',
-    url_requested: url,
-    url_effective: urlEffective,
-    http_status: httpStatus,
-    blocked,
-    consent_clicked: consentClicked,
-    rendered_html_size: renderedHtmlSize,
-    body_text_size: bodyTextSize,
-    body_text_preview: bodyTextPreview,
-    xhr_hits: xhrHits.length,
-    price_text: chosenPrice ? chosenPrice.priceText : null,
-    price_value: chosenPrice ? chosenPrice.priceValue : null,
-    currency: chosenPrice ? chosenPrice.currency : null,
-    error,
+  return { ...result.output, replay: source };
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      replay: { type: 'string' },
+      json: { type: 'string', multiple: true },
+      rooms: { type: 'string' },
+      profile: { type: 'string' },
+      steps: { type: 'string' },
+      date: { type: 'string' },
+      nights: { type: 'string' },
+      guests: { type: 'string' },
+      'record-har': { type: 'string' },
+      'from-har': { type: 'string' },
+      retries: { type: 'string', default: '0' },
+      'backoff-ms': { type: 'string' },
+      settings: { type: 'string' },
+      'run-id': { type: 'string' },
+      'log-file': { type: 'string' },
+      'log-fd': { type: 'string' },
+      'artifacts-dir': { type: 'string' },
+      trace: { type: 'string' },
+      session: { type: 'string' },
+      'save-session': { type: 'boolean', default: false },
+      'session-ttl-hours': { type: 'string' },
+      visual: { type: 'string' },
+      'visual-full-page': { type: 'boolean', default: false },
+      'visual-threshold': { type: 'string' },
+      ...RUNNER_ARG_OPTIONS,
+    },
+  });
+  const sink = openEventSink({ file: values['log-file'], fd: values['log-fd'] ? Number(values['log-fd']) : null });
+  const log = createEventLog({ runId: values['run-id'] || createRunId(), sink });
+  try {
+    await runCommand(values, positionals, log);
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    log.emit('error', { message });
+    process.stdout.write(`${JSON.stringify(buildErrorOutput(null, message, log.runId))}\n`);
+    process.exitCode = 1;
+  } finally {
+    sink.close();
+  }
+}
+
+async function runCommand(values, positionals, log) {
+  const artifactSettings = loadArtifactSettings(values.settings);
+  const options = {
+    rooms: values.rooms ? JSON.parse(values.rooms) : [],
+    profileRef: values.profile || null,
+    steps: values.steps ? validateSteps(JSON.parse(values.steps)) : [],
+    vars: { date: values.date || '' },
+    occupancy: occupancyFromArgs(values),
+    recordHar: values['record-har'] || null,
+    fromHar: values['from-har'] || null,
+    retries: Number(values.retries),
+    backoffMs: values['backoff-ms'] ? Number(values['backoff-ms']) : undefined,
+    runnerLayers: [loadRunnerSettings(values.settings), runnerOptionsFromArgs(values)],
+    artifactsDir: values['artifacts-dir'],
+    trace: resolveTraceMode(values.trace),
+    session: sessionOptionsFromArgs(values),
+    visual: visualOptionsFromArgs(values, artifactSettings.visual),
+    redactFields: artifactSettings.redact_fields,
+    retention: artifactSettings.prune_after_run ? artifactSettings.retention : null,
+    log,
   };
 
-  await browser.close();
+  if (values.replay) {
+    const output = runReplay(values.replay, values.json || [], options);
+    process.stdout.write(`${JSON.stringify(output)}\n`);
+    return;
+  }
 
+  const url = positionals[0] || (options.fromHar ? harPageUrl(options.fromHar) : null);
+  if (!url) {
+    throw new Error('Usage: node tools/robinson_playwright.js <url> [--rooms <json>] [--profile <host|file.json>] [--steps <json>] [--date <YYYY-MM-DD>] [--nights <n>] [--guests <n>] [--record-har <file.har> | --from-har <file.har>] [--retries <n>] [--backoff-ms <ms>] [--settings <settings.json>] [--navigation-timeout <ms>] [--network-idle-timeout <ms>] [--price-wait-timeout <ms>] [--viewport <WxH>] [--locale <tag>] [--timezone <tz>] [--user-agent <ua>] [--accept-language <value>] [--block-resources on|off] [--browser chromium|firefox|webkit] [--browser-fallback <list>|none] [--run-id <id>] [--log-file <file> | --log-fd <n>] [--artifacts-dir <dir>] [--trace on-failure|always|off] [--session <key> [--save-session] [--session-ttl-hours <h>]] [--visual <key> [--visual-full-page] [--visual-threshold <0..1>]] | --replay <dir|page.html> [--json <file|dir>]');
+  }
+
+  const output = await runLive(url, options);
   process.stdout.write(`${JSON.stringify(output)}\n`);
 }
 
-main().catch((error) => {
-  const payload = {
-    runner: 'playwright',
-    url_requested: null,
-    url_effective: null,
-    http_status: null,
-    blocked: false,
-    consent_clicked: false,
-    rendered_html_size: 0,
-    body_text_size: 0,
-    body_text_preview: null,
-    xhr_hits: 0,
-    price_text: null,
-    price_value: null,
-    currency: null,
-    error: error instanceof Error ? error.message : String(error),
-  };
-  console.error('[DEBUG] runner=playwright');
-  console.error('[DEBUG] step=dom rendered_html_size=0');
-  console.error('[DEBUG] step=xhr hits=0 price_candidates=0');
-  process.stdout.write(`${JSON.stringify(payload)}\n`);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch((error) => {
+    process.stdout.write(`${JSON.stringify(buildErrorOutput(null, error instanceof Error ? error.message : String(error)))}\n`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  createCheckContext,
+  checkUrl,
+  runCheckJob,
+  buildErrorOutput,
+  runReplay,
+};